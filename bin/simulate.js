@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { Vec3 } = require("vec3");
+const { PhysicsEngine, PlayerState } = require("../src/engine.js");
+const { MinecartPhysics, MinecartState } = require("../src/minecart.js");
+const {
+  loadSchematic,
+  loadChunkFile,
+  loadScript,
+  findArrival,
+} = require("../src/simulator.js");
+
+const USAGE = `Usage: ash-physics-sim (--schematic <file> | --chunks <file>) --script <file> [options]
+
+Runs the physics engine against a saved region without a server or bot.
+With --minecart it rides a minecart instead, and the script is optional.
+
+  --schematic <file>  Sponge .schem or MCEdit .schematic file
+  --offset <x,y,z>    Where the schematic's first corner is placed (0,0,0)
+  --chunks <file>     JSON file of prismarine-chunk columns { version, chunks }
+  --version <ver>     Minecraft version (required for schematics)
+  --script <file>     .json segments or .js module with the inputs per tick
+  --pos <x,y,z>       Start position of the player's feet
+  --yaw <rad>         Start yaw in radians (0)
+  --pitch <rad>       Start pitch in radians (0)
+  --state <file>      Start from a PlayerState JSON instead of --pos/--yaw
+  --minecart          Simulate a ridden minecart placed at --pos
+  --vel <x,y,z>       Start velocity of the minecart (0,0,0)
+  --ticks <n>         Ticks to simulate (script length, or 100 for .js or none)
+  --target <x,y,z>    Block the feet must reach; exits with 1 if it is not
+  --out <file>        Write the trajectory as JSON instead of printing it
+  --json              Print the trajectory as JSON
+  -h, --help          Show this help`;
+
+function parseVec3(value, name) {
+  const parts = value.split(",").map(Number);
+  if (parts.length !== 3 || parts.some((n) => !Number.isFinite(n))) {
+    throw new Error(`--${name} must be x,y,z`);
+  }
+  return new Vec3(...parts);
+}
+
+function parseTicks(value) {
+  const ticks = Number(value);
+  if (value.trim() === "" || !Number.isInteger(ticks) || ticks <= 0) {
+    throw new Error("--ticks must be a positive whole number");
+  }
+  return ticks;
+}
+
+function formatTick(tick) {
+  const flags = [
+    tick.onGround && "ground",
+    tick.isCollidedHorizontally && "wall",
+    tick.isInWater && "water",
+    tick.isInLava && "lava",
+    tick.flying && "flying",
+    tick.isCrouching && "crouch",
+    tick.isCrawling && "crawl",
+    tick.isSwimming && "swim",
+    tick.isSpinAttacking && "spin",
+    tick.onRails && "rails",
+    tick.ejected && "ejected",
+  ].filter(Boolean);
+  const fixed = (n) => n.toFixed(4).padStart(11);
+  return [
+    String(tick.tick).padStart(5),
+    fixed(tick.pos.x),
+    fixed(tick.pos.y),
+    fixed(tick.pos.z),
+    fixed(tick.vel.x),
+    fixed(tick.vel.y),
+    fixed(tick.vel.z),
+    " " + flags.join(","),
+  ].join("");
+}
+
+async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      schematic: { type: "string" },
+      offset: { type: "string", default: "0,0,0" },
+      chunks: { type: "string" },
+      version: { type: "string" },
+      script: { type: "string" },
+      pos: { type: "string" },
+      yaw: { type: "string", default: "0" },
+      pitch: { type: "string", default: "0" },
+      state: { type: "string" },
+      minecart: { type: "boolean", default: false },
+      vel: { type: "string", default: "0,0,0" },
+      ticks: { type: "string" },
+      target: { type: "string" },
+      out: { type: "string" },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!values.schematic === !values.chunks) {
+    throw new Error("Give exactly one of --schematic or --chunks");
+  }
+  if (!values.script && !values.minecart) {
+    throw new Error("--script is required");
+  }
+  if (!values.pos && (values.minecart || !values.state)) {
+    throw new Error("--pos is required");
+  }
+  const ticksOption =
+    values.ticks === undefined ? null : parseTicks(values.ticks);
+
+  let registry;
+  let world;
+  if (values.chunks) {
+    ({ registry, world } = loadChunkFile(values.chunks, values.version));
+  } else {
+    if (!values.version) throw new Error("--version is required");
+    registry = require("prismarine-registry")(values.version);
+    world = await loadSchematic(values.schematic, registry, {
+      offset: parseVec3(values.offset, "offset"),
+    });
+  }
+
+  const script = values.script ? loadScript(values.script) : [];
+  const ticks =
+    ticksOption ??
+    (values.script && Array.isArray(script) ? script.length : 100);
+
+  const physics = new PhysicsEngine(registry, world);
+  let trajectory;
+  if (values.minecart) {
+    const cart = MinecartState.fromData({
+      pos: parseVec3(values.pos, "pos"),
+      vel: parseVec3(values.vel, "vel"),
+      hasRider: true,
+      riderYaw: Number(values.yaw),
+    });
+    trajectory = new MinecartPhysics(physics).simulateTimeline(
+      cart,
+      script,
+      ticks,
+    );
+  } else {
+    const state = values.state
+      ? PlayerState.fromJSON(fs.readFileSync(values.state, "utf8"))
+      : PlayerState.fromData({
+          pos: parseVec3(values.pos, "pos"),
+          yaw: Number(values.yaw),
+          pitch: Number(values.pitch),
+        });
+    trajectory = physics.simulateTimeline(state, script, ticks);
+  }
+
+  if (values.out) {
+    fs.writeFileSync(values.out, JSON.stringify(trajectory, null, 2) + "\n");
+  } else if (values.json) {
+    console.log(JSON.stringify(trajectory, null, 2));
+  } else {
+    console.log(
+      " tick" +
+        ["x", "y", "z", "vx", "vy", "vz"].map((h) => h.padStart(11)).join("") +
+        " flags",
+    );
+    for (const tick of trajectory) console.log(formatTick(tick));
+  }
+
+  if (!values.target) return 0;
+
+  const target = parseVec3(values.target, "target");
+  const arrival = findArrival(trajectory, target);
+  // Keep stdout clean for --json output
+  if (arrival === null) {
+    console.error(`Target ${target} not reached in ${ticks} ticks`);
+    return 1;
+  }
+  console.error(`Target ${target} reached at tick ${arrival}`);
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(err.message);
+    console.error("Run with --help for usage");
+    process.exitCode = 2;
+  },
+);
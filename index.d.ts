@@ -1,4 +1,6 @@
 import { PhysicsEngine } from "./src/engine";
+import { Vec3 } from "vec3";
+import { Block } from "prismarine-block";
 
 interface ControlState {
   forward: boolean;
@@ -9,17 +11,189 @@ interface ControlState {
   sneak: boolean;
 }
 
+interface TickInput extends Partial<ControlState> {
+  sprint?: boolean;
+  yaw?: number;
+  pitch?: number;
+}
+
+interface PredictedTick {
+  tick: number;
+  pos: Vec3;
+  vel: Vec3;
+  onGround: boolean;
+  isCollidedHorizontally: boolean;
+  isCollidedVertically: boolean;
+  isInWater: boolean;
+  isInLava: boolean;
+  flying: boolean;
+  isCrouching: boolean;
+  isCrawling: boolean;
+  isSwimming: boolean;
+  isSpinAttacking: boolean;
+  fallDistance: number;
+  predictedDamage: number;
+  damageCause: DamageCause | null;
+}
+
+type DamageCause = "fall" | "flyIntoWall";
+
+interface PredictedDamage {
+  damage: number;
+  cause: DamageCause;
+  fatal: boolean;
+}
+
+interface Abilities {
+  invulnerable: boolean;
+  flying: boolean;
+  allowFlying: boolean;
+  creativeMode: boolean;
+  flyingSpeed: number;
+  walkingSpeed: number;
+}
+
+interface SolveOptions {
+  maxTicks?: number;
+  maxNodes?: number;
+  actions?: TickInput[];
+  yawOffsets?: number[];
+  maxSpeed?: number;
+  weight?: number;
+  minY?: number;
+}
+
+interface MoveToOptions {
+  tolerance?: number;
+  sprint?: boolean;
+  allowJump?: boolean;
+  timeout?: number;
+}
+
+interface GlideOptions {
+  fireworks?: boolean;
+  tolerance?: number;
+  timeout?: number;
+}
+
+interface BridgeEdge {
+  position: Vec3;
+  target: Vec3;
+  referenceBlock: Block | null;
+  faceVector: Vec3;
+}
+
+interface GuardOptions {
+  horizon?: number;
+  maxFallDistance?: number | null;
+}
+
+interface MovementVeto {
+  reason: "lava" | "lethal drop" | "void" | "cobweb over void" | "world border";
+  position: Vec3;
+  control: ControlState;
+  replacement: ControlState;
+}
+
+interface PhysicsDesync {
+  type: "teleport" | "rubberband" | "setback";
+  ticksBack?: number;
+  predicted: Vec3;
+  server: Vec3;
+  delta: Vec3;
+  distance: number;
+  inputs: Array<{
+    tick: number;
+    control: ControlState;
+    yaw: number;
+    pitch: number;
+    pos: Vec3;
+  }>;
+}
+
+interface ReplayTick {
+  tick: number;
+  positionError: number;
+  velocityError: number;
+  flags: string[];
+  expected: Record<string, any>;
+  replayed: Record<string, any>;
+}
+
+interface ReplayResult {
+  ticks: ReplayTick[];
+  firstDivergence: ReplayTick | null;
+  maxPositionError: number;
+}
+
 declare module "@miner-org/mineflayer-physics-reworked" {
   export default function inject(bot: Bot): void;
+
+  /** Re-simulate a recording made with ashStartRecording and diff each tick */
+  export function replayRecording(
+    recording: string | object[],
+    options?: { tolerance?: number },
+  ): ReplayResult;
+
+  /** Thrown by solve() when maxNodes runs out before the search ends */
+  export class SearchBudgetError extends Error {
+    nodes: number;
+  }
 }
 
 declare module "mineflayer" {
+  interface BotEvents {
+    bridgeEdge: (edge: BridgeEdge) => void;
+    bridgeStep: (info: { placed: number }) => void;
+    bridgeStopped: (info: { placed: number }) => void;
+    fireworkBoost: (duration: number) => void;
+    hurtTime: (ticks: number) => void;
+    damageTilt: (direction: number) => void;
+    predictedDamage: (damage: PredictedDamage) => void;
+    movementVetoed: (veto: MovementVeto) => void;
+    physicsDesync: (desync: PhysicsDesync) => void;
+    recordingError: (err: Error) => void;
+  }
+
   interface Bot {
-    ashPhysics: PhysicsEngine;
+    ashPhysics: PhysicsEngine & {
+      predict(
+        inputTimeline:
+          | Array<TickInput | null | undefined>
+          | ((tick: number, state: any) => TickInput | null | undefined),
+        ticks?: number,
+      ): PredictedTick[];
+      solve(
+        target: Vec3 | { min: Vec3; max: Vec3 } | ((state: any) => boolean),
+        options?: SolveOptions,
+      ): TickInput[] | null;
+      desyncStats: {
+        readonly correctionsPerMinute: number;
+        readonly meanError: number;
+        readonly byType: Record<PhysicsDesync["type"], number>;
+      };
+    };
     ashPhysicsEnabled: boolean;
+    ashAbilities: Abilities;
+    ashSetFlying(flying: boolean): void;
+    ashInputReplayEnabled: boolean;
     ashControlState: ControlState;
     ashGetControlState(): ControlState;
     ashClearControlStates(): void;
+    ashMoveTo(point: Vec3, options?: MoveToOptions): Promise<void>;
+    ashBridge(direction: Vec3, options?: { blocks?: number }): Promise<number>;
+    ashStopBridge(): void;
+    ashUseFirework(): Promise<void>;
+    ashGlideTo(point: Vec3, options?: GlideOptions): Promise<void>;
+    ashStopGlide(): void;
+    fireworkRocketDuration: number;
+    riptideTicks: number;
+    hurtTime: number;
+    hurtDirection: number;
+    ashEnableGuard(options?: GuardOptions): void;
+    ashDisableGuard(): void;
+    ashStartRecording(file: string): void;
+    ashStopRecording(): Promise<void>;
     ashSetControlState(
       control: "forward" | "back" | "left" | "right" | "jump" | "sneak",
       value: boolean,
@@ -6,13 +6,42 @@ const { performance } = require("perf_hooks");
 const { createDoneTask, createTask } = require("mineflayer/lib/promise_utils");
 
 const { PhysicsEngine, PlayerState } = require("./src/engine.js");
+const { findInputSequence, SearchBudgetError } = require("./src/solver.js");
+const injectBridging = require("./src/bridging.js");
+const injectFireworks = require("./src/firework.js");
+const { injectGlide } = require("./src/glide.js");
+const injectRiptide = require("./src/riptide.js");
+const createMovementGuard = require("./src/guard.js");
+const { createRecorder, replayRecording } = require("./src/recorder.js");
+const createDesyncTracker = require("./src/desync.js");
+const createVehicleController = require("./src/vehicle.js");
 
 module.exports = inject;
+module.exports.SearchBudgetError = SearchBudgetError;
+module.exports.replayRecording = replayRecording;
 
 const PI = Math.PI;
 const PI_2 = Math.PI * 2;
 const PHYSICS_INTERVAL_MS = 50;
 const PHYSICS_TIMESTEP = PHYSICS_INTERVAL_MS / 1000; // 0.05
+const MAX_REPLAY_TICKS = 20;
+// Ticks the hurt animation lasts
+const HURT_DURATION = 10;
+
+// entity_action ids. 1.21.3 moved sneaking to player_input and renumbered
+// the other actions.
+const ENTITY_ACTIONS = {
+  startSneaking: 0,
+  stopSneaking: 1,
+  startSprinting: 3,
+  stopSprinting: 4,
+  startFallFlying: 8,
+};
+const PLAYER_INPUT_ENTITY_ACTIONS = {
+  startSprinting: 1,
+  stopSprinting: 2,
+  startFallFlying: 6,
+};
 
 /**
  * @param {import('mineflayer').Bot} bot
@@ -29,14 +58,34 @@ function inject(bot) {
   };
 
   const physics = new PhysicsEngine(bot.registry, world);
+  const guard = createMovementGuard(bot, physics);
+  const recorder = createRecorder(bot, physics);
+  const desync = createDesyncTracker(bot, physics);
+  const vehicle = createVehicleController(bot, physics);
 
   const positionUpdateSentEveryTick = bot.supportFeature(
     "positionUpdateSentEveryTick",
   );
 
+  // Hurt animation: ticks left, and the direction of the hit in degrees
+  // relative to the look, as the server sends it
+  bot.hurtTime = 0;
+  bot.hurtDirection = 0;
+
   // Jump state
   bot.jumpQueued = false;
   bot.jumpTicks = 0;
+  bot.jumpTriggerTime = 0;
+
+  // Abilities from the server's abilities packet
+  bot.ashAbilities = {
+    invulnerable: false,
+    flying: false,
+    allowFlying: false,
+    creativeMode: false,
+    flyingSpeed: 0.05,
+    walkingSpeed: 0.1,
+  };
 
   // Control state
   const controlState = {
@@ -59,6 +108,7 @@ function inject(bot) {
   // Physics enabled flags
   let shouldUsePhysics = false;
   bot.ashPhysicsEnabled = true;
+  bot.ashInputReplayEnabled = true;
   let deadTicks = 21;
 
   // Last sent packet data
@@ -82,11 +132,40 @@ function inject(bot) {
     // Skip if chunk is unloaded
     if (bot.blockAt(bot.entity.position) == null) return;
 
+    if (bot.hurtTime > 0) bot.emit("hurtTime", --bot.hurtTime);
+
+    if (bot.ashPhysicsEnabled && vehicle.isRiding()) {
+      vehicle.tick(controlState);
+      updatePassengerLook();
+
+      bot.emit("physicsTick");
+      bot.emit("physicTick"); // Deprecated
+      return;
+    }
+
     if (bot.ashPhysicsEnabled && shouldUsePhysics) {
       const state = new PlayerState(bot, controlState);
+      const wasFlying = bot.ashAbilities.flying;
+      const lastPose = getPose(bot.entity);
 
-      physics.simulatePlayer(state);
+      guard.filter(state);
+      recorder.recordTick(state, () => physics.simulatePlayer(state));
       state.apply(bot);
+      desync.recordTick(state);
+
+      if (state.predictedDamage > 0) {
+        bot.emit("predictedDamage", {
+          damage: state.predictedDamage,
+          cause: state.damageCause,
+          fatal: state.predictedDamage >= bot.health,
+        });
+      }
+
+      // Double-tapping jump or landing changed flight
+      if (bot.ashAbilities.flying !== wasFlying) sendAbilities();
+      // The engine picks the pose that fits, e.g. crawling under a trapdoor
+      const pose = getPose(bot.entity);
+      if (pose !== lastPose) emitPoseUpdate(pose);
 
       bot.emit("physicsTick");
       bot.emit("physicTick"); // Deprecated
@@ -103,16 +182,7 @@ function inject(bot) {
   function updatePosition(now) {
     if (isEntityRemoved()) return;
 
-    const dYaw = deltaYaw(bot.entity.yaw, lastSentYaw);
-    const dPitch = bot.entity.pitch - (lastSentPitch || 0);
-
-    const maxDeltaYaw = PHYSICS_TIMESTEP * physics.constants.yawSpeed;
-    const maxDeltaPitch = PHYSICS_TIMESTEP * physics.constants.pitchSpeed;
-    lastSentYaw += math.clamp(-maxDeltaYaw, dYaw, maxDeltaYaw);
-    lastSentPitch += math.clamp(-maxDeltaPitch, dPitch, maxDeltaPitch);
-
-    const yaw = Math.fround(conv.toNotchianYaw(lastSentYaw));
-    const pitch = Math.fround(conv.toNotchianPitch(lastSentPitch));
+    const { yaw, pitch } = nextLook();
     const position = bot.entity.position;
     const onGround = bot.entity.onGround;
 
@@ -147,6 +217,101 @@ function inject(bot) {
     lastSent.onGround = bot.entity.onGround;
   }
 
+  /**
+   * Turn the sent look towards the entity's, at most yawSpeed/pitchSpeed per
+   * tick. Returns the look to send, in notchian degrees.
+   */
+  function nextLook() {
+    const dYaw = deltaYaw(bot.entity.yaw, lastSentYaw);
+    const dPitch = bot.entity.pitch - (lastSentPitch || 0);
+
+    const maxDeltaYaw = PHYSICS_TIMESTEP * physics.constants.yawSpeed;
+    const maxDeltaPitch = PHYSICS_TIMESTEP * physics.constants.pitchSpeed;
+    lastSentYaw += math.clamp(-maxDeltaYaw, dYaw, maxDeltaYaw);
+    lastSentPitch += math.clamp(-maxDeltaPitch, dPitch, maxDeltaPitch);
+
+    return {
+      yaw: Math.fround(conv.toNotchianYaw(lastSentYaw)),
+      pitch: Math.fround(conv.toNotchianPitch(lastSentPitch)),
+    };
+  }
+
+  /**
+   * Passengers only send their look, every tick
+   */
+  function updatePassengerLook() {
+    if (isEntityRemoved()) return;
+
+    const { yaw, pitch } = nextLook();
+    sendPacketLook(yaw, pitch, false);
+  }
+
+  /**
+   * Ticks sent within the last round trip, which the server has not seen
+   */
+  function getLatencyTicks() {
+    return Math.round((bot.player?.ping ?? 0) / PHYSICS_INTERVAL_MS);
+  }
+
+  /**
+   * Re-simulate the inputs still in flight on top of a server correction,
+   * so the correction does not throw away movement the server has not seen yet
+   */
+  function replayInputs() {
+    const inputs = desync.recentInputs(
+      Math.min(getLatencyTicks() + 1, MAX_REPLAY_TICKS),
+    );
+    if (inputs.length === 0) return;
+
+    const state = new PlayerState(bot, { ...inputs[0].control });
+    for (const input of inputs) {
+      state.setInput({ ...input.control, yaw: input.yaw, pitch: input.pitch });
+      physics.simulatePlayer(state);
+      // Later corrections are compared against the replayed positions
+      desync.updateTick(input.tick, state);
+    }
+    state.apply(bot);
+  }
+
+  /**
+   * Pose id as in entity metadata: standing, fall flying, swimming or
+   * crawling, riptide spin attack, and crouching
+   */
+  function getPose(entity) {
+    if (entity.isElytra) return 1;
+    if (entity.isCrawling || entity.isSwimming) return 3;
+    if (entity.isSpinAttacking) return 4;
+    if (entity.isCrouching) return 5;
+    return 0;
+  }
+
+  function emitPoseUpdate(pose) {
+    const entity = bot.entity;
+    bot.emit("botPoseUpdate", {
+      pose,
+      crawling: entity.isCrawling,
+      swimming: entity.isSwimming ?? false,
+      elytra: entity.isElytra ?? false,
+    });
+  }
+
+  function sendAbilities() {
+    const abilities = bot.ashAbilities;
+    if (physics.supportFeature("flyingOnlyAbilitiesPacket")) {
+      bot._client.write("abilities", { flags: abilities.flying ? 2 : 0 });
+      return;
+    }
+    bot._client.write("abilities", {
+      flags:
+        (abilities.invulnerable ? 1 : 0) |
+        (abilities.flying ? 2 : 0) |
+        (abilities.allowFlying ? 4 : 0) |
+        (abilities.creativeMode ? 8 : 0),
+      flyingSpeed: abilities.flyingSpeed,
+      walkingSpeed: abilities.walkingSpeed,
+    });
+  }
+
   function sendPacketPosition(position, onGround) {
     const oldPos = new Vec3(lastSent.x, lastSent.y, lastSent.z);
     lastSent.x = position.x;
@@ -211,6 +376,25 @@ function inject(bot) {
   // Expose physics engine to bot
   bot.ashPhysics = physics;
 
+  // Predict the bot's trajectory without mutating bot.entity
+  physics.predict = (inputTimeline, ticks) =>
+    physics.simulateTimeline(
+      new PlayerState(bot, controlState),
+      inputTimeline,
+      ticks,
+    );
+
+  // Shortest input timeline from the bot's current state to a target. Null
+  // when it is out of reach; throws a SearchBudgetError when the search gives
+  // up. Runs synchronously, so it blocks the bot's tick loop while searching
+  physics.solve = (target, options) =>
+    findInputSequence(
+      physics,
+      new PlayerState(bot, controlState),
+      target,
+      options,
+    );
+
   bot.ashSetControlState = (control, state) => {
     assert.ok(control in controlState, `invalid control: ${control}`);
     assert.ok(typeof state === "boolean", `invalid state: ${state}`);
@@ -218,23 +402,57 @@ function inject(bot) {
 
     controlState[control] = state;
 
+    const playerInput = bot.supportFeature("newPlayerInputPacket");
     if (control === "jump" && state) {
       bot.jumpQueued = true;
     } else if (control === "sprint") {
-      bot._client.write("entity_action", {
-        entityId: bot.entity.id,
-        actionId: state ? 3 : 4,
-        jumpBoost: 0,
-      });
-    } else if (control === "sneak") {
-      bot._client.write("entity_action", {
-        entityId: bot.entity.id,
-        actionId: state ? 0 : 1,
-        jumpBoost: 0,
+      // Sprinting with the eyes under water is also what starts swimming
+      sendEntityAction(state ? "startSprinting" : "stopSprinting");
+    } else if (control === "sneak" && !playerInput) {
+      sendEntityAction(state ? "startSneaking" : "stopSneaking");
+    }
+
+    // 1.21.3+ sends every input change, which is how sneaking reaches the
+    // server. The vehicle controller sends them while riding.
+    if (playerInput && !vehicle.isRiding()) {
+      bot._client.write("player_input", {
+        inputs: {
+          forward: controlState.forward,
+          backward: controlState.back,
+          left: controlState.left,
+          right: controlState.right,
+          jump: controlState.jump,
+          shift: controlState.sneak,
+          sprint: controlState.sprint,
+        },
       });
     }
   };
 
+  function sendEntityAction(action) {
+    const ids = bot.supportFeature("newPlayerInputPacket")
+      ? PLAYER_INPUT_ENTITY_ACTIONS
+      : ENTITY_ACTIONS;
+    bot._client.write("entity_action", {
+      entityId: bot.entity.id,
+      actionId: ids[action],
+      jumpBoost: 0,
+    });
+  }
+
+  /**
+   * Start or stop creative flight without double-tapping jump
+   */
+  bot.ashSetFlying = (flying) => {
+    assert.ok(
+      !flying || bot.ashAbilities.allowFlying,
+      "flying is not allowed in this game mode",
+    );
+    if (bot.ashAbilities.flying === flying) return;
+    bot.ashAbilities.flying = flying;
+    sendAbilities();
+  };
+
   bot.ashGetControlState = (control) => {
     assert.ok(control in controlState, `invalid control: ${control}`);
     return controlState[control];
@@ -308,6 +526,122 @@ function inject(bot) {
     await bot.look(yaw, pitch, force);
   };
 
+  let moveToTask = null;
+
+  /**
+   * Drive the controls every tick until the bot rests within `tolerance`
+   * (horizontally) of `point`. Braking uses the engine's friction model: an
+   * axis is released or reversed as soon as the distance the bot would coast
+   * with no input reaches the target.
+   */
+  bot.ashMoveTo = async (point, options = {}) => {
+    const {
+      tolerance = 0.1,
+      sprint = true,
+      allowJump = true,
+      timeout = Infinity,
+    } = options;
+
+    if (moveToTask) moveToTask.cancel(new Error("Movement interrupted"));
+
+    const target = point.clone();
+    const deadzone = tolerance / 2;
+    let ticks = 0;
+    let onTick;
+
+    const task = createTask();
+    moveToTask = {
+      cancel(err) {
+        bot.removeListener("physicsTick", onTick);
+        bot.removeListener("end", onEnd);
+        moveToTask = null;
+        for (const control of ["forward", "back", "left", "right"]) {
+          bot.ashSetControlState(control, false);
+        }
+        bot.ashSetControlState("sprint", false);
+        bot.ashSetControlState("jump", false);
+        if (err) task.cancel(err);
+        else task.finish();
+      },
+    };
+    const current = moveToTask;
+    const onEnd = () => current.cancel(new Error("Bot disconnected"));
+
+    const faceTarget = () => {
+      const pos = bot.entity.position;
+      const yaw = Math.atan2(-(target.x - pos.x), -(target.z - pos.z));
+      bot.look(yaw, bot.entity.pitch, true);
+    };
+
+    onTick = () => {
+      const entity = bot.entity;
+      const pos = entity.position;
+      const vel = entity.velocity;
+
+      let inertia;
+      if (entity.isInWater) inertia = physics.constants.waterInertia;
+      else if (entity.isInLava) inertia = physics.constants.lavaInertia;
+      else inertia = physics.getHorizontalInertia(pos, entity.onGround);
+
+      // Where the bot would come to rest if every input was released now
+      const coast = 1 / (1 - inertia);
+      const restX = pos.x + vel.x * coast;
+      const restZ = pos.z + vel.z * coast;
+
+      const dx = target.x - pos.x;
+      const dz = target.z - pos.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      const restDistance = Math.hypot(target.x - restX, target.z - restZ);
+
+      if (distance <= tolerance && restDistance <= tolerance) {
+        current.cancel();
+        return;
+      }
+      if (++ticks > timeout) {
+        current.cancel(new Error("Movement timed out"));
+        return;
+      }
+
+      if (distance > 2) faceTarget();
+
+      // Error between target and rest point, in the frame the controls use
+      const yaw = entity.yaw;
+      const errX = target.x - restX;
+      const errZ = target.z - restZ;
+      const errForward = -Math.sin(yaw) * errX - Math.cos(yaw) * errZ;
+      const errRight = Math.cos(yaw) * errX - Math.sin(yaw) * errZ;
+
+      const forward = errForward > deadzone;
+      const back = errForward < -deadzone;
+      const right = errRight > deadzone;
+      const left = errRight < -deadzone;
+
+      bot.ashSetControlState("forward", forward);
+      bot.ashSetControlState("back", back);
+      bot.ashSetControlState("right", right);
+      bot.ashSetControlState("left", left);
+      bot.ashSetControlState("sprint", sprint && forward && errForward > 1);
+      bot.ashSetControlState(
+        "jump",
+        allowJump &&
+          entity.onGround &&
+          entity.isCollidedHorizontally &&
+          (forward || back || left || right),
+      );
+    };
+
+    faceTarget();
+    bot.on("physicsTick", onTick);
+    bot.once("end", onEnd);
+
+    await task.promise;
+  };
+
+  injectBridging(bot, physics);
+  injectFireworks(bot);
+  injectGlide(bot, physics);
+  injectRiptide(bot, physics);
+
   bot.elytraFly = async () => {
     if (bot.entity.elytraFlying) {
       throw new Error("Already elytra flying");
@@ -328,13 +662,24 @@ function inject(bot) {
       throw new Error("Elytra must be equipped to start flying");
     }
 
-    bot._client.write("entity_action", {
-      entityId: bot.entity.id,
-      actionId: 8,
-      jumpBoost: 0,
-    });
+    sendEntityAction("startFallFlying");
   };
 
+  // A mace smash spends the fall as the hit lands. Do it with the attack
+  // so fall damage is not predicted for a fall the server has already used.
+  const attack = bot.attack;
+  if (attack) {
+    bot.attack = (...args) => {
+      const result = attack(...args);
+      if (bot.ashPhysicsEnabled && bot.heldItem?.name === "mace") {
+        const state = new PlayerState(bot, controlState);
+        physics.maceSmash(state);
+        state.apply(bot);
+      }
+      return result;
+    };
+  }
+
   bot.waitForTicks = async function (ticks) {
     if (ticks <= 0) return;
 
@@ -359,7 +704,9 @@ function inject(bot) {
     }
   });
 
-  // Track crawling/pose state from server-confirmed entity metadata
+  // Track crawling/pose state from server-confirmed entity metadata. Like the
+  // vanilla client, the next physics tick resolves the pose again from the
+  // space around the bot and that local decision replaces the server's.
   bot._client.on("entity_metadata", (packet) => {
     if (!bot.entity || packet.entityId !== bot.entity.id) return;
 
@@ -377,50 +724,102 @@ function inject(bot) {
       if (metas.pose != null) {
         entity._pose = metas.pose;
         entity.isElytra = metas.pose === 1;
-        entity.isSwimmingPose = metas.pose === 3;
-        // Crawling is swimming pose but not in water
+        // The swimming pose out of water is crawling
+        entity.isSwimming = metas.pose === 3 && entity.isInWater;
         entity.isCrawling = metas.pose === 3 && !entity.isInWater;
+        entity.isSpinAttacking = metas.pose === 4;
+        entity.isCrouching = metas.pose === 5;
 
-        bot.emit("botPoseUpdate", {
-          pose: metas.pose,
-          crawling: entity.isCrawling,
-          swimming: entity.isSwimmingPose && entity.isInWater,
-          elytra: entity.isElytra,
-        });
+        emitPoseUpdate(metas.pose);
       }
     }
   });
 
-  // Entity velocity — handles being pushed by players, mobs, minecarts, etc.
-  //this shit does not work for mineflayer bots :(
+  // Knockback and other pushes from players, mobs, fishing rods and the
+  // like. The server has already applied knockback resistance, and the
+  // velocity replaces the bot's own, as in vanilla.
   bot._client.on("entity_velocity", (packet) => {
     if (packet.entityId !== bot.entity.id) return;
     if (!bot.ashPhysicsEnabled) return;
 
-    bot.entity.velocity.x += packet.velocityX / 8000;
-    bot.entity.velocity.y += packet.velocityY / 8000;
-    bot.entity.velocity.z += packet.velocityZ / 8000;
+    bot.entity.velocity = conv.fromNotchVelocity(
+      new Vec3(packet.velocityX, packet.velocityY, packet.velocityZ),
+    );
   });
 
-  // Explosion knockbakc
-  bot._client.on("explosion", (explosion) => {
-    if (bot.ashPhysicsEnabled && bot.game.gameMode !== "creative") {
-      if (explosion.playerKnockback) {
-        // 1.21.3+
-        bot.entity.velocity.add(
-          explosion.playerMotionX,
-          explosion.playerMotionY,
-          explosion.playerMotionZ,
-        );
-      } else if ("playerMotionX" in explosion) {
-        // older versions
-        bot.entity.velocity.x += explosion.playerMotionX;
-        bot.entity.velocity.y += explosion.playerMotionY;
-        bot.entity.velocity.z += explosion.playerMotionZ;
-      }
+  // Being hurt starts the hurt animation: entity_status 2 before 1.19.4,
+  // then damage_event, followed by hurt_animation with the direction
+  function startHurt() {
+    bot.hurtTime = HURT_DURATION;
+    bot.emit("hurtTime", bot.hurtTime);
+  }
+
+  bot._client.on("entity_status", (packet) => {
+    if (packet.entityId === bot.entity?.id && packet.entityStatus === 2) {
+      startHurt();
     }
   });
 
+  bot._client.on("damage_event", (packet) => {
+    if (packet.entityId === bot.entity?.id) startHurt();
+  });
+
+  bot._client.on("hurt_animation", (packet) => {
+    if (packet.entityId !== bot.entity?.id) return;
+    bot.hurtDirection = packet.yaw;
+    bot.emit("damageTilt", packet.yaw);
+  });
+
+  // Explosion knockback. The server works out the push, so wind charges are
+  // only told apart by their sound.
+  bot._client.on("explosion", (explosion) => {
+    if (!bot.ashPhysicsEnabled || bot.game.gameMode === "creative") return;
+
+    // 1.21.3+ sends the push only to the players it reaches
+    const knockback =
+      "playerKnockback" in explosion
+        ? explosion.playerKnockback
+        : new Vec3(
+            explosion.playerMotionX ?? 0,
+            explosion.playerMotionY ?? 0,
+            explosion.playerMotionZ ?? 0,
+          );
+    if (!knockback) return;
+    bot.entity.velocity.x += knockback.x;
+    bot.entity.velocity.y += knockback.y;
+    bot.entity.velocity.z += knockback.z;
+
+    // Before 1.21.3 a shielded hit cannot be told apart from a miss
+    if (knockback.x === 0 && knockback.y === 0 && knockback.z === 0) return;
+    const state = new PlayerState(bot, controlState);
+    physics.onExplosionHit(
+      state,
+      getSoundName(explosion.sound) === "entity.wind_charge.wind_burst",
+    );
+    state.apply(bot);
+  });
+
+  /**
+   * Name of a sound sent by registry id or inline
+   */
+  function getSoundName(sound) {
+    if (!sound) return null;
+    if (sound.soundId > 0) return bot.registry.sounds[sound.soundId - 1]?.name;
+    return sound.data?.soundName?.replace("minecraft:", "") ?? null;
+  }
+
+  // The server grants flight in creative and spectator, and can start or
+  // stop it (e.g. on a game mode change)
+  bot._client.on("abilities", (packet) => {
+    const abilities = bot.ashAbilities;
+    abilities.invulnerable = (packet.flags & 1) !== 0;
+    abilities.flying = (packet.flags & 2) !== 0;
+    abilities.allowFlying = (packet.flags & 4) !== 0;
+    abilities.creativeMode = (packet.flags & 8) !== 0;
+    abilities.flyingSpeed = packet.flyingSpeed;
+    abilities.walkingSpeed = packet.walkingSpeed;
+  });
+
   // Handle player rotation packet (1.21.3+)
   bot._client.on("player_rotation", (packet) => {
     bot.entity.yaw = conv.fromNotchianYaw(packet.yaw);
@@ -433,10 +832,12 @@ function inject(bot) {
 
     const vel = bot.entity.velocity;
     const pos = bot.entity.position;
-    let newYaw, newPitch;
+    const predicted = pos.clone();
+    let newYaw, newPitch, relative;
 
     if (bot.registry.version[">="]("1.21.3")) {
       const flags = packet.flags;
+      relative = flags.x || flags.y || flags.z;
       vel.set(flags.x ? vel.x : 0, flags.y ? vel.y : 0, flags.z ? vel.z : 0);
       pos.set(
         flags.x ? pos.x + packet.x : packet.x,
@@ -449,6 +850,7 @@ function inject(bot) {
         (flags.pitch ? conv.toNotchianPitch(bot.entity.pitch) : 0) +
         packet.pitch;
     } else {
+      relative = (packet.flags & 7) !== 0;
       vel.set(
         packet.flags & 1 ? vel.x : 0,
         packet.flags & 2 ? vel.y : 0,
@@ -467,6 +869,11 @@ function inject(bot) {
         packet.pitch;
     }
 
+    // Only corrections of a running simulation are desyncs
+    const correction = shouldUsePhysics
+      ? desync.onCorrection(predicted, pos, getLatencyTicks())
+      : null;
+
     bot.entity.yaw = conv.fromNotchianYaw(newYaw);
     bot.entity.pitch = conv.fromNotchianPitch(newPitch);
     bot.entity.onGround = false;
@@ -478,6 +885,14 @@ function inject(bot) {
     lastSentYaw = bot.entity.yaw;
     lastSentPitch = bot.entity.pitch;
 
+    if (
+      bot.ashInputReplayEnabled &&
+      correction &&
+      (relative || correction.type === "rubberband")
+    ) {
+      replayInputs();
+    }
+
     bot.emit("forcedMove");
   });
 
@@ -486,6 +901,7 @@ function inject(bot) {
   });
   bot.on("respawn", () => {
     shouldUsePhysics = false;
+    bot.hurtTime = 0;
   });
 
   bot.on("login", () => {
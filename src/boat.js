@@ -0,0 +1,533 @@
+const { Vec3 } = require("vec3");
+const AABB = require("./aabb.js");
+
+const BOAT_HALF_WIDTH = 1.375 / 2;
+const BOAT_HEIGHT = 0.5625;
+const DEG_TO_RAD = Math.PI / 180;
+// Ticks a boat has to sit on a bubble column before it is launched
+const BUBBLE_COLUMN_DELAY = 60;
+const AIR_BLOCKS = ["air", "cave_air", "void_air"];
+
+/**
+ * Boat status, decided at the start of every tick
+ */
+const BoatStatus = {
+  IN_WATER: "in_water",
+  UNDER_WATER: "under_water",
+  UNDER_FLOWING_WATER: "under_flowing_water",
+  ON_LAND: "on_land",
+  IN_AIR: "in_air",
+};
+
+/**
+ * Client-side boat physics, following vanilla's Boat entity: buoyancy and
+ * friction per status, paddling from the controls, bubble columns and
+ * block collision. Block shapes, liquids and slipperiness come from the
+ * PhysicsEngine it wraps.
+ */
+class BoatPhysics {
+  /**
+   * @param {import('./engine.js').PhysicsEngine} physics
+   */
+  constructor(physics) {
+    this.physics = physics;
+    this.constants = {
+      gravity: Math.fround(0.04),
+      flowingWaterGravity: 7.0e-4,
+      paddleForward: Math.fround(0.04),
+      paddleBack: Math.fround(0.005),
+      paddleTurn: Math.fround(0.005),
+      airFriction: Math.fround(0.05),
+      waterFriction: Math.fround(0.9),
+      underWaterFriction: Math.fround(0.45),
+      underWaterBuoyancy: 0.01,
+      launchUp: 2.7,
+      launchDown: 0.7,
+    };
+  }
+
+  // Read through so recorders swapping physics.world see boat queries too
+  get world() {
+    return this.physics.world;
+  }
+
+  getBoatBB(pos) {
+    const w = BOAT_HALF_WIDTH;
+    return new AABB(-w, 0, -w, w, BOAT_HEIGHT, w).offset(pos.x, pos.y, pos.z);
+  }
+
+  /**
+   * Advance a BoatState by one tick
+   */
+  simulateBoat(boat) {
+    const previous = boat.status;
+    boat.status = this._getStatus(boat);
+
+    // Flowing water pushes boats like any other entity
+    const fluidBB = this.getBoatBB(boat.pos).contract(0.001, 0.001, 0.001);
+    this.physics._isInWaterApplyCurrent(fluidBB, boat.vel);
+
+    this._floatBoat(boat, previous);
+    this._controlBoat(boat);
+    this._move(boat);
+    this._tickBubbleColumn(boat);
+
+    return boat;
+  }
+
+  _getStatus(boat) {
+    const bb = this.getBoatBB(boat.pos);
+
+    const underwater = this._getUnderwaterStatus(bb);
+    if (underwater) {
+      boat.waterLevel = bb.maxY;
+      return underwater;
+    }
+    if (this._checkInWater(boat, bb)) return BoatStatus.IN_WATER;
+
+    const friction = this._getGroundFriction(bb);
+    if (friction > 0) {
+      boat.landFriction = friction;
+      return BoatStatus.ON_LAND;
+    }
+    return BoatStatus.IN_AIR;
+  }
+
+  /**
+   * Height of the water surface inside a block, or null without water.
+   * Water with more water above fills the whole block.
+   */
+  _getWaterHeight(pos) {
+    const block = this.world.getBlock(pos);
+    if (this.physics._getRenderedDepth(block) < 0) return null;
+
+    const source =
+      block.metadata === 0 ||
+      block.isWaterlogged ||
+      this.physics.waterLike.has(block.type);
+    const above = this.world.getBlock(pos.offset(0, 1, 0));
+    if (this.physics._getRenderedDepth(above) >= 0) {
+      return { height: 1, source };
+    }
+    return { height: 1 - this.physics._getLiquidHeightPcent(block), source };
+  }
+
+  _getUnderwaterStatus(bb) {
+    const top = bb.maxY + 0.001;
+    const cursor = new Vec3(0, 0, 0);
+    let underwater = false;
+
+    for (
+      cursor.x = Math.floor(bb.minX);
+      cursor.x < Math.ceil(bb.maxX);
+      cursor.x++
+    ) {
+      for (
+        cursor.y = Math.floor(bb.maxY);
+        cursor.y < Math.ceil(top);
+        cursor.y++
+      ) {
+        for (
+          cursor.z = Math.floor(bb.minZ);
+          cursor.z < Math.ceil(bb.maxZ);
+          cursor.z++
+        ) {
+          const water = this._getWaterHeight(cursor);
+          if (water && top < cursor.y + water.height) {
+            if (!water.source) return BoatStatus.UNDER_FLOWING_WATER;
+            underwater = true;
+          }
+        }
+      }
+    }
+    return underwater ? BoatStatus.UNDER_WATER : null;
+  }
+
+  _checkInWater(boat, bb) {
+    const cursor = new Vec3(0, 0, 0);
+    let inWater = false;
+    boat.waterLevel = -Number.MAX_VALUE;
+
+    for (
+      cursor.x = Math.floor(bb.minX);
+      cursor.x < Math.ceil(bb.maxX);
+      cursor.x++
+    ) {
+      for (
+        cursor.y = Math.floor(bb.minY);
+        cursor.y < Math.ceil(bb.minY + 0.001);
+        cursor.y++
+      ) {
+        for (
+          cursor.z = Math.floor(bb.minZ);
+          cursor.z < Math.ceil(bb.maxZ);
+          cursor.z++
+        ) {
+          const water = this._getWaterHeight(cursor);
+          if (!water) continue;
+          const surface = cursor.y + water.height;
+          boat.waterLevel = Math.max(surface, boat.waterLevel);
+          inWater = inWater || bb.minY < surface;
+        }
+      }
+    }
+    return inWater;
+  }
+
+  /**
+   * Mean slipperiness of the blocks touching the bottom of the boat, or 0
+   * when nothing is under it
+   */
+  _getGroundFriction(bb) {
+    const below = new AABB(
+      bb.minX,
+      bb.minY - 0.001,
+      bb.minZ,
+      bb.maxX,
+      bb.minY,
+      bb.maxZ,
+    );
+    const minX = Math.floor(below.minX) - 1;
+    const maxX = Math.ceil(below.maxX) + 1;
+    const minY = Math.floor(below.minY) - 1;
+    const maxY = Math.ceil(below.maxY) + 1;
+    const minZ = Math.floor(below.minZ) - 1;
+    const maxZ = Math.ceil(below.maxZ) + 1;
+    const cursor = new Vec3(0, 0, 0);
+    let friction = 0;
+    let count = 0;
+
+    for (cursor.x = minX; cursor.x < maxX; cursor.x++) {
+      for (cursor.z = minZ; cursor.z < maxZ; cursor.z++) {
+        // The scan area is padded by a block; corners of the padding are
+        // skipped and its edges only count at their inner layers
+        const edges =
+          (cursor.x === minX || cursor.x === maxX - 1 ? 1 : 0) +
+          (cursor.z === minZ || cursor.z === maxZ - 1 ? 1 : 0);
+        if (edges === 2) continue;
+
+        for (cursor.y = minY; cursor.y < maxY; cursor.y++) {
+          if (edges > 0 && (cursor.y === minY || cursor.y === maxY - 1)) {
+            continue;
+          }
+
+          const block = this.world.getBlock(cursor);
+          if (
+            !block ||
+            block.name === "lily_pad" ||
+            block.name === "waterlily"
+          ) {
+            continue;
+          }
+          const touches = block.shapes.some((shape) =>
+            new AABB(...shape)
+              .offset(cursor.x, cursor.y, cursor.z)
+              .intersects(below),
+          );
+          if (touches) {
+            friction +=
+              this.physics.blockSlipperiness[block.type] ??
+              this.physics.constants.defaultSlipperiness;
+            count++;
+          }
+        }
+      }
+    }
+    return count > 0 ? friction / count : 0;
+  }
+
+  /**
+   * Top of the water column the boat is in, used to snap a falling boat
+   * onto the surface
+   */
+  _getWaterLevelAbove(boat) {
+    const bb = this.getBoatBB(boat.pos);
+    const maxY = Math.ceil(bb.maxY - boat.lastYd);
+    const cursor = new Vec3(0, 0, 0);
+
+    layers: for (cursor.y = Math.floor(bb.maxY); cursor.y < maxY; cursor.y++) {
+      let level = 0;
+      for (
+        cursor.x = Math.floor(bb.minX);
+        cursor.x < Math.ceil(bb.maxX);
+        cursor.x++
+      ) {
+        for (
+          cursor.z = Math.floor(bb.minZ);
+          cursor.z < Math.ceil(bb.maxZ);
+          cursor.z++
+        ) {
+          const water = this._getWaterHeight(cursor);
+          if (water) level = Math.max(level, water.height);
+          if (level >= 1) continue layers;
+        }
+      }
+      if (level < 1) return cursor.y + level;
+    }
+    return maxY + 1;
+  }
+
+  /**
+   * Gravity, buoyancy and friction for the current status
+   */
+  _floatBoat(boat, previous) {
+    const c = this.constants;
+
+    if (
+      previous === BoatStatus.IN_AIR &&
+      boat.status !== BoatStatus.IN_AIR &&
+      boat.status !== BoatStatus.ON_LAND
+    ) {
+      // Landing in water snaps the boat onto the surface
+      boat.waterLevel = boat.pos.y + BOAT_HEIGHT;
+      boat.pos.y = this._getWaterLevelAbove(boat) - BOAT_HEIGHT + 0.101;
+      boat.vel.y = 0;
+      boat.lastYd = 0;
+      boat.status = BoatStatus.IN_WATER;
+      return;
+    }
+
+    let gravity = -c.gravity;
+    let buoyancy = 0;
+    let friction = c.airFriction;
+
+    if (boat.status === BoatStatus.IN_WATER) {
+      buoyancy = (boat.waterLevel - boat.pos.y) / BOAT_HEIGHT;
+      friction = c.waterFriction;
+    } else if (boat.status === BoatStatus.UNDER_FLOWING_WATER) {
+      gravity = -c.flowingWaterGravity;
+      friction = c.waterFriction;
+    } else if (boat.status === BoatStatus.UNDER_WATER) {
+      buoyancy = c.underWaterBuoyancy;
+      friction = c.underWaterFriction;
+    } else if (boat.status === BoatStatus.IN_AIR) {
+      friction = c.waterFriction;
+    } else if (boat.status === BoatStatus.ON_LAND) {
+      friction = boat.landFriction;
+    }
+
+    boat.vel.x *= friction;
+    boat.vel.y += gravity;
+    boat.vel.z *= friction;
+    boat.deltaRotation *= friction;
+
+    if (buoyancy > 0) {
+      boat.vel.y = (boat.vel.y + buoyancy * 0.06153846153846154) * 0.75;
+    }
+  }
+
+  /**
+   * Turn and paddle from the driver's controls
+   */
+  _controlBoat(boat) {
+    const c = this.constants;
+    const { forward, back, left, right } = boat.control;
+    let acceleration = 0;
+
+    if (left) boat.deltaRotation -= 1;
+    if (right) boat.deltaRotation += 1;
+    if (right !== left && !forward && !back) acceleration += c.paddleTurn;
+
+    // deltaRotation is in vanilla degrees, which turn opposite to yaw
+    boat.yaw -= boat.deltaRotation * DEG_TO_RAD;
+
+    if (forward) acceleration += c.paddleForward;
+    if (back) acceleration -= c.paddleBack;
+
+    boat.vel.x -= Math.sin(boat.yaw) * acceleration;
+    boat.vel.z -= Math.cos(boat.yaw) * acceleration;
+
+    boat.paddles.left = (right && !left) || forward;
+    boat.paddles.right = (left && !right) || forward;
+  }
+
+  /**
+   * Move with block collision. Boats cannot step up blocks.
+   */
+  _move(boat) {
+    const { pos, vel } = boat;
+    let dx = vel.x;
+    let dy = vel.y;
+    let dz = vel.z;
+
+    const bb = this.getBoatBB(pos);
+    const surroundingBBs = this.physics.getSurroundingBBs(
+      bb.clone().extend(dx, dy, dz),
+    );
+
+    for (const blockBB of surroundingBBs) dy = blockBB.computeOffsetY(bb, dy);
+    bb.offset(0, dy, 0);
+    for (const blockBB of surroundingBBs) dx = blockBB.computeOffsetX(bb, dx);
+    bb.offset(dx, 0, 0);
+    for (const blockBB of surroundingBBs) dz = blockBB.computeOffsetZ(bb, dz);
+    bb.offset(0, 0, dz);
+
+    pos.set(bb.minX + BOAT_HALF_WIDTH, bb.minY, bb.minZ + BOAT_HALF_WIDTH);
+
+    boat.isCollidedHorizontally = dx !== vel.x || dz !== vel.z;
+    boat.isCollidedVertically = dy !== vel.y;
+    boat.onGround = boat.isCollidedVertically && vel.y < 0;
+    boat.lastYd = dy;
+
+    if (dx !== vel.x) vel.x = 0;
+    if (dz !== vel.z) vel.z = 0;
+
+    if (boat.isCollidedVertically) {
+      const below = this.world.getBlock(pos.offset(0, -0.2, 0));
+      if (below && below.type === this.physics.specialBlocks.slime) {
+        if (vel.y < 0) vel.y = -vel.y * 0.8;
+      } else {
+        vel.y = 0;
+      }
+    }
+
+    if (this.physics.supportFeature("velocityBlocksOnTop")) {
+      const factor = this._getBlockSpeedFactor(pos);
+      vel.x *= factor;
+      vel.z *= factor;
+    }
+
+    this._checkInsideBlocks(boat);
+  }
+
+  _getBlockSpeedFactor(pos) {
+    const { soulsand, honeyblock } = this.physics.specialBlocks;
+    const speedFactor = (block) => {
+      if (!block) return 1;
+      if (block.type === soulsand) return this.physics.constants.soulsandSpeed;
+      if (block.type === honeyblock) {
+        return this.physics.constants.honeyblockSpeed;
+      }
+      return 1;
+    };
+
+    const block = this.world.getBlock(pos);
+    if (block && this.physics._getRenderedDepth(block) >= 0) return 1;
+    const factor = speedFactor(block);
+    if (factor !== 1) return factor;
+    return speedFactor(this.world.getBlock(pos.offset(0, -0.5000001, 0)));
+  }
+
+  /**
+   * Bubble columns: a boat floating on one is launched after a delay, a
+   * submerged boat is pushed like other entities
+   */
+  _checkInsideBlocks(boat) {
+    const bb = this.getBoatBB(boat.pos).contract(1e-7, 1e-7, 1e-7);
+    const cursor = new Vec3(0, 0, 0);
+
+    for (
+      cursor.y = Math.floor(bb.minY);
+      cursor.y <= Math.floor(bb.maxY);
+      cursor.y++
+    ) {
+      for (
+        cursor.z = Math.floor(bb.minZ);
+        cursor.z <= Math.floor(bb.maxZ);
+        cursor.z++
+      ) {
+        for (
+          cursor.x = Math.floor(bb.minX);
+          cursor.x <= Math.floor(bb.maxX);
+          cursor.x++
+        ) {
+          const block = this.world.getBlock(cursor);
+          if (
+            !block ||
+            block.type !== this.physics.specialBlocks.bubbleColumn
+          ) {
+            continue;
+          }
+
+          const down = block.getProperties().drag === true;
+          const above = this.world.getBlock(cursor.offset(0, 1, 0));
+          if (!above || AIR_BLOCKS.includes(above.name)) {
+            boat.aboveBubbleColumn = true;
+            boat.bubbleColumnDown = down;
+            if (boat.bubbleTime === 0) boat.bubbleTime = BUBBLE_COLUMN_DELAY;
+          } else {
+            const drag = this.physics.constants.bubbleColumnDrag;
+            boat.vel.y = down
+              ? Math.max(drag.maxDown, boat.vel.y - drag.down)
+              : Math.min(drag.maxUp, boat.vel.y + drag.up);
+          }
+        }
+      }
+    }
+  }
+
+  _tickBubbleColumn(boat) {
+    if (!boat.aboveBubbleColumn) boat.bubbleTime = 0;
+    if (boat.bubbleTime <= 0) return;
+
+    boat.bubbleTime--;
+    const elapsed = BUBBLE_COLUMN_DELAY - boat.bubbleTime - 1;
+    if (elapsed > 0 && boat.bubbleTime === 0) {
+      if (boat.bubbleColumnDown) boat.vel.y -= this.constants.launchDown;
+      else boat.vel.y = this.constants.launchUp;
+    }
+    boat.aboveBubbleColumn = false;
+  }
+}
+
+/**
+ * Everything BoatPhysics needs to simulate one boat
+ */
+class BoatState {
+  /**
+   * Create a state from plain data. Missing fields fall back to a boat at
+   * rest with no input.
+   */
+  static fromData(data = {}) {
+    const state = new BoatState();
+    state.pos = toVec3(data.pos);
+    state.vel = toVec3(data.vel);
+    state.yaw = data.yaw ?? 0;
+    state.deltaRotation = data.deltaRotation ?? 0;
+
+    state.status = data.status ?? BoatStatus.IN_AIR;
+    state.waterLevel = data.waterLevel ?? 0;
+    state.landFriction = data.landFriction ?? 0;
+    state.lastYd = data.lastYd ?? 0;
+    state.onGround = data.onGround ?? false;
+    state.isCollidedHorizontally = data.isCollidedHorizontally ?? false;
+    state.isCollidedVertically = data.isCollidedVertically ?? false;
+
+    state.aboveBubbleColumn = data.aboveBubbleColumn ?? false;
+    state.bubbleColumnDown = data.bubbleColumnDown ?? false;
+    state.bubbleTime = data.bubbleTime ?? 0;
+
+    state.control = {
+      forward: data.control?.forward ?? false,
+      back: data.control?.back ?? false,
+      left: data.control?.left ?? false,
+      right: data.control?.right ?? false,
+    };
+    state.paddles = {
+      left: data.paddles?.left ?? false,
+      right: data.paddles?.right ?? false,
+    };
+    return state;
+  }
+
+  /**
+   * State of a boat entity as last seen by the client
+   */
+  static fromEntity(entity) {
+    return BoatState.fromData({
+      pos: entity.position,
+      vel: entity.velocity,
+      yaw: entity.yaw,
+    });
+  }
+
+  clone() {
+    return BoatState.fromData(this);
+  }
+}
+
+function toVec3(v) {
+  return v ? new Vec3(v.x, v.y, v.z) : new Vec3(0, 0, 0);
+}
+
+module.exports = { BoatPhysics, BoatState, BoatStatus };
@@ -0,0 +1,167 @@
+const { Vec3 } = require("vec3");
+const { createTask } = require("mineflayer/lib/promise_utils");
+
+// Probe distance for edge detection, the engine's sneak back-off step
+const EDGE_PROBE = 0.05;
+const BRIDGE_PITCH = -1.35;
+
+/**
+ * Sneak-bridging assistant.
+ *
+ * The bot walks backwards while sneaking along `direction` (a straight or
+ * diagonal Vec3 such as (1, 0, 0) or (1, 0, -1)). When the engine's sneak
+ * edge clamp stops it at the lip, a `bridgeEdge` event reports the block
+ * and face to place against. Once the caller has placed it the walk resumes.
+ *
+ * @param {import('mineflayer').Bot} bot
+ * @param {import('./engine.js').PhysicsEngine} physics
+ */
+function injectBridging(bot, physics) {
+  let bridgeTask = null;
+
+  function isSolid(pos) {
+    const block = bot.blockAt(pos, false);
+    return block != null && block.boundingBox === "block";
+  }
+
+  /**
+   * Blocks still missing below the next cell, in placement order.
+   * Diagonal steps need the side block first so the corner has a face.
+   */
+  function getPlacements(dir) {
+    const pos = bot.entity.position;
+    const y = Math.floor(pos.y) - 1;
+    const target = new Vec3(
+      Math.floor(pos.x + dir.x * 0.5),
+      y,
+      Math.floor(pos.z + dir.z * 0.5),
+    );
+    const support = target.offset(-dir.x, 0, -dir.z);
+
+    const placements = [];
+    if (dir.x !== 0 && dir.z !== 0) {
+      const side = support.offset(dir.x, 0, 0);
+      if (!isSolid(side)) {
+        placements.push({
+          target: side,
+          reference: support,
+          faceVector: new Vec3(dir.x, 0, 0),
+        });
+      }
+      placements.push({
+        target,
+        reference: side,
+        faceVector: new Vec3(0, 0, dir.z),
+      });
+    } else {
+      placements.push({
+        target,
+        reference: support,
+        faceVector: new Vec3(dir.x, 0, dir.z),
+      });
+    }
+    return placements.filter((placement) => !isSolid(placement.target));
+  }
+
+  function emitEdge(placement) {
+    bot.emit("bridgeEdge", {
+      position: bot.entity.position.clone(),
+      target: placement.target,
+      referenceBlock: bot.blockAt(placement.reference, false),
+      faceVector: placement.faceVector,
+    });
+  }
+
+  function isAtEdge(dir) {
+    const entity = bot.entity;
+    if (!entity.onGround) return false;
+
+    const length = Math.hypot(dir.x, dir.z);
+    const { dx, dz } = physics.clampToEdge(
+      entity.position,
+      (dir.x / length) * EDGE_PROBE,
+      (dir.z / length) * EDGE_PROBE,
+    );
+    return dx * dir.x + dz * dir.z <= 0;
+  }
+
+  /**
+   * Bridge along `direction` until `blocks` have been placed or
+   * ashStopBridge() is called.
+   */
+  bot.ashBridge = async (direction, options = {}) => {
+    const { blocks = Infinity } = options;
+
+    if (bridgeTask) bridgeTask.stop(new Error("Bridging interrupted"));
+
+    const dir = new Vec3(Math.sign(direction.x), 0, Math.sign(direction.z));
+    if (dir.x === 0 && dir.z === 0) {
+      throw new Error("Bridge direction must be horizontal");
+    }
+
+    const task = createTask();
+    let pending = [];
+    let placed = 0;
+    let onTick;
+
+    const current = {
+      stop(err) {
+        bot.removeListener("physicsTick", onTick);
+        bot.removeListener("end", onEnd);
+        bridgeTask = null;
+        bot.ashSetControlState("back", false);
+        bot.ashSetControlState("sneak", false);
+        bot.emit("bridgeStopped", { placed });
+        if (err) task.cancel(err);
+        else task.finish(placed);
+      },
+    };
+    bridgeTask = current;
+    const onEnd = () => current.stop(new Error("Bot disconnected"));
+
+    onTick = () => {
+      if (pending.length > 0) {
+        // Waiting for the caller to place the reported block
+        if (!isSolid(pending[0].target)) return;
+
+        pending.shift();
+        placed++;
+        bot.emit("bridgeStep", { placed });
+
+        if (placed >= blocks) {
+          current.stop();
+          return;
+        }
+        if (pending.length > 0) {
+          emitEdge(pending[0]);
+          return;
+        }
+        bot.ashSetControlState("back", true);
+        return;
+      }
+
+      if (!isAtEdge(dir)) return;
+
+      pending = getPlacements(dir);
+      if (pending.length === 0) return;
+
+      bot.ashSetControlState("back", false);
+      emitEdge(pending[0]);
+    };
+
+    // Face away from the bridge direction and look down at the lip
+    await bot.look(Math.atan2(dir.x, dir.z), BRIDGE_PITCH, true);
+    bot.ashSetControlState("sneak", true);
+    bot.ashSetControlState("back", true);
+    bot.on("physicsTick", onTick);
+    bot.once("end", onEnd);
+
+    return task.promise;
+  };
+
+  bot.ashStopBridge = () => {
+    if (bridgeTask) bridgeTask.stop();
+  };
+}
+
+module.exports = injectBridging;
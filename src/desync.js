@@ -0,0 +1,139 @@
+const { performance } = require("perf_hooks");
+
+const HISTORY_TICKS = 40;
+const STATS_WINDOW_MS = 60 * 1000;
+// Corrections further than this are treated as intentional teleports
+const TELEPORT_DISTANCE = 8;
+// How close a correction must land to an earlier position to count as a
+// setback
+const SETBACK_EPSILON = 0.01;
+
+/**
+ * Tracks recent inputs and positions, and classifies server position
+ * corrections against what the engine predicted.
+ *
+ * @param {import('mineflayer').Bot} bot
+ * @param {import('./engine.js').PhysicsEngine} physics
+ */
+function createDesyncTracker(bot, physics) {
+  const history = [];
+  const corrections = [];
+  let tick = 0;
+
+  /**
+   * Remember the input and resulting position of a simulated tick
+   */
+  function recordTick(state) {
+    history.push({
+      tick: tick++,
+      control: { ...state.control },
+      yaw: state.yaw,
+      pitch: state.pitch,
+      pos: state.pos.clone(),
+    });
+    if (history.length > HISTORY_TICKS) history.shift();
+  }
+
+  /**
+   * Index of the recorded tick a correction answers. The server has only
+   * seen the ticks sent at least a round trip ago.
+   */
+  function findAnsweredTick(latencyTicks) {
+    if (history.length === 0) return -1;
+    return Math.max(history.length - 1 - latencyTicks, 0);
+  }
+
+  /**
+   * Index of the latest recorded tick before `answered` whose position the
+   * server put us back on, or -1
+   */
+  function findSetbackTick(serverPos, answered) {
+    for (let i = answered - 1; i >= 0; i--) {
+      if (history[i].pos.distanceTo(serverPos) < SETBACK_EPSILON) return i;
+    }
+    return -1;
+  }
+
+  function classify(distance, setback) {
+    if (distance > TELEPORT_DISTANCE) return "teleport";
+    // Landing exactly on a position we had before the answered tick means
+    // the server rolled us back
+    if (setback !== -1) return "setback";
+    return "rubberband";
+  }
+
+  /**
+   * Compare a server position with the prediction for the tick it answers,
+   * `latencyTicks` before the latest (`latest` when no tick is recorded),
+   * and report the result
+   */
+  function onCorrection(latest, serverPos, latencyTicks = 0) {
+    const index = findAnsweredTick(latencyTicks);
+    const predicted = index === -1 ? latest : history[index].pos;
+    const delta = serverPos.minus(predicted);
+    const distance = delta.norm();
+    const setback = findSetbackTick(serverPos, index);
+    const type = classify(distance, setback);
+    const now = performance.now();
+
+    corrections.push({ time: now, type, distance });
+    while (corrections.length && now - corrections[0].time > STATS_WINDOW_MS) {
+      corrections.shift();
+    }
+
+    bot.emit("physicsDesync", {
+      type,
+      ticksBack: type === "setback" ? history.length - 1 - setback : undefined,
+      predicted: predicted.clone(),
+      server: serverPos.clone(),
+      delta,
+      distance,
+      inputs: history.map((entry) => ({ ...entry, pos: entry.pos.clone() })),
+    });
+
+    return { type, distance };
+  }
+
+  /**
+   * Replace the position recorded for a tick, once it has been re-simulated
+   */
+  function updateTick(tick, state) {
+    const entry = history.find((entry) => entry.tick === tick);
+    if (entry) entry.pos = state.pos.clone();
+  }
+
+  /**
+   * The last `ticks` recorded inputs, oldest first
+   */
+  function recentInputs(ticks) {
+    return history.slice(-ticks);
+  }
+
+  function recent() {
+    const now = performance.now();
+    return corrections.filter(
+      (correction) => now - correction.time <= STATS_WINDOW_MS,
+    );
+  }
+
+  // Rolling stats over the last minute; teleports are not counted as errors
+  physics.desyncStats = {
+    get correctionsPerMinute() {
+      return recent().filter((c) => c.type !== "teleport").length;
+    },
+    get meanError() {
+      const errors = recent().filter((c) => c.type !== "teleport");
+      if (errors.length === 0) return 0;
+      return errors.reduce((sum, c) => sum + c.distance, 0) / errors.length;
+    },
+    get byType() {
+      const counts = { teleport: 0, rubberband: 0, setback: 0 };
+      for (const correction of recent()) counts[correction.type]++;
+      return counts;
+    },
+  };
+
+  return { recordTick, updateTick, onCorrection, recentInputs };
+}
+
+module.exports = createDesyncTracker;
@@ -40,8 +40,12 @@ class PhysicsEngine {
       bubbleColumn: this.blocksByName.bubble_column?.id ?? -1,
       slime: this.blocksByName.slime_block?.id ?? this.blocksByName.slime.id,
       scaffolding: this.blocksByName.scaffolding?.id ?? -1,
+      powderSnow: this.blocksByName.powder_snow?.id ?? -1,
     };
 
+    // Blocks that soften a landing
+    this.softLandings = this._createSoftLandingMap();
+
     // Liquid IDs
     this.waterIds = [
       this.blocksByName.water.id,
@@ -78,6 +82,30 @@ class PhysicsEngine {
     return slipperiness;
   }
 
+  /**
+   * Create a map of block IDs to how they scale fall damage. `distance`
+   * scales the fall before the safe distance is taken off, `damage` the
+   * damage after.
+   */
+  _createSoftLandingMap() {
+    const softLandings = {};
+    const blocks = this.blocksByName;
+
+    for (const block of this.mcData.blocksArray) {
+      if (block.name === "bed" || block.name.endsWith("_bed")) {
+        softLandings[block.id] = { distance: 0.5, damage: 1 };
+      }
+    }
+    softLandings[blocks.hay_block.id] = { distance: 1, damage: 0.2 };
+    if (blocks.honey_block) {
+      softLandings[blocks.honey_block.id] = { distance: 1, damage: 0.2 };
+    }
+    // Unless sneaking, slime bounces instead
+    softLandings[this.specialBlocks.slime] = { distance: 1, damage: 0 };
+
+    return softLandings;
+  }
+
   /**
    * Create set of water-like block IDs
    */
@@ -142,13 +170,18 @@ class PhysicsEngine {
       honeyblockJumpSpeed: 0.4,
       ladderMaxSpeed: 0.15,
       ladderClimbSpeed: 0.2,
-      scaffoldingClimbSpeed: 0.15,
       playerHalfWidth: 0.3,
       playerHeight: 1.8,
       playerSneakHeight: 1.5,
       playerCrawlHeight: 0.6,
+      playerEyeHeight: 1.62,
+      playerSneakEyeHeight: this.supportFeature("playerPoses") ? 1.27 : 1.54,
+      playerCrawlEyeHeight: 0.4,
       waterInertia: 0.8,
-      swimSpeed: 0.04,
+      swimInertia: 0.9,
+      swimLift: 0.06,
+      swimDiveLift: 0.085,
+      waterSinkSpeed: 0.04,
       lavaInertia: 0.5,
       liquidAcceleration: 0.02,
       airborneInertia: 0.91,
@@ -169,8 +202,43 @@ class PhysicsEngine {
         maxUp: 0.7,
       },
       slowFalling: 0.125,
+      safeFallDistance: 3,
+      // Gliding slower than this keeps the fall distance at 1
+      elytraSafeFallSpeed: -0.5,
+      // Elytra wall hits deal this much per block/tick of speed lost, less
+      // the threshold
+      flyIntoWallFactor: 10,
+      flyIntoWallThreshold: 3,
+      // Riptide spins for this long, and hops up first when launched from
+      // the ground
+      riptideTicks: 20,
+      riptideAutoStep: 1.1999999,
+      // Highest block of 1.18+ worlds; older ones just end in air below it
+      maxBuildHeight: 320,
+      windCharge: { radius: 1.2, knockback: 1.22 },
+      breezeWindCharge: { radius: 3, knockback: 1 },
+      // A wind charge or mace smash keeps falls counting from where it hit
+      // at least this long
+      impulseGraceTicks: 40,
+      maceSmashFallDistance: 1.5,
+      maceSmashVelocityY: Math.fround(0.01),
+      flyingVerticalFactor: 3,
+      flyingVerticalDrag: 0.6,
+      doubleTapJumpTicks: 7,
       movementSpeedAttribute:
         this.mcData.attributesByName.movementSpeed.resource,
+      // 1.20.5+, where jump boost raises it through a modifier
+      safeFallDistanceAttribute:
+        this.mcData.attributesByName.safeFallDistance?.resource ?? null,
+      fallDamageMultiplierAttribute:
+        this.mcData.attributesByName.fallDamageMultiplier?.resource ?? null,
+      knockbackResistanceAttribute:
+        this.mcData.attributesByName.knockbackResistance.resource,
+      // A hit lifts a grounded player by its strength, up to this
+      maxKnockbackLift: 0.4,
+      explosionKnockbackResistanceAttribute:
+        this.mcData.attributesByName.explosionKnockbackResistance?.resource ??
+        null,
       sprintingUUID: "662a6b8d-da3e-4c1c-8813-96ea6097278d",
       sneakingUUID: "1eaf83ff-7207-4596-b37a-d7a07b3ec4ce",
     };
@@ -212,19 +280,34 @@ class PhysicsEngine {
     return new AABB(-w, 0, -w, w, height, w).offset(pos.x, pos.y, pos.z);
   }
 
+  /**
+   * Get the bounding box of a { halfWidth, height } hitbox at position
+   */
+  getHitboxBB(pos, hitbox) {
+    const w = hitbox.halfWidth;
+    return new AABB(-w, 0, -w, w, hitbox.height, w).offset(pos.x, pos.y, pos.z);
+  }
+
   /**
    * Set position from bounding box
    */
-  setPositionToBB(bb, pos) {
-    pos.x = bb.minX + this.constants.playerHalfWidth;
+  setPositionToBB(bb, pos, halfWidth = this.constants.playerHalfWidth) {
+    pos.x = bb.minX + halfWidth;
     pos.y = bb.minY;
-    pos.z = bb.minZ + this.constants.playerHalfWidth;
+    pos.z = bb.minZ + halfWidth;
   }
 
   /**
-   * Get all block bounding boxes surrounding a query bounding box
+   * Get all block bounding boxes surrounding a query bounding box.
+   * With standOnLava, still lava sources are solid up to half their height
+   * for feet above that, as they are for striders.
    */
-  getSurroundingBBs(queryBB, playerMinY = null, descendScaffolding = false) {
+  getSurroundingBBs(
+    queryBB,
+    playerMinY = null,
+    descendScaffolding = false,
+    standOnLava = false,
+  ) {
     const surroundingBBs = [];
     const cursor = new Vec3(0, 0, 0);
     const feetY = playerMinY !== null ? playerMinY : queryBB.minY;
@@ -293,6 +376,23 @@ class PhysicsEngine {
 
               continue;
             }
+            if (standOnLava && this.lavaIds.includes(block.type)) {
+              const above = this.world.getBlock(cursor.offset(0, 1, 0));
+              if (
+                block.metadata === 0 &&
+                feetY > blockPos.y + 0.5 - 1e-5 &&
+                !(above && this.lavaIds.includes(above.type))
+              ) {
+                surroundingBBs.push(
+                  new AABB(0, 0, 0, 1, 0.5, 1).offset(
+                    blockPos.x,
+                    blockPos.y,
+                    blockPos.z,
+                  ),
+                );
+              }
+              continue;
+            }
             for (const shape of block.shapes) {
               const blockBB = new AABB(
                 shape[0],
@@ -328,6 +428,66 @@ class PhysicsEngine {
     pos.y += dy;
   }
 
+  /**
+   * Horizontal velocity multiplier applied each tick on land or in the air
+   */
+  getHorizontalInertia(pos, onGround) {
+    const blockUnder = this.world.getBlock(pos.offset(0, -1, 0));
+    if (!onGround || !blockUnder) return this.constants.airborneInertia;
+    return (
+      (this.blockSlipperiness[blockUnder.type] ||
+        this.constants.defaultSlipperiness) * 0.91
+    );
+  }
+
+  /**
+   * Shorten a sneaking move so the player does not step off the block edge.
+   * Returns the horizontal movement that keeps the feet supported.
+   */
+  clampToEdge(pos, dx, dz) {
+    const step = 0.05;
+
+    while (
+      dx !== 0 &&
+      this.getSurroundingBBs(
+        this.getPlayerBB(pos, false, true).offset(dx, 0, 0),
+      ).length === 0
+    ) {
+      if (dx < step && dx >= -step) dx = 0;
+      else if (dx > 0) dx -= step;
+      else dx += step;
+    }
+
+    while (
+      dz !== 0 &&
+      this.getSurroundingBBs(
+        this.getPlayerBB(pos, false, true).offset(0, 0, dz),
+      ).length === 0
+    ) {
+      if (dz < step && dz >= -step) dz = 0;
+      else if (dz > 0) dz -= step;
+      else dz += step;
+    }
+
+    while (
+      dx !== 0 &&
+      dz !== 0 &&
+      this.getSurroundingBBs(
+        this.getPlayerBB(pos, false, true).offset(dx, 0, dz),
+      ).length === 0
+    ) {
+      if (dx < step && dx >= -step) dx = 0;
+      else if (dx > 0) dx -= step;
+      else dx += step;
+
+      if (dz < step && dz >= -step) dz = 0;
+      else if (dz > 0) dz -= step;
+      else dz += step;
+    }
+
+    return { dx, dz };
+  }
+
   /**
    * Move entity with collision detection (internal collision function)
    */
@@ -335,7 +495,19 @@ class PhysicsEngine {
     const vel = entity.vel;
     const pos = entity.pos;
     const isCrawling = entity.isCrawling;
-    const isSneaking = entity.control.sneak && !isCrawling;
+    // Backing off edges follows the key, not a forced crouch
+    const isSneaking = entity.control.sneak && !isCrawling && !entity.flying;
+
+    // Spectators pass through blocks
+    if (entity.isSpectator) {
+      pos.x += dx;
+      pos.y += dy;
+      pos.z += dz;
+      entity.isCollidedHorizontally = false;
+      entity.isCollidedVertically = false;
+      entity.onGround = false;
+      return;
+    }
 
     // Handle cobweb slowdown
     if (entity.isInWeb) {
@@ -354,61 +526,22 @@ class PhysicsEngine {
 
     // Sneaking edge detection (not while crawling)
     if (isSneaking && entity.onGround) {
-      const step = 0.05;
-
-      for (
-        ;
-        dx !== 0 &&
-        this.getSurroundingBBs(
-          this.getPlayerBB(pos, false, true).offset(dx, 0, 0),
-        ).length === 0;
-        oldVelX = dx
-      ) {
-        if (dx < step && dx >= -step) dx = 0;
-        else if (dx > 0) dx -= step;
-        else dx += step;
-      }
-
-      for (
-        ;
-        dz !== 0 &&
-        this.getSurroundingBBs(
-          this.getPlayerBB(pos, false, true).offset(0, 0, dz),
-        ).length === 0;
-        oldVelZ = dz
-      ) {
-        if (dz < step && dz >= -step) dz = 0;
-        else if (dz > 0) dz -= step;
-        else dz += step;
-      }
-
-      while (
-        dx !== 0 &&
-        dz !== 0 &&
-        this.getSurroundingBBs(
-          this.getPlayerBB(pos, false, true).offset(dx, 0, dz),
-        ).length === 0
-      ) {
-        if (dx < step && dx >= -step) dx = 0;
-        else if (dx > 0) dx -= step;
-        else dx += step;
-
-        if (dz < step && dz >= -step) dz = 0;
-        else if (dz > 0) dz -= step;
-        else dz += step;
-
-        oldVelX = dx;
-        oldVelZ = dz;
-      }
+      ({ dx, dz } = this.clampToEdge(pos, dx, dz));
+      oldVelX = dx;
+      oldVelZ = dz;
     }
 
-    // Collision detection — use correct hitbox for current pose
-    let playerBB = this.getPlayerBB(pos, isCrawling, isSneaking);
+    // Collision detection — use correct hitbox for current pose, or the
+    // entity's own one for mounts
+    let playerBB = entity.hitbox
+      ? this.getHitboxBB(pos, entity.hitbox)
+      : this.getPlayerBB(pos, this._isLying(entity), entity.isCrouching);
     const queryBB = playerBB.clone().extend(dx, dy, dz);
     const surroundingBBs = this.getSurroundingBBs(
       queryBB,
       playerBB.minY,
       entity._descendScaffolding,
+      entity.standOnLava,
     );
     const oldBB = playerBB.clone();
 
@@ -428,9 +561,10 @@ class PhysicsEngine {
     playerBB.offset(0, 0, dz);
 
     // Step on block if height < stepHeight (disabled while crawling)
+    const stepHeight = entity.stepHeight ?? this.constants.stepHeight;
     if (
       !isCrawling &&
-      this.constants.stepHeight > 0 &&
+      stepHeight > 0 &&
       (entity.onGround || (dy !== oldVelY && oldVelY < 0)) &&
       (dx !== oldVelX || dz !== oldVelZ)
     ) {
@@ -439,9 +573,14 @@ class PhysicsEngine {
       const oldVelZCol = dz;
       const oldBBCol = playerBB.clone();
 
-      dy = this.constants.stepHeight;
+      dy = stepHeight;
       const queryBB = oldBB.clone().extend(oldVelX, dy, oldVelZ);
-      const surroundingBBs = this.getSurroundingBBs(queryBB, oldBB.minY);
+      const surroundingBBs = this.getSurroundingBBs(
+        queryBB,
+        oldBB.minY,
+        false,
+        entity.standOnLava,
+      );
 
       const BB1 = oldBB.clone();
       const BB2 = oldBB.clone();
@@ -506,7 +645,7 @@ class PhysicsEngine {
     }
 
     // Update flags
-    this.setPositionToBB(playerBB, pos);
+    this.setPositionToBB(playerBB, pos, entity.hitbox?.halfWidth);
     entity.isCollidedHorizontally = dx !== oldVelX || dz !== oldVelZ;
     entity.isCollidedVertically = dy !== oldVelY;
     entity.onGround = entity.isCollidedVertically && oldVelY < 0;
@@ -577,9 +716,8 @@ class PhysicsEngine {
     }
 
     if (this.supportFeature("velocityBlocksOnTop")) {
-      const blockBelow = this.world.getBlock(
-        entity.pos.floored().offset(0, -0.5, 0),
-      );
+      // Half a block below the feet, so partial blocks like soul sand count
+      const blockBelow = this.world.getBlock(entity.pos.offset(0, -0.5, 0));
       if (blockBelow) {
         if (blockBelow.type === this.specialBlocks.soulsand) {
           vel.x *= this.constants.soulsandSpeed;
@@ -665,7 +803,8 @@ class PhysicsEngine {
         return false;
 
       const blockProperties = block._properties;
-      if (!blockProperties.open) return false;
+      // Legacy (pre-1.13) block properties are strings
+      if (String(blockProperties.open) !== "true") return false;
       if (blockProperties.facing !== blockBelow.getProperties().facing)
         return false;
 
@@ -676,19 +815,24 @@ class PhysicsEngine {
   }
 
   /**
-   * Check if inside or standing on top of scaffolding
+   * Check if the feet are inside scaffolding
    */
-  _isOnScaffolding(pos, onGround = false) {
+  _isInScaffolding(pos) {
     if (this.specialBlocks.scaffolding === -1) return false;
-    // Inside the scaffolding block (climbing)
     const block = this.world.getBlock(pos);
-    if (block?.type === this.specialBlocks.scaffolding) return true;
-    // Standing on top: feet are at blockPos.y+1 so check the block below
-    if (onGround) {
-      const blockBelow = this.world.getBlock(pos.offset(0, -1, 0));
-      if (blockBelow?.type === this.specialBlocks.scaffolding) return true;
-    }
-    return false;
+    return block?.type === this.specialBlocks.scaffolding;
+  }
+
+  /**
+   * Whether the player's hitbox for a pose fits at position
+   */
+  _poseFits(pos, crawling, sneaking = false) {
+    const bb = this.getPlayerBB(pos, crawling, sneaking).contract(
+      1e-7,
+      1e-7,
+      1e-7,
+    );
+    return !this.getSurroundingBBs(bb).some((x) => bb.intersects(x));
   }
 
   /**
@@ -702,6 +846,28 @@ class PhysicsEngine {
     );
   }
 
+  /**
+   * Whether the block at position holds water
+   */
+  _isWaterAt(pos) {
+    return this._getRenderedDepth(this.world.getBlock(pos.floored())) >= 0;
+  }
+
+  /**
+   * Whether the eyes are below the water surface
+   */
+  _isEyeInWater(entity) {
+    const eye = entity.pos.offset(0, entity.eyeHeight - 0.11111111, 0);
+    const block = this.world.getBlock(eye.floored());
+    if (this._getRenderedDepth(block) < 0) return false;
+
+    // Water with more water on top fills its whole block
+    const surface = this._isWaterAt(eye.offset(0, 1, 0))
+      ? Math.floor(eye.y) + 1
+      : Math.floor(eye.y) + 1 - this._getLiquidHeightPcent(block);
+    return eye.y < surface;
+  }
+
   /**
    * Get rendered depth of liquid block
    */
@@ -874,12 +1040,17 @@ class PhysicsEngine {
     const vel = entity.vel;
     const pos = entity.pos;
     const isCrawling = entity.isCrawling;
-    const isSneaking = entity.control.sneak && !isCrawling;
+    const isSneaking = entity.isCrouching;
 
     const gravityMultiplier =
       vel.y <= 0 && entity.slowFalling > 0 ? this.constants.slowFalling : 1;
 
-    if (entity.isInWater || entity.isInLava) {
+    // Entities that stand on lava walk through it like on land, and flying
+    // players ignore liquids altogether
+    if (
+      !entity.flying &&
+      (entity.isInWater || (entity.isInLava && !entity.standOnLava))
+    ) {
       // Water / Lava movement
       const lastY = pos.y;
       let acceleration = this.constants.liquidAcceleration;
@@ -887,8 +1058,14 @@ class PhysicsEngine {
         ? this.constants.waterInertia
         : this.constants.lavaInertia;
       let horizontalInertia = inertia;
+      // From 1.13 sprinting in water drags less and stops sinking, with or
+      // without the swimming pose
+      const sprinting =
+        entity.control.sprint && this.supportFeature("swimming");
 
       if (entity.isInWater) {
+        if (sprinting) horizontalInertia = this.constants.swimInertia;
+
         let strider = Math.min(entity.depthStrider, 3);
         if (!entity.onGround) {
           strider *= 0.5;
@@ -901,35 +1078,31 @@ class PhysicsEngine {
         if (entity.dolphinsGrace > 0) horizontalInertia = 0.96;
       }
 
-      // Swimming pose: move in look direction including pitch
-      if (entity.isSwimmingPose && entity.isInWater) {
-        const { lookDir } = this._getLookingVector(entity);
-        const swimAccel = this.constants.swimSpeed;
-
-        // Apply vertical component from pitch
-        if (entity.control.forward) {
-          vel.y += lookDir.y * swimAccel * 0.5;
-        }
-
-        // Sneak = sink, jump = rise
-        if (entity.control.sneak) {
-          vel.y -= swimAccel;
-        }
-        if (entity.control.jump) {
-          vel.y += swimAccel;
+      // Swimmers steer up and down with their look. Looking up only lifts
+      // while the head is under water or jump is held, so they stop at the
+      // surface.
+      if (entity.isSwimming) {
+        const lookY = Math.sin(entity.pitch);
+        const lift =
+          lookY < -0.2 ? this.constants.swimDiveLift : this.constants.swimLift;
+        if (
+          lookY <= 0 ||
+          entity.control.jump ||
+          this._isWaterAt(pos.offset(0, 0.9, 0))
+        ) {
+          vel.y += (lookY - vel.y) * lift;
         }
-
-        // Boost horizontal speed while swimming
-        acceleration = this.constants.swimSpeed;
       }
 
       this._applyHeading(entity, strafe, forward, acceleration);
       this._moveEntityCollision(entity, vel.x, vel.y, vel.z);
       vel.y *= inertia;
-      vel.y -=
-        (entity.isInWater
-          ? this.constants.waterGravity
-          : this.constants.lavaGravity) * gravityMultiplier;
+      if (!(entity.isInWater && sprinting)) {
+        vel.y -=
+          (entity.isInWater
+            ? this.constants.waterGravity
+            : this.constants.lavaGravity) * gravityMultiplier;
+      }
       vel.x *= horizontalInertia;
       vel.z *= horizontalInertia;
 
@@ -960,11 +1133,12 @@ class PhysicsEngine {
         vel.z += (lookDir.z * movingDownSpeedModifier) / cosPitch;
       }
 
-      if (pitch < 0.0 && cosPitch > 0.0) {
-        const lookDownSpeedModifier = horizontalSpeed * -sinPitch * 0.04;
-        vel.x += (-lookDir.x * lookDownSpeedModifier) / cosPitch;
-        vel.y += lookDownSpeedModifier * 3.2;
-        vel.z += (-lookDir.z * lookDownSpeedModifier) / cosPitch;
+      // Looking up (positive pitch) trades horizontal speed for height
+      if (pitch > 0.0 && cosPitch > 0.0) {
+        const lookUpSpeedModifier = horizontalSpeed * sinPitch * 0.04;
+        vel.x += (-lookDir.x * lookUpSpeedModifier) / cosPitch;
+        vel.y += lookUpSpeedModifier * 3.2;
+        vel.z += (-lookDir.z * lookUpSpeedModifier) / cosPitch;
       }
 
       if (cosPitch > 0.0) {
@@ -1069,8 +1243,14 @@ class PhysicsEngine {
         acceleration =
           attributeSpeed * (0.1627714 / (inertia * inertia * inertia));
         if (acceleration < 0) acceleration = 0;
+      } else if (entity.flying) {
+        // Sprinting doubles the fly speed
+        acceleration = entity.flyingSpeed * (entity.control.sprint ? 2 : 1);
+        inertia = this.constants.airborneInertia;
       } else {
-        acceleration = this.constants.airborneAcceleration;
+        // Ridden mounts steer in the air with a share of their own speed
+        acceleration =
+          entity.airborneAcceleration ?? this.constants.airborneAcceleration;
         inertia = this.constants.airborneInertia;
 
         if (entity.control.sprint) {
@@ -1081,7 +1261,8 @@ class PhysicsEngine {
 
       this._applyHeading(entity, strafe, forward, acceleration);
 
-      if (this._isOnLadder(pos)) {
+      // Flying players do not hold on to ladders or scaffolding
+      if (!entity.flying && this._isOnLadder(pos)) {
         vel.x = clamp(
           -this.constants.ladderMaxSpeed,
           vel.x,
@@ -1098,9 +1279,9 @@ class PhysicsEngine {
         );
       }
 
-      // Scaffolding: sneak to descend, jump to ascend, otherwise slow fall
-      const onScaffolding = this._isOnScaffolding(pos, entity.onGround);
-      if (onScaffolding) {
+      // Scaffolding around the feet is climbed like a ladder, except that
+      // sneaking does not stop the slide down
+      if (!entity.flying && this._isInScaffolding(pos)) {
         vel.x = clamp(
           -this.constants.ladderMaxSpeed,
           vel.x,
@@ -1111,26 +1292,18 @@ class PhysicsEngine {
           vel.z,
           this.constants.ladderMaxSpeed,
         );
-        if (entity.control.sneak) {
-          // Sneak while on scaffolding = descend
-          vel.y = -this.constants.scaffoldingClimbSpeed;
-        } else if (entity.control.jump) {
-          // Jump while on scaffolding = ascend
-          vel.y = this.constants.scaffoldingClimbSpeed;
-        } else {
-          // Slow fall through scaffolding
-          vel.y = Math.max(vel.y, -this.constants.scaffoldingClimbSpeed);
-        }
+        vel.y = Math.max(vel.y, -this.constants.ladderMaxSpeed);
       }
 
-      // Flag for getSurroundingBBs: suppress scaffolding top surface so player
-      // can descend through it when sneaking on top.
-      entity._descendScaffolding = onScaffolding && entity.control.sneak;
+      // Flag for getSurroundingBBs: sneaking drops through the top surface
+      // of scaffolding, wherever the player is
+      entity._descendScaffolding = entity.control.sneak;
 
       this._moveEntityCollision(entity, vel.x, vel.y, vel.z);
 
       if (
-        this._isOnLadder(pos) &&
+        !entity.flying &&
+        (this._isOnLadder(pos) || this._isInScaffolding(pos)) &&
         (entity.isCollidedHorizontally ||
           (this.supportFeature("climbUsingJump") && entity.control.jump))
       ) {
@@ -1155,35 +1328,58 @@ class PhysicsEngine {
   simulatePlayer(entity) {
     const vel = entity.vel;
     const pos = entity.pos;
+    entity.predictedDamage = 0;
+    entity.damageCause = null;
+
+    this._handleFlying(entity);
+    this._updatePose(entity);
     const isCrawling = entity.isCrawling;
-    const isSneaking = entity.control.sneak && !isCrawling;
+    const isSneaking = entity.isCrouching;
 
-    // Swimming uses crawl hitbox (0.6 height horizontal)
-    const isSwimming = entity.isSwimmingPose && entity.isInWater;
-    const useCrawlBB = isCrawling || isSwimming;
+    // Swimming and riptide use the crawl hitbox (0.6 height horizontal)
+    const useCrawlBB = this._isLying(entity);
 
-    // Use correct bounding box for pose
+    // Use correct bounding box for pose. The lying one is too short to lose
+    // 0.4 at both ends.
+    const shrinkY = useCrawlBB ? 0.001 : 0.4;
     const waterBB = this.getPlayerBB(pos, useCrawlBB, isSneaking).contract(
       0.001,
-      0.401,
+      shrinkY + 0.001,
       0.001,
     );
     const lavaBB = this.getPlayerBB(pos, useCrawlBB, isSneaking).contract(
       0.1,
-      0.4,
+      shrinkY,
       0.1,
     );
 
-    entity.isInWater = this._isInWaterApplyCurrent(waterBB, vel);
+    // Currents do not push flying players
+    entity.isInWater = this._isInWaterApplyCurrent(
+      waterBB,
+      entity.flying ? new Vec3(0, 0, 0) : vel,
+    );
     entity.isInLava = this._isMaterialInBB(lavaBB, this.lavaIds);
+    this._updateSwimming(entity);
+
+    // Sneaking sinks in water
+    if (
+      entity.isInWater &&
+      entity.control.sneak &&
+      !entity.flying &&
+      this.supportFeature("swimming")
+    ) {
+      vel.y -= this.constants.waterSinkSpeed;
+    }
 
     // Reset velocity component if it falls under threshold
     if (Math.abs(vel.x) < this.constants.negligeableVelocity) vel.x = 0;
     if (Math.abs(vel.y) < this.constants.negligeableVelocity) vel.y = 0;
     if (Math.abs(vel.z) < this.constants.negligeableVelocity) vel.z = 0;
 
-    // Handle jumping (can't jump while crawling)
-    if (!isCrawling) {
+    // Handle jumping (can't jump while crawling, jump rises while flying)
+    if (entity.flying) {
+      entity.jumpQueued = false;
+    } else if (!isCrawling) {
       this._handleJumping(entity);
     }
 
@@ -1194,12 +1390,455 @@ class PhysicsEngine {
     // Handle elytra flying
     this._handleElytraFlying(entity);
 
+    this._updateFallDistance(entity);
+    const lastY = pos.y;
+    const elytraFlying = entity.elytraFlying;
+    const lastHorizontalSpeed = Math.sqrt(vel.x * vel.x + vel.z * vel.z);
+
     // Move with heading
-    this._moveEntityWithHeading(entity, strafe, forward);
+    if (entity.flying) {
+      this._moveFlying(entity, strafe, forward);
+    } else {
+      this._moveEntityWithHeading(entity, strafe, forward);
+    }
+
+    this._checkFallDamage(entity, pos.y - lastY);
+    if (elytraFlying && entity.isCollidedHorizontally) {
+      const speed = Math.sqrt(vel.x * vel.x + vel.z * vel.z);
+      this._addDamage(
+        entity,
+        (lastHorizontalSpeed - speed) * this.constants.flyIntoWallFactor -
+          this.constants.flyIntoWallThreshold,
+        "flyIntoWall",
+      );
+    }
+
+    if (entity.riptideTicks > 0) entity.riptideTicks--;
+    if (entity.impulseGraceTicks > 0) entity.impulseGraceTicks--;
 
     return entity;
   }
 
+  /**
+   * Whether releasing a charged riptide trident would launch the player:
+   * it needs the enchantment and water or rain
+   */
+  canRiptide(entity) {
+    if (!(entity.riptide > 0)) return false;
+    if (entity.isInWater) return true;
+    return (
+      entity.isRaining &&
+      (this._isRainingAt(entity.pos) ||
+        this._isRainingAt(entity.pos.offset(0, entity.height, 0)))
+    );
+  }
+
+  /**
+   * Release a charged riptide trident, as the vanilla client does: push
+   * along the look by 0.75 per level plus 0.75, spin for riptideTicks, and
+   * hop up off the ground. Returns whether the player launched.
+   */
+  launchRiptide(entity) {
+    if (!this.canRiptide(entity)) return false;
+
+    const { lookDir } = this._getLookingVector(entity);
+    const strength = (3 * (1 + entity.riptide)) / 4;
+    entity.vel.x += lookDir.x * strength;
+    entity.vel.y += lookDir.y * strength;
+    entity.vel.z += lookDir.z * strength;
+    entity.riptideTicks = this.constants.riptideTicks;
+
+    if (entity.onGround) {
+      this._moveEntityCollision(entity, 0, this.constants.riptideAutoStep, 0);
+    }
+    return true;
+  }
+
+  /**
+   * Push of an explosion at `center`, as the server computes it: away from
+   * the center, fading out at twice the radius, and scaled by the share of
+   * the hitbox the blast can see and by `knockback`. Adds it to the
+   * velocity and returns it, or null when the explosion misses the player.
+   */
+  applyExplosion(
+    entity,
+    center,
+    { radius, knockback = 1, windCharge = false },
+  ) {
+    // Spectators and flying creative players are not pushed
+    if (entity.isSpectator || (entity.allowFlying && entity.flying)) {
+      return null;
+    }
+
+    const pos = entity.pos;
+    const distance = pos.distanceTo(center) / (radius * 2);
+    const away = new Vec3(
+      pos.x - center.x,
+      pos.y + entity.eyeHeight - center.y,
+      pos.z - center.z,
+    );
+    const length = away.norm();
+    if (distance > 1 || length === 0) return null;
+
+    let strength =
+      (1 - distance) *
+      this._getSeenPercent(
+        center,
+        this.getPlayerBB(pos, this._isLying(entity), entity.isCrouching),
+      ) *
+      knockback;
+    if (this.constants.explosionKnockbackResistanceAttribute) {
+      strength *=
+        1 -
+        this._getAttribute(
+          entity,
+          this.constants.explosionKnockbackResistanceAttribute,
+          0,
+        );
+    }
+
+    const push = away.scaled(strength / length);
+    entity.vel.add(push);
+    this.onExplosionHit(entity, windCharge);
+    return push;
+  }
+
+  /**
+   * Knockback of a hit from `source`, as the server applies it before it
+   * sends the new velocity: the motion is halved and pushed away from the
+   * source by `strength`, less the knockback resistance, and a grounded
+   * player is lifted. Melee hits have a strength of 0.4, plus 0.5 for a
+   * sprint hit and per level of Knockback. Returns whether it pushed.
+   */
+  applyKnockback(entity, strength, source) {
+    strength *=
+      1 -
+      this._getAttribute(
+        entity,
+        this.constants.knockbackResistanceAttribute,
+        0,
+      );
+    if (strength <= 0) return false;
+
+    const vel = entity.vel;
+    const dx = source.x - entity.pos.x;
+    const dz = source.z - entity.pos.z;
+    // Vanilla does not normalize a direction this short
+    const length = Math.sqrt(dx * dx + dz * dz);
+    const scale = length < 1e-4 ? 0 : strength / length;
+    vel.x = vel.x / 2 - dx * scale;
+    vel.z = vel.z / 2 - dz * scale;
+    if (entity.onGround) {
+      vel.y = Math.min(this.constants.maxKnockbackLift, vel.y / 2 + strength);
+    }
+    return true;
+  }
+
+  /**
+   * Burst of a wind charge at `center`, thrown by the player or anyone
+   * else, or shot by a breeze
+   */
+  windChargeBurst(entity, center, { breeze = false } = {}) {
+    const { radius, knockback } = breeze
+      ? this.constants.breezeWindCharge
+      : this.constants.windCharge;
+    return this.applyExplosion(entity, center, {
+      radius,
+      knockback,
+      windCharge: !breeze,
+    });
+  }
+
+  /**
+   * An explosion reached the player. After a thrown wind charge's, falls
+   * only count from where it hit; any other explosion ends that.
+   */
+  onExplosionHit(entity, windCharge) {
+    if (windCharge) {
+      entity.impulseImpactY = entity.pos.y;
+      entity.impulseGraceTicks = this.constants.impulseGraceTicks;
+    } else {
+      entity.impulseImpactY = null;
+      entity.impulseGraceTicks = 0;
+    }
+  }
+
+  /**
+   * Mace hit. Falling more than 1.5 blocks makes it a smash, which spends
+   * the fall on the hit, leaves the player floating up at 0.01, and counts
+   * later falls from the smash. Returns the damage the fall adds, before
+   * Density, or 0 when the hit does not smash.
+   */
+  maceSmash(entity) {
+    const fallDistance = entity.fallDistance;
+    if (
+      fallDistance <= this.constants.maceSmashFallDistance ||
+      entity.elytraFlying
+    ) {
+      return 0;
+    }
+
+    // Chained smashes keep the lowest impact point, like vanilla's
+    // currentImpulseImpactPos
+    if (
+      entity.impulseImpactY === null ||
+      entity.impulseImpactY > entity.pos.y
+    ) {
+      entity.impulseImpactY = entity.pos.y;
+    }
+    entity.impulseGraceTicks = this.constants.impulseGraceTicks;
+    entity.vel.y = this.constants.maceSmashVelocityY;
+    entity.fallDistance = 0;
+
+    // 4 per block for the first 3, then 2 per block up to 8, then 1
+    if (fallDistance <= 3) return 4 * fallDistance;
+    if (fallDistance <= 8) return 12 + 2 * (fallDistance - 3);
+    return 22 + fallDistance - 8;
+  }
+
+  /**
+   * Share of the points spread over `bb` that an explosion at `center` can
+   * reach without passing through a block's collision shape
+   */
+  _getSeenPercent(center, bb) {
+    const stepX = 1 / ((bb.maxX - bb.minX) * 2 + 1);
+    const stepY = 1 / ((bb.maxY - bb.minY) * 2 + 1);
+    const stepZ = 1 / ((bb.maxZ - bb.minZ) * 2 + 1);
+    // Center the grid horizontally
+    const offsetX = (1 - Math.floor(1 / stepX) * stepX) / 2;
+    const offsetZ = (1 - Math.floor(1 / stepZ) * stepZ) / 2;
+
+    const area = bb.clone();
+    area.minX = Math.min(area.minX, center.x);
+    area.minY = Math.min(area.minY, center.y);
+    area.minZ = Math.min(area.minZ, center.z);
+    area.maxX = Math.max(area.maxX, center.x);
+    area.maxY = Math.max(area.maxY, center.y);
+    area.maxZ = Math.max(area.maxZ, center.z);
+    const blockBBs = this.getSurroundingBBs(area);
+
+    let seen = 0;
+    let total = 0;
+    for (let x = 0; x <= 1; x += stepX) {
+      for (let y = 0; y <= 1; y += stepY) {
+        for (let z = 0; z <= 1; z += stepZ) {
+          const point = new Vec3(
+            bb.minX + x * (bb.maxX - bb.minX) + offsetX,
+            bb.minY + y * (bb.maxY - bb.minY),
+            bb.minZ + z * (bb.maxZ - bb.minZ) + offsetZ,
+          );
+          if (!blockBBs.some((box) => segmentCrosses(box, point, center))) {
+            seen++;
+          }
+          total++;
+        }
+      }
+    }
+    return seen / total;
+  }
+
+  /**
+   * Whether rain falls at position: a biome warm and wet enough, and
+   * nothing above that blocks motion or holds a liquid
+   */
+  _isRainingAt(pos) {
+    const cursor = pos.floored();
+    // Blocks may only carry the biome id
+    const biome = this.mcData.biomes[this.world.getBlock(cursor)?.biome?.id];
+    // Before 1.19.4 biomes name their precipitation
+    const rains = biome?.precipitation
+      ? biome.precipitation === "rain"
+      : biome?.has_precipitation && biome.temperature >= 0.15;
+    if (!rains) return false;
+
+    for (; cursor.y < this.constants.maxBuildHeight; cursor.y++) {
+      const block = this.world.getBlock(cursor);
+      if (!block) break;
+      if (
+        block.boundingBox === "block" ||
+        this._getRenderedDepth(block) >= 0 ||
+        this.lavaIds.includes(block.type)
+      ) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Crawling, swimming and the riptide spin all use the 0.6 high hitbox
+   */
+  _isLying(entity) {
+    return entity.isCrawling || entity.isSwimming || entity.isSpinAttacking;
+  }
+
+  /**
+   * Fall distance resets vanilla applies before the player moves
+   */
+  _updateFallDistance(entity) {
+    const pos = entity.pos;
+    const feet = this.world.getBlock(pos);
+    if (
+      entity.isInWater ||
+      (!entity.flying &&
+        (this._isOnLadder(pos) ||
+          feet?.type === this.specialBlocks.scaffolding)) ||
+      (entity.slowFalling > 0 && entity.vel.y <= 0)
+    ) {
+      entity.fallDistance = 0;
+    } else if (entity.isInLava) {
+      entity.fallDistance *= 0.5;
+    } else if (
+      entity.elytraFlying &&
+      entity.vel.y > this.constants.elytraSafeFallSpeed
+    ) {
+      entity.fallDistance = Math.min(entity.fallDistance, 1);
+    }
+  }
+
+  /**
+   * Add the fall of a move to the fall distance, and predict the damage of
+   * landing
+   */
+  _checkFallDamage(entity, dy) {
+    const pos = entity.pos;
+    // Flying players, webs and powder snow (whose surface catches a fall)
+    // stop a fall
+    const feet = this.world.getBlock(pos);
+    if (
+      entity.flying ||
+      entity.isInWeb ||
+      feet?.type === this.specialBlocks.powderSnow
+    ) {
+      entity.fallDistance = 0;
+      return;
+    }
+
+    if (!entity.onGround) {
+      if (dy < 0) entity.fallDistance -= dy;
+      return;
+    }
+
+    let fallDistance = entity.fallDistance;
+    entity.fallDistance = 0;
+    // Creative and spectator players take no fall damage
+    if (fallDistance <= 0 || entity.allowFlying || entity.isSpectator) return;
+
+    // After a wind charge or mace smash, only the drop below it counts
+    if (entity.impulseImpactY !== null) {
+      fallDistance = Math.min(fallDistance, entity.impulseImpactY - pos.y);
+      if (fallDistance <= 0 || entity.impulseGraceTicks === 0) {
+        entity.impulseImpactY = null;
+      }
+      if (fallDistance <= 0) return;
+    }
+
+    // Landing in water breaks the fall
+    const waterBB = this.getPlayerBB(
+      pos,
+      this._isLying(entity),
+      entity.isCrouching,
+    ).contract(0.001, 0.401, 0.001);
+    if (this._isInWaterApplyCurrent(waterBB, new Vec3(0, 0, 0))) return;
+
+    const block = this.world.getBlock(pos.offset(0, -0.2, 0));
+    let soft = block && this.softLandings[block.type];
+    if (block?.type === this.specialBlocks.slime && entity.control.sneak) {
+      soft = null;
+    }
+
+    const safeFallDistance = this.constants.safeFallDistanceAttribute
+      ? this._getAttribute(
+          entity,
+          this.constants.safeFallDistanceAttribute,
+          this.constants.safeFallDistance + entity.jumpBoost,
+        )
+      : this.constants.safeFallDistance + entity.jumpBoost;
+    const multiplier = this.constants.fallDamageMultiplierAttribute
+      ? this._getAttribute(
+          entity,
+          this.constants.fallDamageMultiplierAttribute,
+          1,
+        )
+      : 1;
+    let damage = Math.ceil(
+      (fallDistance * (soft?.distance ?? 1) - safeFallDistance) *
+        (soft?.damage ?? 1) *
+        multiplier,
+    );
+    if (damage <= 0) return;
+    entity.impulseImpactY = null;
+
+    // Feather falling protects 12% per level, up to 80%
+    const protection = Math.min(20, 3 * entity.featherFalling);
+    damage *= 1 - protection / 25;
+    this._addDamage(entity, damage, "fall");
+  }
+
+  /**
+   * Value of an entity attribute, or `fallback` when the server has not
+   * sent it
+   */
+  _getAttribute(entity, name, fallback) {
+    const value = entity.attributes?.[name];
+    return value ? attribute.getAttributeValue(value) : fallback;
+  }
+
+  /**
+   * Add damage predicted for this tick
+   */
+  _addDamage(entity, damage, cause) {
+    if (damage <= 0) return;
+    entity.predictedDamage += damage;
+    entity.damageCause = cause;
+  }
+
+  /**
+   * Run the simulation forward on a copy of a state without touching the original.
+   * inputTimeline is either an array of per-tick inputs or a function
+   * (tick, state) => input. An input holds control flags plus optional yaw/pitch;
+   * fields it omits keep their previous value.
+   */
+  simulateTimeline(
+    state,
+    inputTimeline = [],
+    ticks = Array.isArray(inputTimeline) ? inputTimeline.length : 0,
+  ) {
+    const sim = state.clone();
+    const trajectory = [];
+
+    for (let tick = 0; tick < ticks; tick++) {
+      const input =
+        typeof inputTimeline === "function"
+          ? inputTimeline(tick, sim)
+          : inputTimeline[tick];
+      if (input) sim.setInput(input);
+
+      this.simulatePlayer(sim);
+
+      trajectory.push({
+        tick,
+        pos: sim.pos.clone(),
+        vel: sim.vel.clone(),
+        onGround: sim.onGround,
+        isCollidedHorizontally: sim.isCollidedHorizontally,
+        isCollidedVertically: sim.isCollidedVertically,
+        isInWater: sim.isInWater,
+        isInLava: sim.isInLava,
+        flying: sim.flying,
+        isCrouching: sim.isCrouching,
+        isCrawling: sim.isCrawling,
+        isSwimming: sim.isSwimming,
+        isSpinAttacking: sim.isSpinAttacking,
+        fallDistance: sim.fallDistance,
+        predictedDamage: sim.predictedDamage,
+        damageCause: sim.damageCause,
+      });
+    }
+
+    return trajectory;
+  }
+
   /**
    * Handle jumping logic
    */
@@ -1210,9 +1849,7 @@ class PhysicsEngine {
       if (entity.isInWater || entity.isInLava) {
         entity.vel.y += 0.04;
       } else if (entity.onGround && entity.jumpTicks === 0) {
-        const blockBelow = this.world.getBlock(
-          entity.pos.floored().offset(0, -0.5, 0),
-        );
+        const blockBelow = this.world.getBlock(entity.pos.offset(0, -0.5, 0));
         const jumpMultiplier =
           blockBelow && blockBelow.type === this.specialBlocks.honeyblock
             ? this.constants.honeyblockJumpSpeed
@@ -1239,6 +1876,107 @@ class PhysicsEngine {
     entity.jumpQueued = false;
   }
 
+  /**
+   * Toggle creative flight when jump is pressed twice within
+   * doubleTapJumpTicks, then rise or sink with jump and sneak while flying.
+   * Spectators are always flying.
+   */
+  _handleFlying(entity) {
+    if (entity.jumpTriggerTime > 0) entity.jumpTriggerTime--;
+
+    if (entity.isSpectator) {
+      entity.flying = true;
+    } else if (entity.allowFlying && entity.jumpQueued) {
+      if (entity.jumpTriggerTime === 0) {
+        entity.jumpTriggerTime = this.constants.doubleTapJumpTicks;
+      } else if (!entity.isSwimming) {
+        entity.flying = !entity.flying;
+        entity.jumpTriggerTime = 0;
+      }
+    }
+
+    if (!entity.flying) return;
+    const vertical = entity.control.jump - entity.control.sneak;
+    if (vertical !== 0) {
+      entity.vel.y +=
+        vertical * entity.flyingSpeed * this.constants.flyingVerticalFactor;
+    }
+  }
+
+  /**
+   * Resolve the pose from the space around the player, as the vanilla client
+   * does: the wanted pose if its hitbox fits, else crouching, else crawling.
+   * Before 1.14 there are no forced poses and sneaking just follows the key.
+   */
+  _updatePose(entity) {
+    const pos = entity.pos;
+    // Flying players keep standing while sneak moves them down
+    const sneaking = entity.control.sneak && !entity.flying;
+    const swimming = entity.isSwimming;
+    // Before 1.14 the riptide spin keeps the standing hitbox
+    entity.isSpinAttacking =
+      entity.riptideTicks > 0 &&
+      !swimming &&
+      !entity.elytraFlying &&
+      this.supportFeature("playerPoses");
+
+    if (!this.supportFeature("playerPoses")) {
+      entity.isCrouching = sneaking && !entity.isCrawling;
+    } else if (this._poseFits(pos, true)) {
+      // Lying poses are as small as crawling, so they always fit
+      const lying = swimming || entity.elytraFlying || entity.isSpinAttacking;
+      const fits =
+        lying || entity.isSpectator || this._poseFits(pos, false, sneaking);
+      entity.isCrawling = !fits && !this._poseFits(pos, false, true);
+      entity.isCrouching = !lying && !entity.isCrawling && (sneaking || !fits);
+    }
+
+    if (this._isLying(entity)) {
+      entity.height = this.constants.playerCrawlHeight;
+      entity.eyeHeight = this.constants.playerCrawlEyeHeight;
+    } else if (entity.isCrouching) {
+      entity.height = this.constants.playerSneakHeight;
+      entity.eyeHeight = this.constants.playerSneakEyeHeight;
+    } else {
+      entity.height = this.constants.playerHeight;
+      entity.eyeHeight = this.constants.playerEyeHeight;
+    }
+  }
+
+  /**
+   * Sprinting forward with the eyes under water starts swimming. It lasts
+   * until the player leaves the water, lets go of sprint, or drifts without
+   * moving forward.
+   */
+  _updateSwimming(entity) {
+    const { sprint, forward, sneak } = entity.control;
+    if (!this.supportFeature("swimming") || entity.flying) {
+      entity.isSwimming = false;
+    } else if (entity.isSwimming) {
+      entity.isSwimming =
+        sprint && entity.isInWater && (forward || sneak || entity.onGround);
+    } else {
+      entity.isSwimming =
+        sprint &&
+        forward &&
+        this._isEyeInWater(entity) &&
+        this._isWaterAt(entity.pos);
+    }
+  }
+
+  /**
+   * Flight travels like the air, but the vertical speed is damped instead of
+   * pulled down by gravity. Landing stops flying, except for spectators.
+   */
+  _moveFlying(entity, strafe, forward) {
+    const vel = entity.vel;
+    const lastVelY = vel.y;
+    this._moveEntityWithHeading(entity, strafe, forward);
+    vel.y = lastVelY * this.constants.flyingVerticalDrag;
+
+    if (entity.onGround && !entity.isSpectator) entity.flying = false;
+  }
+
   /**
    * Handle elytra flying physics
    */
@@ -1247,6 +1985,7 @@ class PhysicsEngine {
       entity.elytraFlying &&
       entity.elytraEquipped &&
       !entity.onGround &&
+      !entity.flying &&
       !entity.levitation;
 
     if (entity.fireworkRocketDuration > 0) {
@@ -1266,6 +2005,19 @@ class PhysicsEngine {
   }
 }
 
+const CONTROLS = [
+  "forward",
+  "back",
+  "left",
+  "right",
+  "jump",
+  "sprint",
+  "sneak",
+];
+
+// Vanilla default of the abilities packet
+const DEFAULT_FLYING_SPEED = 0.05;
+
 /**
  * Player state class for managing entity state
  */
@@ -1287,14 +2039,36 @@ class PlayerState {
     this.isCollidedVertically = bot.entity.isCollidedVertically;
     this.elytraFlying = bot.entity.elytraFlying;
 
+    // Falling
+    this.fallDistance = bot.entity.fallDistance ?? 0;
+    this.impulseImpactY = bot.entity.impulseImpactY ?? null;
+    this.impulseGraceTicks = bot.entity.impulseGraceTicks ?? 0;
+    this.predictedDamage = 0;
+    this.damageCause = null;
+
     // Crawling / pose state from server-confirmed metadata
     this.isCrawling = bot.entity.isCrawling ?? false;
-    this.isSwimmingPose = bot.entity.isSwimmingPose ?? false;
+    this.isCrouching = bot.entity.isCrouching ?? false;
+    this.isSwimming = bot.entity.isSwimming ?? false;
+    this.isSpinAttacking = bot.entity.isSpinAttacking ?? false;
+    this.height = bot.entity.height;
+    this.eyeHeight = bot.entity.eyeHeight;
 
     // Jump state
     this.jumpTicks = bot.jumpTicks;
     this.jumpQueued = bot.jumpQueued;
+    this.jumpTriggerTime = bot.jumpTriggerTime;
     this.fireworkRocketDuration = bot.fireworkRocketDuration;
+    this.riptideTicks = bot.riptideTicks ?? 0;
+
+    // Abilities, tracked by the plugin; a plain mineflayer bot walks
+    this.flying = bot.ashAbilities?.flying ?? false;
+    this.allowFlying = bot.ashAbilities?.allowFlying ?? false;
+    this.flyingSpeed = bot.ashAbilities?.flyingSpeed ?? DEFAULT_FLYING_SPEED;
+    this.isSpectator = bot.game?.gameMode === "spectator";
+
+    // Weather
+    this.isRaining = bot.isRaining ?? false;
 
     // Input
     this.attributes = bot.entity.attributes;
@@ -1312,6 +2086,107 @@ class PlayerState {
     this._loadEquipment(bot);
   }
 
+  /**
+   * @deprecated Use isSwimming; kept so older callers and recordings still work
+   */
+  get isSwimmingPose() {
+    return this.isSwimming;
+  }
+
+  set isSwimmingPose(value) {
+    this.isSwimming = value;
+  }
+
+  /**
+   * Create a state from plain data, without a bot.
+   * Missing fields fall back to a player standing still with no effects.
+   */
+  static fromData(data = {}) {
+    const state = Object.create(PlayerState.prototype);
+
+    // Position and velocity
+    state.pos = toVec3(data.pos);
+    state.vel = toVec3(data.vel);
+
+    // State flags
+    state.onGround = data.onGround ?? false;
+    state.isInWater = data.isInWater ?? false;
+    state.isInLava = data.isInLava ?? false;
+    state.isInWeb = data.isInWeb ?? false;
+    state.isCollidedHorizontally = data.isCollidedHorizontally ?? false;
+    state.isCollidedVertically = data.isCollidedVertically ?? false;
+    state.elytraFlying = data.elytraFlying ?? false;
+
+    // Falling
+    state.fallDistance = data.fallDistance ?? 0;
+    state.impulseImpactY = data.impulseImpactY ?? null;
+    state.impulseGraceTicks = data.impulseGraceTicks ?? 0;
+    state.predictedDamage = 0;
+    state.damageCause = null;
+
+    // Pose
+    state.isCrawling = data.isCrawling ?? false;
+    state.isCrouching = data.isCrouching ?? false;
+    state.isSwimming = data.isSwimming ?? data.isSwimmingPose ?? false;
+    state.isSpinAttacking = data.isSpinAttacking ?? false;
+    state.height = data.height ?? 1.8;
+    state.eyeHeight = data.eyeHeight ?? 1.62;
+
+    // Jump state
+    state.jumpTicks = data.jumpTicks ?? 0;
+    state.jumpQueued = data.jumpQueued ?? false;
+    state.jumpTriggerTime = data.jumpTriggerTime ?? 0;
+    state.fireworkRocketDuration = data.fireworkRocketDuration ?? 0;
+    state.riptideTicks = data.riptideTicks ?? 0;
+
+    // Abilities
+    state.flying = data.flying ?? false;
+    state.allowFlying = data.allowFlying ?? false;
+    state.flyingSpeed = data.flyingSpeed ?? DEFAULT_FLYING_SPEED;
+    state.isSpectator = data.isSpectator ?? false;
+
+    // Weather
+    state.isRaining = data.isRaining ?? false;
+
+    // Input
+    state.attributes = data.attributes
+      ? JSON.parse(JSON.stringify(data.attributes))
+      : undefined;
+    state.yaw = data.yaw ?? 0;
+    state.pitch = data.pitch ?? 0;
+    state.control = {};
+    for (const control of CONTROLS) {
+      state.control[control] = data.control?.[control] ?? false;
+    }
+
+    // Effects
+    state.jumpBoost = data.jumpBoost ?? 0;
+    state.speed = data.speed ?? 0;
+    state.slowness = data.slowness ?? 0;
+    state.dolphinsGrace = data.dolphinsGrace ?? 0;
+    state.slowFalling = data.slowFalling ?? 0;
+    state.levitation = data.levitation ?? 0;
+
+    // Enchantments
+    state.depthStrider = data.depthStrider ?? 0;
+    state.featherFalling = data.featherFalling ?? 0;
+    state.riptide = data.riptide ?? 0;
+
+    // Equipment
+    state.elytraEquipped = data.elytraEquipped ?? false;
+
+    return state;
+  }
+
+  /**
+   * Create a state from the output of toJSON (object or JSON string)
+   */
+  static fromJSON(json) {
+    return PlayerState.fromData(
+      typeof json === "string" ? JSON.parse(json) : json,
+    );
+  }
+
   /**
    * Load effect levels from bot
    */
@@ -1327,23 +2202,22 @@ class PlayerState {
   }
 
   /**
-   * Load enchantments from armor
+   * Load enchantments from armor and the held item
    */
   _loadEnchantments(bot, mcData, nbt) {
-    const boots = bot.inventory.slots[8];
-
-    if (boots && boots.nbt) {
-      const simplifiedNbt = nbt.simplify(boots.nbt);
-      const enchantments =
-        simplifiedNbt.Enchantments ?? simplifiedNbt.ench ?? [];
-      this.depthStrider = getEnchantmentLevel(
-        mcData,
-        "depth_strider",
-        enchantments,
-      );
-    } else {
-      this.depthStrider = 0;
-    }
+    const boots = getItemEnchantments(bot.inventory.slots[8], nbt);
+    this.depthStrider = getEnchantmentLevel(mcData, "depth_strider", boots);
+    this.featherFalling = getEnchantmentLevel(mcData, "feather_falling", boots);
+
+    const heldItem = bot.heldItem;
+    this.riptide =
+      heldItem?.name === "trident"
+        ? getEnchantmentLevel(
+            mcData,
+            "riptide",
+            getItemEnchantments(heldItem, nbt),
+          )
+        : 0;
   }
 
   /**
@@ -1355,22 +2229,142 @@ class PlayerState {
   }
 
   /**
-   * Apply this state to a bot
+   * Plain-data snapshot of this state, safe to JSON.stringify
+   */
+  toJSON() {
+    return {
+      pos: { x: this.pos.x, y: this.pos.y, z: this.pos.z },
+      vel: { x: this.vel.x, y: this.vel.y, z: this.vel.z },
+      onGround: this.onGround,
+      isInWater: this.isInWater,
+      isInLava: this.isInLava,
+      isInWeb: this.isInWeb,
+      isCollidedHorizontally: this.isCollidedHorizontally,
+      isCollidedVertically: this.isCollidedVertically,
+      elytraFlying: this.elytraFlying,
+      fallDistance: this.fallDistance,
+      impulseImpactY: this.impulseImpactY,
+      impulseGraceTicks: this.impulseGraceTicks,
+      isCrawling: this.isCrawling,
+      isCrouching: this.isCrouching,
+      isSwimming: this.isSwimming,
+      isSpinAttacking: this.isSpinAttacking,
+      height: this.height,
+      eyeHeight: this.eyeHeight,
+      jumpTicks: this.jumpTicks,
+      jumpQueued: this.jumpQueued,
+      jumpTriggerTime: this.jumpTriggerTime,
+      fireworkRocketDuration: this.fireworkRocketDuration,
+      riptideTicks: this.riptideTicks,
+      flying: this.flying,
+      allowFlying: this.allowFlying,
+      flyingSpeed: this.flyingSpeed,
+      isSpectator: this.isSpectator,
+      isRaining: this.isRaining,
+      attributes: this.attributes
+        ? JSON.parse(JSON.stringify(this.attributes))
+        : undefined,
+      yaw: this.yaw,
+      pitch: this.pitch,
+      control: Object.fromEntries(
+        CONTROLS.map((control) => [control, !!this.control?.[control]]),
+      ),
+      jumpBoost: this.jumpBoost,
+      speed: this.speed,
+      slowness: this.slowness,
+      dolphinsGrace: this.dolphinsGrace,
+      slowFalling: this.slowFalling,
+      levitation: this.levitation,
+      depthStrider: this.depthStrider,
+      featherFalling: this.featherFalling,
+      riptide: this.riptide,
+      elytraEquipped: this.elytraEquipped,
+    };
+  }
+
+  /**
+   * Deep copy of this state (controls are copied, not shared)
+   */
+  clone() {
+    return PlayerState.fromData(this.toJSON());
+  }
+
+  /**
+   * Update controls and look direction from a tick input.
+   * Fields the input omits keep their current value.
    */
-  apply(bot) {
-    bot.entity.position = this.pos;
-    bot.entity.velocity = this.vel;
-    bot.entity.onGround = this.onGround;
-    bot.entity.isInWater = this.isInWater;
-    bot.entity.isInLava = this.isInLava;
-    bot.entity.isInWeb = this.isInWeb;
-    bot.entity.isCollidedHorizontally = this.isCollidedHorizontally;
-    bot.entity.isCollidedVertically = this.isCollidedVertically;
-    bot.entity.elytraFlying = this.elytraFlying;
-    bot.jumpTicks = this.jumpTicks;
-    bot.jumpQueued = this.jumpQueued;
-    bot.fireworkRocketDuration = this.fireworkRocketDuration;
+  setInput(input) {
+    for (const control of CONTROLS) {
+      if (typeof input[control] !== "boolean") continue;
+      if (control === "jump" && input.jump && !this.control.jump) {
+        this.jumpQueued = true;
+      }
+      this.control[control] = input[control];
+    }
+    if (input.yaw !== undefined) this.yaw = input.yaw;
+    if (input.pitch !== undefined) this.pitch = input.pitch;
+  }
+
+  /**
+   * Apply this state to a bot, or to any object shaped like an entity
+   */
+  apply(target) {
+    const entity = target.entity ?? target;
+
+    entity.position = this.pos;
+    entity.velocity = this.vel;
+    entity.onGround = this.onGround;
+    entity.isInWater = this.isInWater;
+    entity.isInLava = this.isInLava;
+    entity.isInWeb = this.isInWeb;
+    entity.isCollidedHorizontally = this.isCollidedHorizontally;
+    entity.isCollidedVertically = this.isCollidedVertically;
+    entity.elytraFlying = this.elytraFlying;
+    entity.fallDistance = this.fallDistance;
+    entity.impulseImpactY = this.impulseImpactY;
+    entity.impulseGraceTicks = this.impulseGraceTicks;
+    entity.isCrawling = this.isCrawling;
+    entity.isCrouching = this.isCrouching;
+    entity.isSwimming = this.isSwimming;
+    entity.isSpinAttacking = this.isSpinAttacking;
+    entity.height = this.height;
+    entity.eyeHeight = this.eyeHeight;
+    target.jumpTicks = this.jumpTicks;
+    target.jumpQueued = this.jumpQueued;
+    target.jumpTriggerTime = this.jumpTriggerTime;
+    target.fireworkRocketDuration = this.fireworkRocketDuration;
+    target.riptideTicks = this.riptideTicks;
+    if (target.ashAbilities) target.ashAbilities.flying = this.flying;
+  }
+}
+
+/**
+ * Whether the segment from `from` to `to` passes through the inside of box
+ */
+function segmentCrosses(box, from, to) {
+  let enter = 0;
+  let exit = 1;
+  for (const axis of ["X", "Y", "Z"]) {
+    const start = from[axis.toLowerCase()];
+    const delta = to[axis.toLowerCase()] - start;
+    const min = box[`min${axis}`];
+    const max = box[`max${axis}`];
+    if (delta === 0) {
+      if (start <= min || start >= max) return false;
+      continue;
+    }
+    const t0 = (min - start) / delta;
+    const t1 = (max - start) / delta;
+    enter = Math.max(enter, Math.min(t0, t1));
+    exit = Math.min(exit, Math.max(t0, t1));
+    if (enter >= exit) return false;
   }
+  return true;
+}
+
+function toVec3(v) {
+  if (!v) return new Vec3(0, 0, 0);
+  return new Vec3(v.x, v.y, v.z);
 }
 
 function getEffectLevel(mcData, effectName, effects) {
@@ -1383,6 +2377,28 @@ function getEffectLevel(mcData, effectName, effects) {
   return effectInfo.amplifier + 1;
 }
 
+/**
+ * Enchantments of an item as [{ id, lvl }], from its NBT or, on 1.20.5+,
+ * its enchantments component
+ */
+function getItemEnchantments(item, nbt) {
+  if (!item) return [];
+
+  const component = item.components?.find(
+    (component) => component.type === "enchantments",
+  );
+  if (component) {
+    return component.data.enchantments.map(({ id, level }) => ({
+      id,
+      lvl: level,
+    }));
+  }
+
+  if (!item.nbt) return [];
+  const simplifiedNbt = nbt.simplify(item.nbt);
+  return simplifiedNbt.Enchantments ?? simplifiedNbt.ench ?? [];
+}
+
 function getEnchantmentLevel(mcData, enchantmentName, enchantments) {
   const enchantmentDescriptor = mcData.enchantmentsByName[enchantmentName];
   if (!enchantmentDescriptor) return 0;
@@ -0,0 +1,143 @@
+const nbt = require("prismarine-nbt");
+
+// Firework rocket metadata keys by the version that introduced them. 1.14
+// added the pose and made the attached player optional, 1.17 added the
+// freezing ticks. Before 1.14 the attached player's id is sent as is.
+const LEGACY_METADATA_KEYS = [
+  ["1.17", { 8: "fireworks_item", 9: "attached_to_target" }],
+  ["1.14", { 7: "fireworks_item", 8: "attached_to_target" }],
+  ["1.11", { 6: "fireworks_item", 7: "boosted_entity" }],
+];
+
+/**
+ * Firework rocket boosts for elytra flight.
+ *
+ * A rocket used while gliding spawns as an entity whose metadata names the
+ * player it is attached to. The vanilla client keeps boosting for as long as
+ * that entity exists, so the boost is started from the metadata and ended by
+ * the rocket's entity_destroy. Rockets have boosted gliding players since
+ * 1.11; before 1.19.4 minecraft-data does not describe their metadata, so
+ * the keys come from LEGACY_METADATA_KEYS.
+ *
+ * @param {import('mineflayer').Bot} bot
+ */
+function injectFireworks(bot) {
+  // Rocket entity id -> flight duration from its item
+  const rockets = new Map();
+  let boostingRocket = null;
+
+  bot.fireworkRocketDuration = 0;
+
+  /**
+   * Longest lifetime of a rocket, in ticks. The server adds 0-11 random ticks
+   * to 10 per unit of flight duration, and the boost ends early when the
+   * rocket entity is removed.
+   */
+  function getLifetime(flight) {
+    return 10 * (1 + flight) + 11;
+  }
+
+  function getFlightDuration(networkItem) {
+    if (networkItem == null) return 0;
+
+    // 1.20.5+ item components
+    const fireworks = networkItem.components?.find(
+      (component) => component.type === "fireworks",
+    );
+    if (fireworks) return fireworks.data.flightDuration;
+
+    if (networkItem.nbtData) {
+      return nbt.simplify(networkItem.nbtData).Fireworks?.Flight ?? 0;
+    }
+    return 0;
+  }
+
+  function getMetadataKeys() {
+    if (bot.supportFeature("mcDataHasEntityMetadata")) {
+      return bot.registry.entitiesByName.firework_rocket.metadataKeys;
+    }
+    const version = bot.registry.version;
+    return (
+      LEGACY_METADATA_KEYS.find(([since]) => version[">="](since))?.[1] ?? {}
+    );
+  }
+
+  function getSpawnedName(type) {
+    // Before 1.14 spawn_entity only spawns objects, numbered apart from mobs
+    if (bot.registry.version["<"]("1.14")) {
+      return bot.registry.entitiesArray.find(
+        (entity) => entity.type === "object" && entity.id === type,
+      )?.name;
+    }
+    return bot.registry.entities[type]?.name;
+  }
+
+  bot._client.on("spawn_entity", (packet) => {
+    // Named fireworks_rocket before 1.13
+    const name = getSpawnedName(packet.type);
+    if (name !== "firework_rocket" && name !== "fireworks_rocket") return;
+    rockets.set(packet.entityId, 0);
+  });
+
+  bot._client.on("entity_metadata", (packet) => {
+    if (!rockets.has(packet.entityId)) return;
+
+    const metadataKeys = getMetadataKeys();
+    for (const { key, value } of packet.metadata) {
+      const name = metadataKeys[key];
+      if (name === "fireworks_item") {
+        rockets.set(packet.entityId, getFlightDuration(value));
+      } else if (name === "attached_to_target" || name === "boosted_entity") {
+        // Optional entity ids are sent one higher, with 0 for none
+        const attachedTo = name === "attached_to_target" ? value - 1 : value;
+        if (attachedTo !== bot.entity?.id) continue;
+
+        boostingRocket = packet.entityId;
+        bot.fireworkRocketDuration = getLifetime(rockets.get(packet.entityId));
+        bot.emit("fireworkBoost", bot.fireworkRocketDuration);
+      }
+    }
+  });
+
+  bot._client.on("entity_destroy", (packet) => {
+    for (const id of packet.entityIds) {
+      rockets.delete(id);
+      if (id === boostingRocket) {
+        boostingRocket = null;
+        bot.fireworkRocketDuration = 0;
+      }
+    }
+  });
+
+  bot.on("respawn", () => {
+    rockets.clear();
+    boostingRocket = null;
+    bot.fireworkRocketDuration = 0;
+  });
+
+  /**
+   * Use a firework rocket from the hotbar to boost the current glide
+   */
+  bot.ashUseFirework = async () => {
+    if (!bot.entity.elytraFlying) {
+      throw new Error("Must be elytra flying to use a firework");
+    }
+
+    // The item is named fireworks before 1.13
+    const rocket =
+      bot.registry.itemsByName.firework_rocket ??
+      bot.registry.itemsByName.fireworks;
+    const { hotbarStart } = bot.inventory;
+    const slot = bot.inventory.slots
+      .slice(hotbarStart, hotbarStart + 9)
+      .findIndex((item) => item?.name === rocket.name);
+    if (slot === -1) {
+      throw new Error("No firework rocket in the hotbar");
+    }
+
+    if (bot.quickBarSlot !== slot) bot.setQuickBarSlot(slot);
+    bot.activateItem();
+  };
+}
+
+module.exports = injectFireworks;
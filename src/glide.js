@@ -0,0 +1,256 @@
+const { createTask } = require("mineflayer/lib/promise_utils");
+const { PlayerState } = require("./engine.js");
+
+const DEG = Math.PI / 180;
+
+// Distance per block of height of a level glide, and a little under what
+// the climb/dive cycle reaches
+const GLIDE_RATIO = 9;
+const CYCLE_RATIO = 20;
+// The cycle climbs until it has slowed to CYCLE_LOW_SPEED and dives until it
+// is back at CYCLE_HIGH_SPEED (blocks per tick)
+const CYCLE_HIGH_SPEED = 1.6;
+const CYCLE_LOW_SPEED = 0.4;
+const CYCLE_CLIMB_PITCH = 30 * DEG;
+const CYCLE_DIVE_PITCH = -20 * DEG;
+// Dive steeper by this much per block above the glide path
+const DIVE_PITCH_PER_BLOCK = 2 * DEG;
+const MAX_DIVE_PITCH = -50 * DEG;
+const BOOST_CLIMB_PITCH = 20 * DEG;
+// Looking up bleeds speed down to a slow, shallow sink
+const FLARE_PITCH = 30 * DEG;
+const MAX_FLARE_TICKS = 200;
+// No flare carries further than this many ticks at the current speed
+const FLARE_REACH_TICKS = 100;
+// Too high this close to the target: circle down around it
+const ORBIT_RADIUS = 24;
+const ORBIT_EXCESS = 8;
+const LOOKAHEAD_TICKS = 20;
+// Touching down faster than this counts as a fall
+const SAFE_LANDING_SPEED = 0.5;
+// Ticks to wait for the server to spawn a used rocket
+const FIREWORK_WAIT_TICKS = 20;
+
+/**
+ * Elytra autopilot. Each step picks the look for the next tick of a glide
+ * to `target`: diving off height it does not need, cycling between climbs
+ * and dives to stretch the glide when short, and flaring to land. Every
+ * choice is simulated LOOKAHEAD_TICKS ahead and replaced by a steeper climb
+ * or a turn when it would hit terrain.
+ *
+ * @param {import('./engine.js').PhysicsEngine} physics
+ * @param {import('vec3').Vec3} target
+ */
+function createGlidePilot(physics, target) {
+  let climbing = false;
+  let landing = false;
+  let fireworkWait = 0;
+
+  function crashes(state, yaw, pitch) {
+    const sim = state.clone();
+    sim.yaw = yaw;
+    sim.pitch = pitch;
+    for (let tick = 0; tick < LOOKAHEAD_TICKS; tick++) {
+      const speedY = sim.vel.y;
+      physics.simulatePlayer(sim);
+      if (sim.isCollidedHorizontally) return true;
+      if (sim.onGround) return !landing || speedY < -SAFE_LANDING_SPEED;
+      if (!sim.elytraFlying) return false;
+    }
+    return false;
+  }
+
+  /**
+   * How far along `yaw` a flare from here touches down
+   */
+  function flareReach(state, yaw) {
+    const sim = state.clone();
+    sim.yaw = yaw;
+    sim.pitch = FLARE_PITCH;
+    for (let tick = 0; tick < MAX_FLARE_TICKS && sim.elytraFlying; tick++) {
+      physics.simulatePlayer(sim);
+    }
+    return (
+      -Math.sin(yaw) * (sim.pos.x - state.pos.x) -
+      Math.cos(yaw) * (sim.pos.z - state.pos.z)
+    );
+  }
+
+  function cruisePitch(speed) {
+    if (climbing && speed < CYCLE_LOW_SPEED) climbing = false;
+    else if (!climbing && speed > CYCLE_HIGH_SPEED) climbing = true;
+    return climbing ? CYCLE_CLIMB_PITCH : CYCLE_DIVE_PITCH;
+  }
+
+  /**
+   * Look for the next tick. `fireworks` says whether a rocket can be used.
+   *
+   * @returns {{ yaw: number, pitch: number, useFirework: boolean }}
+   */
+  function step(state, fireworks = false) {
+    const { pos, vel } = state;
+    const dx = target.x - pos.x;
+    const dz = target.z - pos.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    const height = pos.y - target.y;
+    const speed = Math.sqrt(vel.x * vel.x + vel.z * vel.z);
+    const boosting = state.fireworkRocketDuration > 0;
+    if (fireworkWait > 0) fireworkWait--;
+    const canBoost = fireworks && !boosting && fireworkWait === 0;
+
+    let yaw = Math.atan2(-dx, -dz);
+    let pitch;
+    let useFirework = false;
+    const excess = height - distance / GLIDE_RATIO;
+    // Once a flare from here would carry to the target, it is time to land
+    if (
+      !landing &&
+      excess < ORBIT_EXCESS &&
+      distance < speed * FLARE_REACH_TICKS
+    ) {
+      landing = flareReach(state, yaw) >= distance;
+    }
+
+    if (landing) {
+      pitch = FLARE_PITCH;
+    } else if (distance < ORBIT_RADIUS && excess > ORBIT_EXCESS) {
+      // Fly across the line to the target so the turn keeps circling it
+      yaw += 80 * DEG;
+      pitch = MAX_DIVE_PITCH;
+    } else if (excess > 0) {
+      pitch = Math.max(MAX_DIVE_PITCH, -excess * DIVE_PITCH_PER_BLOCK);
+    } else if (boosting) {
+      pitch = BOOST_CLIMB_PITCH;
+    } else if (height < distance / CYCLE_RATIO && canBoost) {
+      pitch = BOOST_CLIMB_PITCH;
+      useFirework = true;
+    } else {
+      pitch = cruisePitch(speed);
+    }
+
+    if (crashes(state, yaw, pitch)) {
+      const escape = [];
+      for (let climb = pitch + 15 * DEG; climb <= 50 * DEG; climb += 15 * DEG) {
+        escape.push({ yaw, pitch: climb });
+      }
+      for (const turn of [45, -45, 90, -90]) {
+        escape.push({ yaw: yaw + turn * DEG, pitch: BOOST_CLIMB_PITCH });
+      }
+      const safe = escape.find((look) => !crashes(state, look.yaw, look.pitch));
+      if (safe) {
+        ({ yaw, pitch } = safe);
+      } else {
+        // Nothing glides clear, so climb out on a rocket or slow down
+        pitch = canBoost ? BOOST_CLIMB_PITCH : FLARE_PITCH;
+        useFirework = canBoost;
+      }
+    }
+
+    if (useFirework) fireworkWait = FIREWORK_WAIT_TICKS;
+    return { yaw, pitch, useFirework };
+  }
+
+  return { step };
+}
+
+/**
+ * Adds bot.ashGlideTo() on top of createGlidePilot.
+ *
+ * @param {import('mineflayer').Bot} bot
+ * @param {import('./engine.js').PhysicsEngine} physics
+ */
+function injectGlide(bot, physics) {
+  let glideTask = null;
+
+  function hasFirework() {
+    // The item is named fireworks before 1.13
+    const rocket =
+      bot.registry.itemsByName.firework_rocket ??
+      bot.registry.itemsByName.fireworks;
+    const { hotbarStart } = bot.inventory;
+    return bot.inventory.slots
+      .slice(hotbarStart, hotbarStart + 9)
+      .some((item) => item?.name === rocket.name);
+  }
+
+  function getControlState() {
+    const control = {};
+    for (const name of Object.getOwnPropertyNames(bot.ashControlState)) {
+      control[name] = bot.ashGetControlState(name);
+    }
+    return control;
+  }
+
+  /**
+   * Glide to `point` and land within `tolerance` blocks of it. Resolves once
+   * the bot is on the ground or ashStopGlide() is called.
+   */
+  bot.ashGlideTo = async (point, options = {}) => {
+    const { fireworks = true, tolerance = 8, timeout = Infinity } = options;
+
+    if (!bot.entity.elytraFlying) {
+      throw new Error("Must be elytra flying to glide");
+    }
+    if (glideTask) glideTask.stop(new Error("Glide interrupted"));
+
+    const target = point.clone();
+    const pilot = createGlidePilot(physics, target);
+    let ticks = 0;
+    let onTick;
+
+    const task = createTask();
+    glideTask = {
+      stop(err) {
+        bot.removeListener("physicsTick", onTick);
+        bot.removeListener("end", onEnd);
+        glideTask = null;
+        if (err) task.cancel(err);
+        else task.finish();
+      },
+    };
+    const current = glideTask;
+    const onEnd = () => current.stop(new Error("Bot disconnected"));
+
+    onTick = () => {
+      const entity = bot.entity;
+      if (!entity.elytraFlying) {
+        const pos = entity.position;
+        const distance = Math.hypot(target.x - pos.x, target.z - pos.z);
+        if (!entity.onGround) {
+          current.stop(new Error("Stopped gliding"));
+        } else if (distance > tolerance) {
+          current.stop(new Error("Landed short of the target"));
+        } else {
+          current.stop();
+        }
+        return;
+      }
+      if (++ticks > timeout) {
+        current.stop(new Error("Glide timed out"));
+        return;
+      }
+
+      const state = new PlayerState(bot, getControlState());
+      const look = pilot.step(state, fireworks && hasFirework());
+      bot.look(look.yaw, look.pitch, true);
+      if (look.useFirework) {
+        // The pilot only asks while gliding with a rocket in the hotbar, so a
+        // failure is unexpected and ends the glide
+        bot.ashUseFirework().catch((err) => {
+          if (glideTask === current) current.stop(err);
+        });
+      }
+    };
+
+    bot.on("physicsTick", onTick);
+    bot.once("end", onEnd);
+
+    return task.promise;
+  };
+
+  bot.ashStopGlide = () => {
+    if (glideTask) glideTask.stop();
+  };
+}
+
+module.exports = { createGlidePilot, injectGlide };
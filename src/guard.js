@@ -0,0 +1,203 @@
+const MOVEMENT_CONTROLS = [
+  "forward",
+  "back",
+  "left",
+  "right",
+  "jump",
+  "sprint",
+];
+// Blocks scanned below a falling player before the drop counts as bottomless
+const MAX_GROUND_SCAN = 64;
+// Enough ticks to fall MAX_GROUND_SCAN blocks from rest
+const MAX_FALL_TICKS = 50;
+
+/**
+ * Opt-in movement guard.
+ *
+ * Before every physics tick the guard simulates a short horizon with the
+ * current controls. If that horizon ends in lava, a lethal drop, a cobweb
+ * over the void or outside the world border, the tick runs with safer
+ * controls instead and `movementVetoed` is emitted with the reason.
+ *
+ * @param {import('mineflayer').Bot} bot
+ * @param {import('./engine.js').PhysicsEngine} physics
+ */
+function createMovementGuard(bot, physics) {
+  const options = {
+    enabled: false,
+    horizon: 10,
+    maxFallDistance: null,
+  };
+  const border = { x: 0, z: 0, diameter: Infinity };
+  let lastReason = null;
+
+  function findGround(pos) {
+    const minY = bot.game?.minY ?? 0;
+    const cursor = pos.floored();
+    for (let i = 0; i < MAX_GROUND_SCAN && cursor.y >= minY; i++) {
+      const block = physics.world.getBlock(cursor);
+      if (block && physics.lavaIds.includes(block.type)) {
+        return { y: cursor.y + 1, lava: true };
+      }
+      if (block && physics.waterIds.includes(block.type)) {
+        return { y: cursor.y + 1, water: true };
+      }
+      if (block && block.boundingBox === "block") return { y: cursor.y + 1 };
+      cursor.y--;
+    }
+    return cursor.y < minY ? { void: true } : null;
+  }
+
+  // Landings come with the engine's damage prediction, which knows the
+  // player's effects, attributes and enchantments
+  function isLethalLanding(distance, tick) {
+    if (options.maxFallDistance != null) {
+      return distance > options.maxFallDistance;
+    }
+    return tick.predictedDamage >= (bot.health ?? 20);
+  }
+
+  function isOutsideBorder(pos) {
+    const half = border.diameter / 2 - physics.constants.playerHalfWidth;
+    return (
+      Math.abs(pos.x - border.x) > half || Math.abs(pos.z - border.z) > half
+    );
+  }
+
+  /**
+   * Reason a trajectory simulated from `state` is unsafe, or null
+   */
+  function checkTrajectory(state, trajectory) {
+    let peakY = state.pos.y;
+    for (const tick of trajectory) {
+      if (tick.isInLava) return "lava";
+      if (isOutsideBorder(tick.pos)) return "world border";
+
+      if (tick.onGround) {
+        if (!tick.isInWater && isLethalLanding(peakY - tick.pos.y, tick)) {
+          return "lethal drop";
+        }
+        peakY = tick.pos.y;
+      } else {
+        peakY = Math.max(peakY, tick.pos.y);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reason the horizon simulated with `control` is unsafe, or null
+   */
+  function findHazard(state, control) {
+    const trajectory = physics.simulateTimeline(
+      state,
+      [control],
+      options.horizon,
+    );
+    const hazard = checkTrajectory(state, trajectory);
+    if (hazard) return hazard;
+
+    const last = trajectory[trajectory.length - 1];
+    if (!last || last.onGround || last.isInWater) return null;
+
+    const ground = findGround(last.pos);
+    if (!ground) return "lethal drop";
+    if (ground.void) return isInWeb(last.pos) ? "cobweb over void" : "void";
+    if (ground.lava) return "lava";
+    if (ground.water) return null;
+
+    // Still falling onto solid ground: follow the fall to its landing
+    const fall = physics.simulateTimeline(
+      state,
+      [control],
+      options.horizon + MAX_FALL_TICKS,
+    );
+    return checkTrajectory(state, fall);
+  }
+
+  function isInWeb(pos) {
+    const bb = physics.getPlayerBB(pos);
+    return physics._isMaterialInBB(bb, [physics.specialBlocks.web]);
+  }
+
+  /**
+   * Replace the controls of `state` for this tick if they are unsafe
+   */
+  function filter(state) {
+    if (!options.enabled) return;
+
+    const control = state.control;
+    const reason = findHazard(state, control);
+    if (!reason) {
+      lastReason = null;
+      return;
+    }
+
+    // Prefer keeping the direction without sprint/jump, else stop moving.
+    // Sneak is left alone so the server's view of the pose stays in sync.
+    const walking = { ...control, sprint: false, jump: false };
+    const stopped = { ...control };
+    for (const name of MOVEMENT_CONTROLS) stopped[name] = false;
+
+    const replacement =
+      (walking.forward || walking.back || walking.left || walking.right) &&
+      !findHazard(state, walking)
+        ? walking
+        : stopped;
+    state.control = replacement;
+    if (!replacement.jump) state.jumpQueued = false;
+
+    if (reason !== lastReason) {
+      bot.emit("movementVetoed", {
+        reason,
+        position: state.pos.clone(),
+        control: { ...control },
+        replacement: { ...replacement },
+      });
+    }
+    lastReason = reason;
+  }
+
+  bot.ashEnableGuard = (guardOptions = {}) => {
+    Object.assign(options, guardOptions, { enabled: true });
+  };
+
+  bot.ashDisableGuard = () => {
+    options.enabled = false;
+    lastReason = null;
+  };
+
+  // World border tracking (1.17+)
+  bot._client.on("initialize_world_border", (packet) => {
+    border.x = packet.x;
+    border.z = packet.z;
+    border.diameter = Math.min(packet.oldDiameter, packet.newDiameter);
+  });
+  bot._client.on("world_border_center", (packet) => {
+    border.x = packet.x;
+    border.z = packet.z;
+  });
+  bot._client.on("world_border_size", (packet) => {
+    border.diameter = packet.diameter;
+  });
+  bot._client.on("world_border_lerp_size", (packet) => {
+    border.diameter = Math.min(packet.oldDiameter, packet.newDiameter);
+  });
+
+  // World border tracking (1.8 - 1.16)
+  bot._client.on("world_border", (packet) => {
+    if (packet.action === 0) {
+      border.diameter = packet.radius;
+    } else if (packet.action === 1 || packet.action === 3) {
+      border.diameter = Math.min(packet.old_radius, packet.new_radius);
+    }
+    if (packet.action === 2 || packet.action === 3) {
+      border.x = packet.x;
+      border.z = packet.z;
+    }
+  });
+
+  return { filter };
+}
+
+module.exports = createMovementGuard;
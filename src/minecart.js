@@ -0,0 +1,507 @@
+const { Vec3 } = require("vec3");
+const AABB = require("./aabb.js");
+const { clamp } = require("./util.js");
+
+const MINECART_HALF_WIDTH = 0.98 / 2;
+const MINECART_HEIGHT = 0.7;
+
+// The two ends of every rail shape, relative to the rail block
+const RAIL_EXITS = {
+  north_south: [
+    [0, 0, -1],
+    [0, 0, 1],
+  ],
+  east_west: [
+    [-1, 0, 0],
+    [1, 0, 0],
+  ],
+  ascending_east: [
+    [-1, -1, 0],
+    [1, 0, 0],
+  ],
+  ascending_west: [
+    [-1, 0, 0],
+    [1, -1, 0],
+  ],
+  ascending_north: [
+    [0, 0, -1],
+    [0, -1, 1],
+  ],
+  ascending_south: [
+    [0, -1, -1],
+    [0, 0, 1],
+  ],
+  south_east: [
+    [0, 0, 1],
+    [1, 0, 0],
+  ],
+  south_west: [
+    [0, 0, 1],
+    [-1, 0, 0],
+  ],
+  north_west: [
+    [0, 0, -1],
+    [-1, 0, 0],
+  ],
+  north_east: [
+    [0, 0, -1],
+    [1, 0, 0],
+  ],
+};
+
+/**
+ * Server-side minecart physics, following vanilla's AbstractMinecart:
+ * rail shapes, slopes, powered rail boost and braking, activator rails
+ * and coming off the track. The PhysicsEngine it wraps provides blocks,
+ * liquids and collision.
+ */
+class MinecartPhysics {
+  /**
+   * @param {import('./engine.js').PhysicsEngine} physics
+   */
+  constructor(physics) {
+    this.physics = physics;
+    this.constants = {
+      gravity: 0.04,
+      waterGravity: 0.005,
+      maxSpeed: 8 / 20,
+      waterMaxSpeed: 4 / 20,
+      slopeAcceleration: 0.0078125,
+      poweredRailBoost: 0.06,
+      poweredRailKick: 0.02,
+      brakeStopSpeed: 0.03,
+      ridingSlowdown: 0.997,
+      emptySlowdown: 0.96,
+      ridingSpeedFactor: 0.75,
+      // Motion a rider's input leaves on the rider: airborne speed, input
+      // scale and air drag
+      riderPush: 0.02 * 0.98 * 0.91,
+    };
+
+    const blocks = physics.blocksByName;
+    this.railIds = new Set(
+      ["rail", "powered_rail", "golden_rail", "detector_rail", "activator_rail"]
+        .filter((name) => blocks[name])
+        .map((name) => blocks[name].id),
+    );
+    this.poweredRailId = (blocks.powered_rail ?? blocks.golden_rail).id;
+    this.activatorRailId = blocks.activator_rail.id;
+  }
+
+  get world() {
+    return this.physics.world;
+  }
+
+  getMinecartBB(pos) {
+    const w = MINECART_HALF_WIDTH;
+    return new AABB(-w, 0, -w, w, MINECART_HEIGHT, w).offset(
+      pos.x,
+      pos.y,
+      pos.z,
+    );
+  }
+
+  isRail(block) {
+    return block != null && this.railIds.has(block.type);
+  }
+
+  /**
+   * Advance a MinecartState by one tick
+   */
+  simulateMinecart(cart) {
+    const c = this.constants;
+    cart.vel.y -= cart.isInWater ? c.waterGravity : c.gravity;
+
+    const railPos = cart.pos.floored();
+    if (this.isRail(this.world.getBlock(railPos.offset(0, -1, 0)))) {
+      railPos.y--;
+    }
+    const rail = this.world.getBlock(railPos);
+
+    cart.onRails = this.isRail(rail);
+    cart.rail = cart.onRails ? rail.name : null;
+    if (cart.onRails) {
+      this._moveAlongTrack(cart, railPos, rail);
+      if (rail.type === this.activatorRailId && isPowered(rail)) {
+        // A powered activator rail throws the rider out
+        cart.hasRider = false;
+        cart.ejected = true;
+      }
+    } else {
+      this._comeOffTrack(cart);
+    }
+
+    const fluidBB = this.getMinecartBB(cart.pos).contract(0.001, 0.001, 0.001);
+    cart.isInWater = this.physics._isInWaterApplyCurrent(fluidBB, cart.vel);
+
+    return cart;
+  }
+
+  /**
+   * Run a copy of a cart forward, like PhysicsEngine.simulateTimeline.
+   * Inputs are the rider's controls and yaw.
+   */
+  simulateTimeline(
+    cart,
+    inputTimeline = [],
+    ticks = Array.isArray(inputTimeline) ? inputTimeline.length : 0,
+  ) {
+    const sim = cart.clone();
+    const trajectory = [];
+
+    for (let tick = 0; tick < ticks; tick++) {
+      const input =
+        typeof inputTimeline === "function"
+          ? inputTimeline(tick, sim)
+          : inputTimeline[tick];
+      if (input) sim.setInput(input);
+
+      this.simulateMinecart(sim);
+
+      trajectory.push({
+        tick,
+        pos: sim.pos.clone(),
+        vel: sim.vel.clone(),
+        onGround: sim.onGround,
+        onRails: sim.onRails,
+        rail: sim.rail,
+        isCollidedHorizontally: sim.isCollidedHorizontally,
+        isInWater: sim.isInWater,
+        ejected: sim.ejected,
+      });
+    }
+
+    return trajectory;
+  }
+
+  _getMaxSpeed(cart) {
+    return cart.isInWater
+      ? this.constants.waterMaxSpeed
+      : this.constants.maxSpeed;
+  }
+
+  _comeOffTrack(cart) {
+    const maxSpeed = this._getMaxSpeed(cart);
+    cart.vel.x = clamp(-maxSpeed, cart.vel.x, maxSpeed);
+    cart.vel.z = clamp(-maxSpeed, cart.vel.z, maxSpeed);
+    if (cart.onGround) cart.vel.scale(0.5);
+
+    this._move(cart, cart.vel.x, cart.vel.y, cart.vel.z);
+    if (!cart.onGround) cart.vel.scale(0.95);
+  }
+
+  _moveAlongTrack(cart, railPos, rail) {
+    const c = this.constants;
+    const { pos, vel } = cart;
+    const start = this._getRailPos(pos);
+    const powered = rail.type === this.poweredRailId && isPowered(rail);
+    let braking = rail.type === this.poweredRailId && !powered;
+
+    const shape = getRailShape(rail);
+    const [exitA, exitB] = RAIL_EXITS[shape];
+
+    // Slopes pull the cart downhill
+    let slope = c.slopeAcceleration;
+    if (cart.isInWater) slope *= 0.2;
+    let y = railPos.y;
+    if (shape === "ascending_east") vel.x -= slope;
+    else if (shape === "ascending_west") vel.x += slope;
+    else if (shape === "ascending_north") vel.z += slope;
+    else if (shape === "ascending_south") vel.z -= slope;
+    if (shape.startsWith("ascending")) y++;
+
+    // Align the velocity with the rail
+    let dirX = exitB[0] - exitA[0];
+    let dirZ = exitB[2] - exitA[2];
+    const length = Math.sqrt(dirX * dirX + dirZ * dirZ);
+    if (vel.x * dirX + vel.z * dirZ < 0) {
+      dirX = -dirX;
+      dirZ = -dirZ;
+    }
+    const speed = Math.min(2, Math.hypot(vel.x, vel.z));
+    vel.x = (speed * dirX) / length;
+    vel.z = (speed * dirZ) / length;
+
+    // A rider holding a movement key pushes a slow cart
+    if (cart.hasRider && vel.x * vel.x + vel.z * vel.z < 0.01) {
+      const push = this._getRiderPush(cart);
+      if (push) {
+        vel.x += push.x;
+        vel.z += push.z;
+        braking = false;
+      }
+    }
+
+    if (braking) {
+      if (Math.hypot(vel.x, vel.z) < c.brakeStopSpeed) vel.set(0, 0, 0);
+      else vel.set(vel.x * 0.5, 0, vel.z * 0.5);
+    }
+
+    // Snap onto the line between the rail's exits
+    const ax = railPos.x + 0.5 + exitA[0] * 0.5;
+    const az = railPos.z + 0.5 + exitA[2] * 0.5;
+    const bx = railPos.x + 0.5 + exitB[0] * 0.5;
+    const bz = railPos.z + 0.5 + exitB[2] * 0.5;
+    const lineX = bx - ax;
+    const lineZ = bz - az;
+    const t = projectOntoRail(pos, railPos, ax, az, lineX, lineZ);
+    pos.set(ax + lineX * t, y, az + lineZ * t);
+
+    const factor = cart.hasRider ? c.ridingSpeedFactor : 1;
+    const maxSpeed = this._getMaxSpeed(cart);
+    this._move(
+      cart,
+      clamp(-maxSpeed, factor * vel.x, maxSpeed),
+      0,
+      clamp(-maxSpeed, factor * vel.z, maxSpeed),
+    );
+
+    // Leaving through the low end of a slope drops the cart a block
+    for (const exit of [exitA, exitB]) {
+      if (
+        exit[1] !== 0 &&
+        Math.floor(pos.x) - railPos.x === exit[0] &&
+        Math.floor(pos.z) - railPos.z === exit[2]
+      ) {
+        pos.y += exit[1];
+        break;
+      }
+    }
+
+    // Natural slowdown
+    const slowdown = cart.hasRider ? c.ridingSlowdown : c.emptySlowdown;
+    vel.set(vel.x * slowdown, 0, vel.z * slowdown);
+    if (cart.isInWater) vel.scale(0.95);
+
+    // Height lost turns into speed, height gained costs speed
+    const end = this._getRailPos(pos);
+    if (end && start) {
+      const energy = (start.y - end.y) * 0.05;
+      const horizontal = Math.hypot(vel.x, vel.z);
+      if (horizontal > 0) {
+        vel.x *= (horizontal + energy) / horizontal;
+        vel.z *= (horizontal + energy) / horizontal;
+      }
+      pos.y = end.y;
+    }
+
+    // Entering the next block turns the velocity towards it
+    const blockX = Math.floor(pos.x);
+    const blockZ = Math.floor(pos.z);
+    if (blockX !== railPos.x || blockZ !== railPos.z) {
+      const horizontal = Math.hypot(vel.x, vel.z);
+      vel.x = horizontal * (blockX - railPos.x);
+      vel.z = horizontal * (blockZ - railPos.z);
+    }
+
+    if (powered) this._applyPoweredRail(cart, railPos, shape);
+  }
+
+  _applyPoweredRail(cart, railPos, shape) {
+    const c = this.constants;
+    const { vel } = cart;
+    const speed = Math.hypot(vel.x, vel.z);
+
+    if (speed > 0.01) {
+      vel.x += (vel.x / speed) * c.poweredRailBoost;
+      vel.z += (vel.z / speed) * c.poweredRailBoost;
+      return;
+    }
+
+    // A cart at rest is kicked away from a solid block at one end
+    if (shape === "east_west") {
+      if (this._isConductor(railPos.offset(-1, 0, 0)))
+        vel.x = c.poweredRailKick;
+      else if (this._isConductor(railPos.offset(1, 0, 0))) {
+        vel.x = -c.poweredRailKick;
+      }
+    } else if (shape === "north_south") {
+      if (this._isConductor(railPos.offset(0, 0, -1)))
+        vel.z = c.poweredRailKick;
+      else if (this._isConductor(railPos.offset(0, 0, 1))) {
+        vel.z = -c.poweredRailKick;
+      }
+    }
+  }
+
+  _isConductor(pos) {
+    const block = this.world.getBlock(pos);
+    return block != null && block.boundingBox === "block" && !block.transparent;
+  }
+
+  /**
+   * Point on the rail under `pos` the cart rides at, or null off the rails
+   */
+  _getRailPos(pos) {
+    const railPos = pos.floored();
+    if (this.isRail(this.world.getBlock(railPos.offset(0, -1, 0)))) {
+      railPos.y--;
+    }
+    const rail = this.world.getBlock(railPos);
+    if (!this.isRail(rail)) return null;
+
+    const [exitA, exitB] = RAIL_EXITS[getRailShape(rail)];
+    const ax = railPos.x + 0.5 + exitA[0] * 0.5;
+    const ay = railPos.y + 0.0625 + exitA[1] * 0.5;
+    const az = railPos.z + 0.5 + exitA[2] * 0.5;
+    const lineX = exitB[0] - exitA[0];
+    const lineY = exitB[1] - exitA[1];
+    const lineZ = exitB[2] - exitA[2];
+    const t = projectOntoRail(pos, railPos, ax, az, lineX, lineZ);
+
+    const result = new Vec3(ax + lineX * t, ay + lineY * t, az + lineZ * t);
+    if (lineY < 0) result.y += 1;
+    else if (lineY > 0) result.y += 0.5;
+    return result;
+  }
+
+  /**
+   * Velocity the rider's input adds to a slow cart, or null without input.
+   * Since 1.14 vanilla pushes with the motion the input leaves on the
+   * rider; before that only forward input pushed, at a fixed speed.
+   */
+  _getRiderPush(cart) {
+    const { forward, back, left, right } = cart.control;
+    const sin = Math.sin(cart.riderYaw);
+    const cos = Math.cos(cart.riderYaw);
+
+    if (!this.physics.supportFeature("minecartPushFromRiderMotion")) {
+      return forward ? new Vec3(-sin * 0.1, 0, -cos * 0.1) : null;
+    }
+
+    const strafe = (left ? 1 : 0) - (right ? 1 : 0);
+    const ahead = (forward ? 1 : 0) - (back ? 1 : 0);
+    const length = Math.hypot(strafe, ahead);
+    if (length === 0) return null;
+
+    const scale = this.constants.riderPush / Math.max(length, 1);
+    const motion = new Vec3(
+      (-strafe * cos - ahead * sin) * scale,
+      0,
+      (strafe * sin - ahead * cos) * scale,
+    );
+    if (motion.x * motion.x + motion.z * motion.z <= 1.0e-4) return null;
+    return motion.scale(0.1);
+  }
+
+  /**
+   * Move with block collision, without stepping
+   */
+  _move(cart, dx, dy, dz) {
+    const { pos, vel } = cart;
+    const bb = this.getMinecartBB(pos);
+    const surroundingBBs = this.physics.getSurroundingBBs(
+      bb.clone().extend(dx, dy, dz),
+    );
+    const oldDx = dx;
+    const oldDy = dy;
+    const oldDz = dz;
+
+    for (const blockBB of surroundingBBs) dy = blockBB.computeOffsetY(bb, dy);
+    bb.offset(0, dy, 0);
+    for (const blockBB of surroundingBBs) dx = blockBB.computeOffsetX(bb, dx);
+    bb.offset(dx, 0, 0);
+    for (const blockBB of surroundingBBs) dz = blockBB.computeOffsetZ(bb, dz);
+    bb.offset(0, 0, dz);
+
+    pos.set(
+      bb.minX + MINECART_HALF_WIDTH,
+      bb.minY,
+      bb.minZ + MINECART_HALF_WIDTH,
+    );
+
+    cart.isCollidedHorizontally = dx !== oldDx || dz !== oldDz;
+    cart.isCollidedVertically = dy !== oldDy;
+    cart.onGround = cart.isCollidedVertically && oldDy < 0;
+
+    if (dx !== oldDx) vel.x = 0;
+    if (dz !== oldDz) vel.z = 0;
+    if (cart.isCollidedVertically) vel.y = 0;
+  }
+}
+
+/**
+ * Everything MinecartPhysics needs to simulate one minecart
+ */
+class MinecartState {
+  /**
+   * Create a state from plain data. Missing fields fall back to an empty
+   * cart at rest.
+   */
+  static fromData(data = {}) {
+    const state = new MinecartState();
+    state.pos = toVec3(data.pos);
+    state.vel = toVec3(data.vel);
+
+    state.onRails = data.onRails ?? false;
+    state.rail = data.rail ?? null;
+    state.onGround = data.onGround ?? false;
+    state.isInWater = data.isInWater ?? false;
+    state.isCollidedHorizontally = data.isCollidedHorizontally ?? false;
+    state.isCollidedVertically = data.isCollidedVertically ?? false;
+
+    // Rider
+    state.hasRider = data.hasRider ?? false;
+    state.ejected = data.ejected ?? false;
+    state.riderYaw = data.riderYaw ?? 0;
+    state.control = {
+      forward: data.control?.forward ?? false,
+      back: data.control?.back ?? false,
+      left: data.control?.left ?? false,
+      right: data.control?.right ?? false,
+    };
+    return state;
+  }
+
+  /**
+   * State of a minecart entity as last seen by the client
+   */
+  static fromEntity(entity, hasRider) {
+    return MinecartState.fromData({
+      pos: entity.position,
+      vel: entity.velocity,
+      hasRider,
+    });
+  }
+
+  clone() {
+    return MinecartState.fromData(this);
+  }
+
+  /**
+   * Apply one tick of rider input, as accepted by simulateTimeline
+   */
+  setInput(input) {
+    for (const control of Object.keys(this.control)) {
+      if (typeof input[control] === "boolean") {
+        this.control[control] = input[control];
+      }
+    }
+    if (input.yaw !== undefined) this.riderYaw = input.yaw;
+  }
+}
+
+/**
+ * How far along the rail from exit (ax, az) the point `pos` lies
+ */
+function projectOntoRail(pos, railPos, ax, az, lineX, lineZ) {
+  if (lineX === 0) return pos.z - railPos.z;
+  if (lineZ === 0) return pos.x - railPos.x;
+  return ((pos.x - ax) * lineX + (pos.z - az) * lineZ) * 2;
+}
+
+function getRailShape(block) {
+  const shape = block.getProperties().shape;
+  return shape in RAIL_EXITS ? shape : "north_south";
+}
+
+function isPowered(block) {
+  // Legacy (pre-1.13) block properties are strings
+  return String(block.getProperties().powered) === "true";
+}
+
+function toVec3(v) {
+  return v ? new Vec3(v.x, v.y, v.z) : new Vec3(0, 0, 0);
+}
+
+module.exports = { MinecartPhysics, MinecartState };
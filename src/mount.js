@@ -0,0 +1,464 @@
+const { Vec3 } = require("vec3");
+const attribute = require("./attribute.js");
+
+const HORSE = {
+  steering: "rider",
+  movementSpeed: 0.225,
+  jumpStrength: 0.7,
+  stepHeight: 1,
+  seatHeight: (height) => height * 0.75,
+};
+const DONKEY = { ...HORSE, movementSpeed: 0.175, jumpStrength: 0.5 };
+const UNDEAD_HORSE = { ...HORSE, movementSpeed: 0.2 };
+const LLAMA = {
+  steering: null,
+  movementSpeed: 0.175,
+  stepHeight: 1,
+  seatHeight: (height) => height * 0.6,
+};
+
+/**
+ * Rideable mobs by entity name. Movement speed and jump strength are the
+ * vanilla defaults (or averages, for horses), used until the server sends
+ * the entity's attributes.
+ */
+const MOUNT_TYPES = {
+  horse: HORSE,
+  donkey: DONKEY,
+  mule: DONKEY,
+  skeleton_horse: UNDEAD_HORSE,
+  zombie_horse: UNDEAD_HORSE,
+  // Llamas carry riders but are never steered by them
+  llama: LLAMA,
+  trader_llama: LLAMA,
+  pig: {
+    steering: "carrot_on_a_stick",
+    movementSpeed: 0.25,
+    stepHeight: 0.6,
+    seatHeight: (height) => height * 0.75,
+  },
+  strider: {
+    steering: "warped_fungus_on_a_stick",
+    movementSpeed: 0.175,
+    stepHeight: 0.6,
+    standOnLava: true,
+    seatHeight: (height) => height - 0.19,
+  },
+  camel: {
+    steering: "rider",
+    dashes: true,
+    movementSpeed: 0.09,
+    jumpStrength: 0.42,
+    stepHeight: 1.5,
+    seatHeight: (height) => height - 0.6,
+  },
+};
+
+/**
+ * Physics of mobs ridden by a player, following vanilla's ridden travel for
+ * horses, pigs, striders and camels. The mob moves through
+ * PhysicsEngine._moveEntityWithHeading like a player does, with its own
+ * hitbox, step height and speed; this adds the ridden input, horse jumps,
+ * camel dashes and strider lava walking on top.
+ */
+class MountPhysics {
+  /**
+   * @param {import('./engine.js').PhysicsEngine} physics
+   */
+  constructor(physics) {
+    this.physics = physics;
+    this.constants = {
+      sidewaysFactor: 0.5,
+      backwardsFactor: 0.25,
+      airborneSpeedFactor: 0.1,
+      horseJumpForward: 0.4,
+      pigSpeedFactor: 0.225,
+      striderWarmSpeedFactor: 0.55,
+      striderColdSpeedFactor: 0.35,
+      camelSprintSpeed: 0.1,
+      camelDashSpeed: 22.2222,
+      camelDashLift: 1.4285,
+      camelDashCooldown: 55,
+      riderJumpCooldown: 10,
+    };
+
+    const attributes = physics.mcData.attributesByName;
+    this.movementSpeedAttribute = attributes.movementSpeed.resource;
+    this.jumpStrengthAttribute = (
+      attributes.horseJumpStrength ?? attributes.jumpStrength
+    ).resource;
+    this.stepHeightAttribute = attributes.stepHeight?.resource ?? null;
+  }
+
+  getMountBB(mount) {
+    return this.physics.getHitboxBB(mount.pos, mount.hitbox);
+  }
+
+  /**
+   * Advance a ridden MountState by one tick: first the mob travels, then its
+   * rider charges or releases a jump
+   */
+  simulateMount(mount) {
+    const physics = this.physics;
+    const vel = mount.vel;
+
+    const bb = this.getMountBB(mount);
+    mount.isInWater = physics._isInWaterApplyCurrent(
+      bb.clone().contract(0.001, 0.401, 0.001),
+      vel,
+    );
+    mount.isInLava = physics._isMaterialInBB(
+      bb.clone().contract(0.1, 0.4, 0.1),
+      physics.lavaIds,
+    );
+
+    const negligible = physics.constants.negligeableVelocity;
+    if (Math.abs(vel.x) < negligible) vel.x = 0;
+    if (Math.abs(vel.y) < negligible) vel.y = 0;
+    if (Math.abs(vel.z) < negligible) vel.z = 0;
+
+    if (mount.standOnLava) this._floatStrider(mount);
+    if (mount.dashCooldown > 0) mount.dashCooldown--;
+
+    if (mount.onGround) {
+      mount.isJumping = false;
+      if (mount.pendingJump > 0) this._executeRidersJump(mount);
+      mount.pendingJump = 0;
+    }
+
+    const { strafe, forward } = this._getRiddenInput(mount);
+    const speed = this._getRiddenSpeed(mount);
+    mount.attributes = {
+      [physics.constants.movementSpeedAttribute]:
+        attribute.createAttributeValue(speed),
+    };
+    mount.airborneAcceleration = speed * this.constants.airborneSpeedFactor;
+    physics._moveEntityWithHeading(mount, strafe, forward);
+
+    this._tickRiderJump(mount);
+    return mount;
+  }
+
+  /**
+   * Movement input the mob gets from its rider, in the engine's
+   * strafe/forward convention
+   */
+  _getRiddenInput(mount) {
+    const { forward, back, left, right } = mount.input;
+    if (mount.steering !== "rider") {
+      // Pigs and striders always walk towards where the rider looks
+      return { strafe: 0, forward: 1 };
+    }
+
+    const strafe =
+      ((right ? 1 : 0) - (left ? 1 : 0)) * 0.98 * this.constants.sidewaysFactor;
+    let ahead = ((forward ? 1 : 0) - (back ? 1 : 0)) * 0.98;
+    if (ahead <= 0) ahead *= this.constants.backwardsFactor;
+    return { strafe, forward: ahead };
+  }
+
+  _getRiddenSpeed(mount) {
+    const c = this.constants;
+    switch (mount.steering) {
+      case "carrot_on_a_stick":
+        return mount.movementSpeed * c.pigSpeedFactor;
+      case "warped_fungus_on_a_stick":
+        return (
+          mount.movementSpeed *
+          (this._isStriderCold(mount)
+            ? c.striderColdSpeedFactor
+            : c.striderWarmSpeedFactor)
+        );
+      default:
+        if (mount.dashes && mount.input.sprint && mount.dashCooldown === 0) {
+          return mount.movementSpeed + c.camelSprintSpeed;
+        }
+        return mount.movementSpeed;
+    }
+  }
+
+  /**
+   * Striders out of lava are cold and walk slower
+   */
+  _isStriderCold(mount) {
+    const lavaIds = this.physics.lavaIds;
+    const world = this.physics.world;
+    const isLava = (block) => block != null && lavaIds.includes(block.type);
+    return !(
+      mount.isInLava ||
+      isLava(world.getBlock(mount.pos)) ||
+      isLava(world.getBlock(mount.pos.offset(0, -0.2, 0)))
+    );
+  }
+
+  /**
+   * Striders rise through lava until they stand on its surface
+   */
+  _floatStrider(mount) {
+    if (!mount.isInLava) return;
+
+    const feet = mount.pos.floored();
+    const above = this.physics.world.getBlock(feet.offset(0, 1, 0));
+    const lavaAbove =
+      above != null && this.physics.lavaIds.includes(above.type);
+    if (mount.pos.y > feet.y + 0.5 - 1e-5 && !lavaAbove) {
+      mount.onGround = true;
+    } else {
+      mount.vel.scale(0.5);
+      mount.vel.y += 0.05;
+    }
+  }
+
+  /**
+   * A released jump: horses leap, camels dash
+   */
+  _executeRidersJump(mount) {
+    const c = this.constants;
+    const scale = mount.pendingJump;
+    const blockBelow = this.physics.world.getBlock(
+      mount.pos.offset(0, -0.5, 0),
+    );
+    const blockJumpFactor =
+      blockBelow?.type === this.physics.specialBlocks.honeyblock
+        ? this.physics.constants.honeyblockJumpSpeed
+        : 1;
+    const yaw = Math.PI - mount.yaw;
+
+    if (mount.dashes) {
+      const dash = c.camelDashSpeed * scale * mount.movementSpeed;
+      mount.vel.x += -Math.sin(yaw) * dash;
+      mount.vel.z += Math.cos(yaw) * dash;
+      mount.vel.y +=
+        c.camelDashLift * scale * mount.jumpStrength * blockJumpFactor;
+      mount.dashCooldown = c.camelDashCooldown;
+    } else {
+      mount.vel.y = mount.jumpStrength * scale * blockJumpFactor;
+      if (mount.input.forward && !mount.input.back) {
+        mount.vel.x += -c.horseJumpForward * Math.sin(yaw) * scale;
+        mount.vel.z += c.horseJumpForward * Math.cos(yaw) * scale;
+      }
+    }
+    mount.isJumping = true;
+  }
+
+  /**
+   * The rider charges a jump while holding jump and releases it on letting
+   * go. The released power (0-100) is left in `jumpPower` for the tick.
+   */
+  _tickRiderJump(mount) {
+    const jumping = mount.input.jump;
+    mount.jumpPower = null;
+
+    if (mount.jumpStrength == null) {
+      mount.jumpScale = 0;
+    } else {
+      if (mount.jumpTicks < 0 && ++mount.jumpTicks === 0) mount.jumpScale = 0;
+
+      if (mount.wasJumping && !jumping) {
+        mount.jumpTicks = -this.constants.riderJumpCooldown;
+        mount.jumpPower = Math.floor(mount.jumpScale * 100);
+        this._onPlayerJump(mount, mount.jumpPower);
+      } else if (!mount.wasJumping && jumping) {
+        mount.jumpTicks = 0;
+        mount.jumpScale = 0;
+      } else if (mount.wasJumping) {
+        mount.jumpTicks++;
+        mount.jumpScale =
+          mount.jumpTicks < 10
+            ? mount.jumpTicks * 0.1
+            : 0.8 + (2 / (mount.jumpTicks - 9)) * 0.1;
+      }
+    }
+
+    mount.wasJumping = jumping;
+  }
+
+  _onPlayerJump(mount, power) {
+    // Camels only dash from the ground once the last dash has cooled down
+    if (mount.dashes && (mount.dashCooldown > 0 || !mount.onGround)) return;
+    power = Math.max(power, 0);
+    mount.pendingJump = power >= 90 ? 1 : 0.4 + (0.4 * power) / 90;
+  }
+
+  /**
+   * Run a copy of a mount forward, like PhysicsEngine.simulateTimeline.
+   * Inputs are the rider's controls and yaw.
+   */
+  simulateTimeline(
+    mount,
+    inputTimeline = [],
+    ticks = Array.isArray(inputTimeline) ? inputTimeline.length : 0,
+  ) {
+    const sim = mount.clone();
+    const trajectory = [];
+
+    for (let tick = 0; tick < ticks; tick++) {
+      const input =
+        typeof inputTimeline === "function"
+          ? inputTimeline(tick, sim)
+          : inputTimeline[tick];
+      if (input) sim.setInput(input);
+
+      this.simulateMount(sim);
+
+      trajectory.push({
+        tick,
+        pos: sim.pos.clone(),
+        vel: sim.vel.clone(),
+        onGround: sim.onGround,
+        isCollidedHorizontally: sim.isCollidedHorizontally,
+        isCollidedVertically: sim.isCollidedVertically,
+        isInWater: sim.isInWater,
+        isInLava: sim.isInLava,
+        jumpPower: sim.jumpPower,
+      });
+    }
+
+    return trajectory;
+  }
+
+  /**
+   * State for the mob `entity` with its type defaults
+   */
+  createState(entity) {
+    const type = MOUNT_TYPES[entity.name];
+    const size = this.physics.mcData.entitiesByName[entity.name];
+    const state = MountState.fromData({
+      name: entity.name,
+      pos: entity.position,
+      vel: entity.velocity,
+      yaw: entity.yaw,
+      onGround: entity.onGround,
+      hitbox: { halfWidth: size.width / 2, height: size.height },
+      seatHeight: type.seatHeight(size.height),
+      steering: type.steering,
+      dashes: type.dashes,
+      standOnLava: type.standOnLava,
+      movementSpeed: type.movementSpeed,
+      jumpStrength: type.jumpStrength,
+      stepHeight: type.stepHeight,
+    });
+    this.applyAttributes(state, entity);
+    return state;
+  }
+
+  /**
+   * Take over the attributes the server sent for the mob `entity`
+   */
+  applyAttributes(mount, entity) {
+    const type = MOUNT_TYPES[mount.name];
+    const read = (resource, fallback) => {
+      const value = resource && entity.attributes?.[resource];
+      return value ? attribute.getAttributeValue(value) : fallback;
+    };
+
+    mount.movementSpeed = read(this.movementSpeedAttribute, type.movementSpeed);
+    mount.stepHeight = read(this.stepHeightAttribute, type.stepHeight);
+    if (type.jumpStrength !== undefined) {
+      mount.jumpStrength = read(this.jumpStrengthAttribute, type.jumpStrength);
+    }
+  }
+}
+
+/**
+ * A mob ridden by the player. It is shaped like a PlayerState so the
+ * engine's movement code can run on it; `input` holds the rider's controls,
+ * while `control` stays released since the mob itself never sneaks or
+ * sprints.
+ */
+class MountState {
+  /**
+   * Create a state from plain data. Missing fields fall back to a
+   * player-sized mob at rest.
+   */
+  static fromData(data = {}) {
+    const state = new MountState();
+    state.name = data.name ?? null;
+    state.pos = toVec3(data.pos);
+    state.vel = toVec3(data.vel);
+    state.yaw = data.yaw ?? 0;
+    state.pitch = data.pitch ?? 0;
+
+    // Type
+    state.hitbox = { halfWidth: 0.3, height: 1.8, ...data.hitbox };
+    state.seatHeight = data.seatHeight ?? state.hitbox.height * 0.75;
+    state.stepHeight = data.stepHeight ?? 0.6;
+    state.steering = data.steering ?? "rider";
+    state.dashes = data.dashes ?? false;
+    state.standOnLava = data.standOnLava ?? false;
+    state.movementSpeed = data.movementSpeed ?? 0.1;
+    state.jumpStrength = data.jumpStrength ?? null;
+
+    // Movement
+    state.onGround = data.onGround ?? false;
+    state.isInWater = data.isInWater ?? false;
+    state.isInLava = data.isInLava ?? false;
+    state.isInWeb = data.isInWeb ?? false;
+    state.isCollidedHorizontally = data.isCollidedHorizontally ?? false;
+    state.isCollidedVertically = data.isCollidedVertically ?? false;
+    state.control = {
+      forward: false,
+      back: false,
+      left: false,
+      right: false,
+      jump: false,
+      sprint: false,
+      sneak: false,
+    };
+
+    // Jumps and dashes
+    state.isJumping = data.isJumping ?? false;
+    state.pendingJump = data.pendingJump ?? 0;
+    state.dashCooldown = data.dashCooldown ?? 0;
+    state.wasJumping = data.wasJumping ?? false;
+    state.jumpTicks = data.jumpTicks ?? 0;
+    state.jumpScale = data.jumpScale ?? 0;
+    state.jumpPower = data.jumpPower ?? null;
+
+    // Rider
+    state.input = {
+      forward: data.input?.forward ?? false,
+      back: data.input?.back ?? false,
+      left: data.input?.left ?? false,
+      right: data.input?.right ?? false,
+      jump: data.input?.jump ?? false,
+      sprint: data.input?.sprint ?? false,
+    };
+
+    // Player fields the engine reads; mobs ignore the rider's effects
+    state.isCrawling = false;
+    state.isSwimming = false;
+    state.elytraFlying = false;
+    state.depthStrider = 0;
+    state.dolphinsGrace = 0;
+    state.slowFalling = 0;
+    state.levitation = 0;
+    state.speed = 0;
+    state.slowness = 0;
+    state.attributes = null;
+    return state;
+  }
+
+  clone() {
+    return MountState.fromData(this);
+  }
+
+  /**
+   * Apply one tick of rider input, as accepted by simulateTimeline. The mob
+   * turns to face wherever its rider looks.
+   */
+  setInput(input) {
+    for (const control of Object.keys(this.input)) {
+      if (typeof input[control] === "boolean") {
+        this.input[control] = input[control];
+      }
+    }
+    if (input.yaw !== undefined) this.yaw = input.yaw;
+  }
+}
+
+function toVec3(v) {
+  return v ? new Vec3(v.x, v.y, v.z) : new Vec3(0, 0, 0);
+}
+
+module.exports = { MountPhysics, MountState, MOUNT_TYPES };
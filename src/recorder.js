@@ -0,0 +1,188 @@
+const fs = require("fs");
+const { Vec3 } = require("vec3");
+const { PhysicsEngine, PlayerState } = require("./engine.js");
+
+const RECORDED_PACKETS = ["position", "entity_velocity", "explosion"];
+
+/**
+ * Tick recorder. Every physics tick is written as one JSON line holding the
+ * pre/post PlayerState and the blocks the engine queried, so the tick can be
+ * re-simulated offline with replayRecording.
+ *
+ * @param {import('mineflayer').Bot} bot
+ * @param {PhysicsEngine} physics
+ */
+function createRecorder(bot, physics) {
+  let stream = null;
+  let tick = 0;
+
+  function write(entry) {
+    stream.write(JSON.stringify(entry, jsonReplacer) + "\n");
+  }
+
+  /**
+   * Run `simulate` for one tick, recording it when a recording is active
+   */
+  function recordTick(state, simulate) {
+    if (!stream) {
+      simulate();
+      return;
+    }
+
+    const pre = state.toJSON();
+    const blocks = {};
+    const world = physics.world;
+    physics.world = {
+      getBlock: (pos) => {
+        const block = world.getBlock(pos);
+        const key = `${Math.floor(pos.x)},${Math.floor(pos.y)},${Math.floor(pos.z)}`;
+        if (!(key in blocks)) {
+          blocks[key] = block
+            ? { stateId: block.stateId, biome: block.biome?.id ?? 0 }
+            : null;
+        }
+        return block;
+      },
+    };
+
+    try {
+      simulate();
+    } finally {
+      physics.world = world;
+    }
+
+    write({
+      type: "tick",
+      tick: tick++,
+      time: Date.now(),
+      pre,
+      post: state.toJSON(),
+      blocks,
+    });
+  }
+
+  function onPacket(name, packet) {
+    if (!stream) return;
+    if (name === "entity_velocity" && packet.entityId !== bot.entity?.id) {
+      return;
+    }
+    write({ type: "packet", tick, time: Date.now(), name, packet });
+  }
+
+  for (const name of RECORDED_PACKETS) {
+    bot._client.on(name, (packet) => onPacket(name, packet));
+  }
+
+  bot.ashStartRecording = (file) => {
+    if (stream) throw new Error("Already recording");
+    stream = fs.createWriteStream(file);
+    // A path that cannot be written ends the recording, not the bot
+    const current = stream;
+    current.on("error", (err) => {
+      if (stream === current) stream = null;
+      bot.emit("recordingError", err);
+    });
+    tick = 0;
+    write({ type: "header", version: bot.version, time: Date.now() });
+  };
+
+  bot.ashStopRecording = async () => {
+    if (!stream) return;
+    const closing = stream;
+    stream = null;
+    await new Promise((resolve) => closing.end(resolve));
+  };
+
+  bot.on("end", () => {
+    if (stream) bot.ashStopRecording();
+  });
+
+  return { recordTick };
+}
+
+/**
+ * Re-run every recorded tick against the recorded blocks and diff the result
+ * with what the live engine produced.
+ *
+ * `recording` is a file path or an array of already-parsed entries.
+ * Returns { ticks, firstDivergence, maxPositionError }.
+ */
+function replayRecording(recording, options = {}) {
+  const { tolerance = 1e-9 } = options;
+  const entries = Array.isArray(recording)
+    ? recording
+    : fs
+        .readFileSync(recording, "utf8")
+        .split("\n")
+        .filter((line) => line.trim() !== "")
+        .map((line) => JSON.parse(line));
+
+  const header = entries.find((entry) => entry.type === "header");
+  if (!header) throw new Error("Recording has no header");
+
+  const registry = require("prismarine-registry")(header.version);
+  const Block = require("prismarine-block")(registry);
+
+  let blocks = {};
+  const world = {
+    getBlock: (pos) => {
+      const x = Math.floor(pos.x);
+      const y = Math.floor(pos.y);
+      const z = Math.floor(pos.z);
+      const recorded = blocks[`${x},${y},${z}`];
+      if (!recorded) return null;
+      const block = Block.fromStateId(recorded.stateId, recorded.biome);
+      block.position = new Vec3(x, y, z);
+      return block;
+    },
+  };
+  const physics = new PhysicsEngine(registry, world);
+
+  const ticks = [];
+  let firstDivergence = null;
+  let maxPositionError = 0;
+
+  for (const entry of entries) {
+    if (entry.type !== "tick") continue;
+
+    blocks = entry.blocks;
+    const state = PlayerState.fromData(entry.pre);
+    physics.simulatePlayer(state);
+
+    const replayed = state.toJSON();
+    const positionError = distance(replayed.pos, entry.post.pos);
+    const velocityError = distance(replayed.vel, entry.post.vel);
+    const flags = Object.keys(entry.post).filter(
+      (key) =>
+        typeof entry.post[key] === "boolean" &&
+        entry.post[key] !== replayed[key],
+    );
+    const diverged =
+      positionError > tolerance || velocityError > tolerance || flags.length;
+
+    const diff = {
+      tick: entry.tick,
+      positionError,
+      velocityError,
+      flags,
+      expected: entry.post,
+      replayed,
+    };
+    ticks.push(diff);
+
+    maxPositionError = Math.max(maxPositionError, positionError);
+    if (diverged && !firstDivergence) firstDivergence = diff;
+  }
+
+  return { ticks, firstDivergence, maxPositionError };
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function jsonReplacer(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+module.exports = { createRecorder, replayRecording };
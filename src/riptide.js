@@ -0,0 +1,44 @@
+const { PlayerState } = require("./engine.js");
+
+// Ticks a trident has to be held back before releasing it throws or launches
+const MIN_CHARGE_TICKS = 10;
+
+/**
+ * Riptide launches. The vanilla client launches itself when it releases a
+ * charged riptide trident in water or rain, without waiting for the server,
+ * so releasing one through bot.deactivateItem() does the same here. The
+ * spin that follows is simulated from bot.riptideTicks.
+ *
+ * @param {import('mineflayer').Bot} bot
+ * @param {import('./engine.js').PhysicsEngine} physics
+ */
+function injectRiptide(bot, physics) {
+  let useTicks = 0;
+
+  bot.riptideTicks = 0;
+
+  bot.on("physicsTick", () => {
+    useTicks = bot.usingHeldItem ? useTicks + 1 : 0;
+  });
+
+  bot.on("respawn", () => {
+    useTicks = 0;
+    bot.riptideTicks = 0;
+  });
+
+  const deactivateItem = bot.deactivateItem;
+  bot.deactivateItem = (...args) => {
+    const charged = useTicks >= MIN_CHARGE_TICKS;
+    useTicks = 0;
+    // The release goes to the server before the client moves
+    const result = deactivateItem(...args);
+
+    if (charged && bot.heldItem?.name === "trident" && bot.ashPhysicsEnabled) {
+      const state = new PlayerState(bot, bot.ashControlState);
+      if (physics.launchRiptide(state)) state.apply(bot);
+    }
+    return result;
+  };
+}
+
+module.exports = injectRiptide;
@@ -0,0 +1,197 @@
+const fs = require("fs");
+const path = require("path");
+const nbt = require("prismarine-nbt");
+const minecraftData = require("minecraft-data");
+const { Vec3 } = require("vec3");
+const BlockGridWorld = require("./world.js");
+
+/**
+ * Load a Sponge (.schem, v1-v3) or MCEdit (.schematic) file into a
+ * BlockGridWorld. The schematic's first corner is placed at `offset`,
+ * everything outside it is air.
+ */
+async function loadSchematic(file, registry, options = {}) {
+  const { offset = new Vec3(0, 0, 0) } = options;
+  const { parsed } = await nbt.parse(fs.readFileSync(file));
+  const root = nbt.simplify(parsed);
+  // Sponge v3 nests everything under a "Schematic" compound
+  const schematic = root.Schematic ?? root;
+
+  const size = {
+    width: schematic.Width & 0xffff,
+    height: schematic.Height & 0xffff,
+    length: schematic.Length & 0xffff,
+  };
+  const world = new BlockGridWorld(registry);
+
+  const place = (index, stateId) => {
+    const x = index % size.width;
+    const z = Math.floor(index / size.width) % size.length;
+    const y = Math.floor(index / (size.width * size.length));
+    world.setStateId(offset.offset(x, y, z), stateId);
+  };
+
+  const palette = schematic.Blocks?.Palette ?? schematic.Palette;
+  if (palette) {
+    const stateIds = [];
+    for (const [name, id] of Object.entries(palette)) {
+      stateIds[id] = blockFromString(world, name).stateId;
+    }
+
+    const data = schematic.Blocks?.Data ?? schematic.BlockData;
+    let index = 0;
+    for (const id of readVarInts(data)) {
+      if (!isAir(stateIds[id], registry)) place(index, stateIds[id]);
+      index++;
+    }
+    return world;
+  }
+
+  if (Array.isArray(schematic.Blocks) && Array.isArray(schematic.Data)) {
+    const legacy = registry.version["<"]("1.13");
+    for (let index = 0; index < schematic.Blocks.length; index++) {
+      const id = schematic.Blocks[index] & 0xff;
+      const metadata = schematic.Data[index] & 0x0f;
+      if (id === 0) continue;
+
+      if (legacy) {
+        place(index, (id << 4) | metadata);
+        continue;
+      }
+
+      // MCEdit files store pre-flattening ids; map them for 1.13+
+      const name =
+        minecraftData.legacy.pc.blocks[`${id}:${metadata}`] ??
+        minecraftData.legacy.pc.blocks[`${id}:0`];
+      if (!name) throw new Error(`Unknown legacy block ${id}:${metadata}`);
+      place(index, blockFromString(world, name).stateId);
+    }
+    return world;
+  }
+
+  throw new Error(`Unrecognized schematic format: ${file}`);
+}
+
+/**
+ * Load chunk columns saved with prismarine-chunk's toJson(). The file holds
+ * { version, chunks: [{ x, z, data }] } where x/z are chunk coordinates.
+ * Returns { version, world } with a world.getBlock over those columns.
+ */
+function loadChunkFile(file, version) {
+  const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+  version = version ?? saved.version;
+  if (!version) throw new Error(`No version given for ${file}`);
+
+  const registry = require("prismarine-registry")(version);
+  const Chunk = require("prismarine-chunk")(registry);
+  const Block = require("prismarine-block")(registry);
+  const air = registry.blocksByName.air.defaultState;
+
+  const columns = new Map();
+  for (const { x, z, data } of saved.chunks) {
+    columns.set(
+      `${x},${z}`,
+      Chunk.fromJson(typeof data === "string" ? data : JSON.stringify(data)),
+    );
+  }
+
+  const world = {
+    getBlock: (pos) => {
+      const x = Math.floor(pos.x);
+      const y = Math.floor(pos.y);
+      const z = Math.floor(pos.z);
+      const column = columns.get(`${x >> 4},${z >> 4}`);
+      const minY = column?.minY ?? 0;
+      const height = column?.worldHeight ?? 256;
+
+      const block =
+        column && y >= minY && y < minY + height
+          ? column.getBlock(new Vec3(x & 15, y, z & 15))
+          : Block.fromStateId(air, 0);
+      block.position = new Vec3(x, y, z);
+      return block;
+    },
+  };
+
+  return { version, registry, world };
+}
+
+/**
+ * Load a control script. A .json script is a list of segments such as
+ * { "ticks": 10, "forward": true, "sprint": true, "yaw": 0 }, expanded to one
+ * input per tick. A .js script exports an input array or a
+ * (tick, state) => input function, as accepted by simulateTimeline.
+ */
+function loadScript(file) {
+  if (path.extname(file) === ".js") {
+    return require(path.resolve(file));
+  }
+
+  const segments = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(segments)) {
+    throw new Error(`Control script must be a list of segments: ${file}`);
+  }
+
+  const inputs = [];
+  for (const { ticks = 1, ...input } of segments) {
+    for (let i = 0; i < ticks; i++) inputs.push(input);
+  }
+  return inputs;
+}
+
+/**
+ * First tick whose feet are inside the target block, or null
+ */
+function findArrival(trajectory, target) {
+  const block = target.floored();
+  const entry = trajectory.find((tick) => tick.pos.floored().equals(block));
+  return entry ? entry.tick : null;
+}
+
+/**
+ * Parse a block state string such as minecraft:rail[shape=north_south].
+ * Properties it leaves out take their default, like vanilla's parser.
+ */
+function blockFromString(world, name) {
+  let block;
+  try {
+    block = world.Block.fromString(name, 0);
+  } catch {
+    throw new Error(
+      `${name} does not exist in ${world.registry.version.minecraftVersion}`,
+    );
+  }
+
+  const given = name.match(/\[(.*)\]$/)?.[1].split(",") ?? [];
+  const properties = block.getProperties();
+  return world.createBlock(
+    block.name,
+    Object.fromEntries(
+      given
+        .map((pair) => pair.split("=")[0].trim())
+        .map((key) => [key, properties[key]]),
+    ),
+  );
+}
+
+function isAir(stateId, registry) {
+  const name = registry.blocksByStateId[stateId]?.name;
+  return name === "air" || name === "cave_air" || name === "void_air";
+}
+
+function* readVarInts(bytes) {
+  let value = 0;
+  let shift = 0;
+  for (const byte of bytes) {
+    value |= (byte & 0x7f) << shift;
+    if (byte & 0x80) {
+      shift += 7;
+    } else {
+      yield value;
+      value = 0;
+      shift = 0;
+    }
+  }
+}
+
+module.exports = { loadSchematic, loadChunkFile, loadScript, findArrival };
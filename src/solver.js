@@ -0,0 +1,344 @@
+const { Vec3 } = require("vec3");
+
+// Control combinations tried on every tick, cheapest first
+const DEFAULT_ACTIONS = [
+  { forward: true, sprint: true, jump: false },
+  { forward: true, sprint: true, jump: true },
+  { forward: true, sprint: false, jump: false },
+  { forward: true, sprint: false, jump: true },
+  { forward: false, sprint: false, jump: false },
+  { forward: false, sprint: false, jump: true },
+];
+// Every simulated tick starts from these, so keys held on the bot or left
+// over from the parent node never leak into the search
+const NO_CONTROLS = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false,
+};
+// Sprint-jumping from a standstill averages at most ~0.34 blocks a tick
+const MAX_SPEED = 0.34;
+// Horizontal drag in the air; no surface lets momentum carry further
+const MAX_DRAG = 0.91;
+// Upward speed a jump starts with, before jump boost
+const JUMP_VELOCITY = 0.42;
+// Tallest collision box a block can have (fences and walls)
+const MAX_BLOCK_HEIGHT = 1.5;
+// Furthest the reachability check looks for something to climb
+const MAX_SCAN_RADIUS = 32;
+
+/**
+ * Thrown when the search runs out of nodes before it can tell whether the
+ * target is reachable
+ */
+class SearchBudgetError extends Error {
+  constructor(nodes) {
+    super(`Input search gave up after ${nodes} nodes`);
+    this.name = "SearchBudgetError";
+    this.nodes = nodes;
+  }
+}
+
+/**
+ * Search for the shortest input timeline that makes the player land inside a target.
+ *
+ * The target is either a block position (the block the feet should end up in),
+ * a region { min, max } the feet position must land in, or a predicate
+ * (state) => boolean. Every candidate is run through engine.simulatePlayer, so
+ * step height, jump boosts and airborne acceleration are exactly the engine's.
+ *
+ * Options:
+ * - maxTicks / maxNodes: search limits
+ * - actions: control combinations tried each tick
+ * - yawOffsets: offsets (radians) from the yaw facing the target
+ * - maxSpeed: most the player can average per tick on top of the momentum
+ *   they already have, used by the heuristic. The default holds for
+ *   sprint-jumping; raise it for speed effects, ice or rockets, or the
+ *   timeline found may not be the shortest
+ * - weight: heuristic weight; above 1 trades shortest timelines for speed
+ * - minY: states falling below this are discarded
+ *
+ * Controls an action leaves out are released. Returns an array of tick inputs
+ * usable with simulateTimeline (empty when the start already is the target),
+ * or null when no timeline within maxTicks reaches it. Targets further away
+ * than maxSpeed allows, or higher than a jump with nothing to climb on the
+ * way, are ruled out before searching. Throws a SearchBudgetError when
+ * maxNodes runs out first.
+ *
+ * The search runs synchronously and blocks the event loop while it does,
+ * which at the default budget can take a second or two; keep maxNodes small
+ * when calling it from a live bot.
+ */
+function findInputSequence(engine, startState, target, options = {}) {
+  const {
+    maxTicks = 40,
+    maxNodes = 2000,
+    actions = DEFAULT_ACTIONS,
+    yawOffsets = [0],
+    maxSpeed = MAX_SPEED,
+    weight = 1,
+  } = options;
+
+  const region = toRegion(target);
+  const isGoal =
+    typeof target === "function"
+      ? target
+      : (state) => state.onGround && isInRegion(region, state.pos);
+  const aim = region
+    ? new Vec3(
+        (region.min.x + region.max.x) / 2,
+        region.min.y,
+        (region.min.z + region.max.z) / 2,
+      )
+    : null;
+  const minY =
+    options.minY ?? Math.min(startState.pos.y, aim ? aim.y : Infinity) - 4;
+
+  // Fewest ticks the target can still be reached in
+  const ticksLeft = (state) => {
+    if (!aim) return 0;
+    const dy = Math.max(region.min.y - state.pos.y, 0);
+    const rise = Math.max(state.vel.y, JUMP_VELOCITY + 0.1 * state.jumpBoost);
+    return Math.max(
+      ticksToCover(horizontalDistance(region, state.pos), state, maxSpeed),
+      dy / Math.max(rise, maxSpeed),
+    );
+  };
+
+  const start = { state: startState.clone(), parent: null, input: null, g: 0 };
+  start.state.control = { ...NO_CONTROLS };
+  start.state.jumpQueued = false;
+  if (isGoal(start.state)) return [];
+  if (region && !mayReach(engine, start.state, region, maxSpeed, maxTicks)) {
+    return null;
+  }
+
+  // Ties go to the deeper node, which is closer to finishing
+  const open = new MinHeap((a, b) => a.f - b.f || b.g - a.g);
+  // Fewest ticks each (rounded) state has been reached in
+  const visited = new Map();
+  start.f = weight * ticksLeft(start.state);
+  open.push(start);
+
+  let expanded = 0;
+  while (open.size > 0) {
+    if (expanded >= maxNodes) throw new SearchBudgetError(expanded);
+    const node = open.pop();
+    // Goals are only returned once nothing shorter is left in the frontier
+    if (node.goal) return buildTimeline(node);
+    expanded++;
+
+    if (node.g >= maxTicks) continue;
+
+    for (const offset of yawOffsets) {
+      const yaw = aim
+        ? yawTowards(node.state.pos, aim) + offset
+        : node.state.yaw;
+
+      for (const action of actions) {
+        const input = { ...NO_CONTROLS, ...action, yaw };
+        const state = node.state.clone();
+        state.setInput(input);
+        engine.simulatePlayer(state);
+
+        if (state.isInLava || state.pos.y < minY) continue;
+
+        const child = { state, parent: node, input, g: node.g + 1 };
+        if (isGoal(state)) {
+          child.goal = true;
+          child.f = child.g;
+          open.push(child);
+          continue;
+        }
+
+        const key = stateKey(state);
+        if (visited.get(key) <= child.g) continue;
+        visited.set(key, child.g);
+
+        // Too far to make it in the ticks left
+        const left = ticksLeft(state);
+        if (child.g + left > maxTicks) continue;
+
+        child.f = child.g + weight * left;
+        open.push(child);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether the target could be reached at all in maxTicks: close enough at
+ * maxSpeed, and either within a jump of the start or with a block below it
+ * that might be climbed onto (anything that is not air, so ladders, water
+ * and unloaded chunks count). Flight, gliding and levitation are not judged.
+ */
+function mayReach(engine, state, region, maxSpeed, maxTicks) {
+  const reach = maxSpeed * maxTicks + carry(state, maxTicks);
+  if (horizontalDistance(region, state.pos) > reach) return false;
+
+  if (state.flying || state.elytraFlying || state.levitation > 0) return true;
+  const rise = jumpHeight(
+    engine,
+    Math.max(state.vel.y, JUMP_VELOCITY + 0.1 * state.jumpBoost),
+  );
+  if (region.min.y <= state.pos.y + rise) return true;
+
+  const radius = Math.min(Math.ceil(reach), MAX_SCAN_RADIUS);
+  const origin = state.pos.floored();
+  const cursor = new Vec3(0, 0, 0);
+  for (let y = Math.ceil(region.min.y) - 1; y >= origin.y; y--) {
+    if (region.min.y > y + MAX_BLOCK_HEIGHT + rise) break;
+    for (let x = origin.x - radius; x <= origin.x + radius; x++) {
+      for (let z = origin.z - radius; z <= origin.z + radius; z++) {
+        const block = engine.world.getBlock(cursor.set(x, y, z));
+        if (!block || !AIR.has(block.name)) return true;
+      }
+    }
+  }
+  return false;
+}
+
+const AIR = new Set(["air", "cave_air", "void_air"]);
+
+/**
+ * How high a player rises after starting upwards at `velocity`
+ */
+function jumpHeight(engine, velocity) {
+  let height = 0;
+  for (let vy = velocity; vy > 0;) {
+    height += vy;
+    vy = (vy - engine.constants.gravity) * engine.constants.airdrag;
+  }
+  return height;
+}
+
+/**
+ * Fewest ticks covering `distance` horizontally: the momentum the player
+ * already has, slowed by drag, plus at most `maxSpeed` a tick on top
+ */
+function ticksToCover(distance, state, maxSpeed) {
+  if (distance <= 0) return 0;
+  let ticks = 1;
+  while (carry(state, ticks) + maxSpeed * ticks < distance) ticks++;
+  return ticks;
+}
+
+/**
+ * How far the current horizontal velocity alone carries in `ticks`
+ */
+function carry(state, ticks) {
+  const speed = Math.sqrt(state.vel.x ** 2 + state.vel.z ** 2);
+  return (speed * (1 - MAX_DRAG ** ticks)) / (1 - MAX_DRAG);
+}
+
+function horizontalDistance(region, pos) {
+  const dx = Math.max(region.min.x - pos.x, 0, pos.x - region.max.x);
+  const dz = Math.max(region.min.z - pos.z, 0, pos.z - region.max.z);
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+function toRegion(target) {
+  if (typeof target === "function") return null;
+  if (typeof target.min === "object") return target;
+
+  const block = new Vec3(target.x, target.y, target.z).floored();
+  return { min: block, max: block.offset(1, 1, 1) };
+}
+
+function isInRegion(region, pos) {
+  return (
+    pos.x >= region.min.x &&
+    pos.x <= region.max.x &&
+    pos.y >= region.min.y &&
+    pos.y <= region.max.y &&
+    pos.z >= region.min.z &&
+    pos.z <= region.max.z
+  );
+}
+
+function yawTowards(from, to) {
+  return Math.atan2(-(to.x - from.x), -(to.z - from.z));
+}
+
+function stateKey(state) {
+  const { pos, vel } = state;
+  return [
+    Math.round(pos.x * 16),
+    Math.round(pos.y * 16),
+    Math.round(pos.z * 16),
+    Math.round(vel.x * 50),
+    Math.round(vel.y * 50),
+    Math.round(vel.z * 50),
+    state.onGround,
+    state.jumpTicks,
+  ].join();
+}
+
+function buildTimeline(node) {
+  const timeline = [];
+  for (; node.parent; node = node.parent) timeline.push(node.input);
+  return timeline.reverse();
+}
+
+/**
+ * Minimal binary heap used as the search frontier
+ */
+class MinHeap {
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (
+          left < items.length &&
+          this.compare(items[left], items[smallest]) < 0
+        )
+          smallest = left;
+        if (
+          right < items.length &&
+          this.compare(items[right], items[smallest]) < 0
+        )
+          smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+module.exports = { findInputSequence, SearchBudgetError };
@@ -0,0 +1,308 @@
+const { Vec3 } = require("vec3");
+const conv = require("mineflayer/lib/conversions");
+const { BoatPhysics, BoatState } = require("./boat.js");
+const { MinecartPhysics, MinecartState } = require("./minecart.js");
+const { MountPhysics, MOUNT_TYPES } = require("./mount.js");
+
+// Boat riding offset (-0.1) plus the player's own (-0.35)
+const BOAT_PASSENGER_OFFSET = -0.45;
+// The player's own riding offset, below the seat of minecarts and mobs
+const PLAYER_RIDING_OFFSET = -0.35;
+// Passengers can look at most this far to either side of the boat
+const MAX_PASSENGER_YAW = (105 * Math.PI) / 180;
+
+/**
+ * Drives the vehicle the bot is riding. While the bot is the driver of a
+ * boat, the boat is simulated client-side from the bot's controls and sent
+ * to the server with vehicle_move and steer_boat, the way vanilla does.
+ * Minecarts stay server-controlled; the bot's seat is predicted between the
+ * server's updates and its input only pushes the cart. Rideable mobs are
+ * driven like boats while the bot can steer them, with a horse or camel
+ * jump going out as entity_action.
+ *
+ * @param {import('mineflayer').Bot} bot
+ * @param {import('./engine.js').PhysicsEngine} physics
+ */
+function createVehicleController(bot, physics) {
+  const boatPhysics = new BoatPhysics(physics);
+  const minecartPhysics = new MinecartPhysics(physics);
+  const mountPhysics = new MountPhysics(physics);
+  let boat = null;
+  let minecart = null;
+  let mount = null;
+  let lastInput = null;
+  // Passenger ids of the bot's vehicle, as set_passengers lists them
+  let riders = null;
+
+  /**
+   * Whether the bot rides a vehicle this plugin simulates
+   */
+  function isRiding() {
+    return (
+      (boat !== null || minecart !== null || mount !== null) &&
+      bot.vehicle != null
+    );
+  }
+
+  /**
+   * Whether the bot steers its vehicle. Like vanilla, only the first
+   * passenger does. Without a passenger list (1.8 attach_entity) mineflayer
+   * only mounts the bot as the first passenger.
+   */
+  function isDriver() {
+    if (riders === null || riders.vehicleId !== bot.vehicle?.id) return true;
+    return riders.ids[0] === bot.entity.id;
+  }
+
+  /**
+   * Simulate the vehicle for one tick and send the bot's part to the server
+   */
+  function tick(controlState) {
+    if (minecart !== null) {
+      tickMinecart(controlState);
+      sendInput(controlState);
+      return;
+    }
+    if (mount !== null) {
+      tickMount(controlState);
+      return;
+    }
+
+    if (!isDriver()) {
+      // Another passenger steers; ride along where the server puts the boat
+      const vehicle = bot.vehicle;
+      boat.pos.set(vehicle.position.x, vehicle.position.y, vehicle.position.z);
+      boat.vel.set(vehicle.velocity.x, vehicle.velocity.y, vehicle.velocity.z);
+      boat.yaw = vehicle.yaw;
+      seatRider(boat.pos, BOAT_PASSENGER_OFFSET);
+      sendInput(controlState);
+      return;
+    }
+
+    boat.control.forward = controlState.forward;
+    boat.control.back = controlState.back;
+    boat.control.left = controlState.left;
+    boat.control.right = controlState.right;
+
+    const previousYaw = boat.yaw;
+    boatPhysics.simulateBoat(boat);
+    applyBoat(previousYaw);
+
+    bot._client.write("steer_boat", {
+      leftPaddle: boat.paddles.left,
+      rightPaddle: boat.paddles.right,
+    });
+    sendInput(controlState);
+    sendVehicleMove(boat);
+  }
+
+  function tickMinecart(controlState) {
+    minecart.setInput({ ...controlState, yaw: bot.entity.yaw });
+    minecartPhysics.simulateMinecart(minecart);
+
+    // The vehicle entity keeps the server's position: its relative moves
+    // are applied on top of it. Only the bot is seated at the prediction.
+    seatRider(minecart.pos, PLAYER_RIDING_OFFSET);
+  }
+
+  function tickMount(controlState) {
+    const vehicle = bot.vehicle;
+    if (!isDriver() || !canSteer()) {
+      // The server moves the mob; ride along and keep the state in sync for
+      // when the bot takes over
+      mount.pos.set(vehicle.position.x, vehicle.position.y, vehicle.position.z);
+      mount.vel.set(vehicle.velocity.x, vehicle.velocity.y, vehicle.velocity.z);
+      seatRider(mount.pos, mount.seatHeight + PLAYER_RIDING_OFFSET);
+      sendInput(controlState);
+      return;
+    }
+
+    mountPhysics.applyAttributes(mount, vehicle);
+    mount.setInput({ ...controlState, yaw: bot.entity.yaw });
+    mountPhysics.simulateMount(mount);
+
+    vehicle.position.set(mount.pos.x, mount.pos.y, mount.pos.z);
+    vehicle.velocity.set(mount.vel.x, mount.vel.y, mount.vel.z);
+    vehicle.yaw = mount.yaw;
+    vehicle.onGround = mount.onGround;
+    seatRider(mount.pos, mount.seatHeight + PLAYER_RIDING_OFFSET);
+
+    if (mount.jumpPower !== null) {
+      bot._client.write("entity_action", {
+        entityId: bot.entity.id,
+        // start_riding_jump, renumbered when 1.21.3 moved sneaking to player_input
+        actionId: bot.supportFeature("newPlayerInputPacket") ? 3 : 5,
+        jumpBoost: mount.jumpPower,
+      });
+    }
+    sendInput(controlState);
+    sendVehicleMove(mount);
+  }
+
+  /**
+   * Whether the bot controls its mob: horses and camels always, pigs and
+   * striders while the bot holds their lure on a stick
+   */
+  function canSteer() {
+    if (mount.steering === "rider") return true;
+    if (mount.steering === null) return false;
+    return (
+      bot.heldItem?.name === mount.steering ||
+      bot.inventory.slots[45]?.name === mount.steering
+    );
+  }
+
+  function seatRider(pos, offset) {
+    const entity = bot.entity;
+    entity.position.set(pos.x, pos.y + offset, pos.z);
+    entity.velocity.set(0, 0, 0);
+    entity.onGround = false;
+  }
+
+  /**
+   * Copy the boat state onto the vehicle entity and seat the bot in it
+   */
+  function applyBoat(previousYaw) {
+    const vehicle = bot.vehicle;
+    vehicle.position.set(boat.pos.x, boat.pos.y, boat.pos.z);
+    vehicle.velocity.set(boat.vel.x, boat.vel.y, boat.vel.z);
+    vehicle.yaw = boat.yaw;
+    vehicle.onGround = boat.onGround;
+
+    const entity = bot.entity;
+    entity.position.set(
+      boat.pos.x,
+      boat.pos.y + BOAT_PASSENGER_OFFSET,
+      boat.pos.z,
+    );
+    entity.velocity.set(0, 0, 0);
+    entity.onGround = false;
+
+    // Passengers turn with the boat and cannot look behind themselves
+    entity.yaw += boat.yaw - previousYaw;
+    const relative = wrapAngle(entity.yaw - boat.yaw);
+    const clamped = Math.max(
+      -MAX_PASSENGER_YAW,
+      Math.min(relative, MAX_PASSENGER_YAW),
+    );
+    entity.yaw += clamped - relative;
+  }
+
+  function sendInput(controlState) {
+    const forward =
+      (controlState.forward ? 1 : 0) - (controlState.back ? 1 : 0);
+    const sideways = (controlState.left ? 1 : 0) - (controlState.right ? 1 : 0);
+
+    if (bot.supportFeature("newPlayerInputPacket")) {
+      // Only sent when it changes
+      const inputs = {
+        forward: controlState.forward,
+        backward: controlState.back,
+        left: controlState.left,
+        right: controlState.right,
+        jump: controlState.jump,
+        shift: controlState.sneak,
+        sprint: controlState.sprint,
+      };
+      const key = JSON.stringify(inputs);
+      if (key === lastInput) return;
+      lastInput = key;
+      bot._client.write("player_input", { inputs });
+    } else {
+      bot._client.write("steer_vehicle", {
+        sideways,
+        forward,
+        jump: (controlState.jump ? 1 : 0) | (controlState.sneak ? 2 : 0),
+      });
+    }
+  }
+
+  function sendVehicleMove(driven) {
+    bot._client.write("vehicle_move", {
+      x: driven.pos.x,
+      y: driven.pos.y,
+      z: driven.pos.z,
+      yaw: Math.fround(conv.toNotchianYaw(driven.yaw)),
+      pitch: 0,
+      onGround: driven.onGround,
+    });
+  }
+
+  function isBoat(entity) {
+    return /(^|_)(boat|raft)$/.test(entity?.name ?? "");
+  }
+
+  function isMinecart(entity) {
+    // Pre-1.9 minecarts are objects named after their legacy entity id
+    return entity?.name === "minecart" || entity?.name === "MinecartRideable";
+  }
+
+  bot.on("mount", () => {
+    lastInput = null;
+    boat =
+      physics.supportFeature("clientControlledVehicles") && isBoat(bot.vehicle)
+        ? BoatState.fromEntity(bot.vehicle)
+        : null;
+    minecart = isMinecart(bot.vehicle)
+      ? MinecartState.fromEntity(bot.vehicle, true)
+      : null;
+    mount =
+      physics.supportFeature("clientControlledVehicles") &&
+      MOUNT_TYPES[bot.vehicle?.name]
+        ? mountPhysics.createState(bot.vehicle)
+        : null;
+  });
+
+  bot._client.on("set_passengers", ({ entityId, passengers }) => {
+    if (passengers.includes(bot.entity?.id)) {
+      riders = { vehicleId: entityId, ids: passengers };
+    } else if (riders?.vehicleId === entityId) {
+      riders = null;
+    }
+  });
+
+  bot.on("dismount", () => {
+    boat = null;
+    minecart = null;
+    mount = null;
+  });
+
+  // Minecarts are moved by the server; every update it sends replaces the
+  // predicted position
+  bot.on("entityMoved", (entity) => {
+    if (minecart === null || entity !== bot.vehicle) return;
+    minecart.pos.set(entity.position.x, entity.position.y, entity.position.z);
+  });
+
+  // The server moved our vehicle; vanilla accepts it and echoes it back
+  bot._client.on("vehicle_move", (packet) => {
+    const driven = boat ?? mount;
+    if (driven === null || !isRiding() || !isDriver()) return;
+    driven.pos.set(packet.x, packet.y, packet.z);
+    // Mobs keep facing where their rider looks
+    if (boat !== null) boat.yaw = conv.fromNotchianYaw(packet.yaw);
+    bot.vehicle.position.set(packet.x, packet.y, packet.z);
+    sendVehicleMove(driven);
+  });
+
+  // Bubble column launches, knockback and server-side cart speeds arrive
+  // as velocity for the vehicle
+  bot._client.on("entity_velocity", (packet) => {
+    if (!isRiding() || packet.entityId !== bot.vehicle.id) return;
+    const vel = conv.fromNotchVelocity(
+      new Vec3(packet.velocityX, packet.velocityY, packet.velocityZ),
+    );
+    (boat ?? minecart ?? mount).vel.set(vel.x, vel.y, vel.z);
+  });
+
+  return { isRiding, tick };
+}
+
+function wrapAngle(angle) {
+  angle %= Math.PI * 2;
+  if (angle < -Math.PI) angle += Math.PI * 2;
+  else if (angle > Math.PI) angle -= Math.PI * 2;
+  return angle;
+}
+
+module.exports = createVehicleController;
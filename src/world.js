@@ -0,0 +1,113 @@
+const { Vec3 } = require("vec3");
+
+/**
+ * In-memory block grid implementing the world.getBlock contract the
+ * PhysicsEngine expects. Blocks are real prismarine-block instances, so
+ * shapes, properties and metadata match what a live bot sees.
+ */
+class BlockGridWorld {
+  constructor(registry, options = {}) {
+    this.registry = registry;
+    this.Block = require("prismarine-block")(registry);
+    this.biome = options.biome ?? 0;
+    this.blocks = new Map();
+    this.defaultStateId =
+      registry.blocksByName[options.defaultBlock ?? "air"].defaultState;
+  }
+
+  /**
+   * Place a block by name. Properties not given keep their default value.
+   * Before 1.13 the metadata matching the properties is looked up, or can
+   * be given directly as { metadata }.
+   */
+  setBlock(pos, name, properties = {}) {
+    const block = this.createBlock(name, properties);
+    this.blocks.set(key(pos), block.stateId);
+    return this;
+  }
+
+  /**
+   * Fill the inclusive box between two corners with one block
+   */
+  fill(from, to, name, properties = {}) {
+    const stateId = this.createBlock(name, properties).stateId;
+    for (let y = Math.min(from.y, to.y); y <= Math.max(from.y, to.y); y++) {
+      for (let z = Math.min(from.z, to.z); z <= Math.max(from.z, to.z); z++) {
+        for (let x = Math.min(from.x, to.x); x <= Math.max(from.x, to.x); x++) {
+          this.blocks.set(key({ x, y, z }), stateId);
+        }
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Place a block from its protocol state id
+   */
+  setStateId(pos, stateId) {
+    this.blocks.set(key(pos), stateId);
+    return this;
+  }
+
+  getBlock(pos) {
+    const x = Math.floor(pos.x);
+    const y = Math.floor(pos.y);
+    const z = Math.floor(pos.z);
+    const stateId = this.blocks.get(`${x},${y},${z}`) ?? this.defaultStateId;
+    const block = this.Block.fromStateId(stateId, this.biome);
+    block.position = new Vec3(x, y, z);
+    return block;
+  }
+
+  createBlock(name, properties) {
+    const descriptor = this.registry.blocksByName[name];
+    if (!descriptor) throw new Error(`Unknown block: ${name}`);
+
+    if (this.registry.version["<"]("1.13")) {
+      return this.createLegacyBlock(descriptor, properties);
+    }
+
+    const defaults = this.Block.fromStateId(
+      descriptor.defaultState,
+      this.biome,
+    );
+    if (Object.keys(properties).length === 0) return defaults;
+
+    return this.Block.fromProperties(
+      name,
+      { ...defaults.getProperties(), ...properties },
+      this.biome,
+    );
+  }
+
+  createLegacyBlock(descriptor, properties) {
+    const { metadata, ...wanted } = properties;
+    if (metadata !== undefined) {
+      return this.Block.fromStateId(
+        (descriptor.id << 4) | metadata,
+        this.biome,
+      );
+    }
+
+    for (let meta = 0; meta < 16; meta++) {
+      const block = this.Block.fromStateId(
+        (descriptor.id << 4) | meta,
+        this.biome,
+      );
+      const actual = block.getProperties();
+      const matches = Object.entries(wanted).every(
+        ([name, value]) => String(actual[name]) === String(value),
+      );
+      if (matches) return block;
+    }
+    throw new Error(
+      `No ${descriptor.name} metadata matches ${JSON.stringify(wanted)}`,
+    );
+  }
+}
+
+function key(pos) {
+  return `${Math.floor(pos.x)},${Math.floor(pos.y)},${Math.floor(pos.z)}`;
+}
+
+module.exports = BlockGridWorld;
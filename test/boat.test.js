@@ -0,0 +1,191 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const { PhysicsEngine } = require("../src/engine.js");
+const { BoatPhysics, BoatState, BoatStatus } = require("../src/boat.js");
+const BlockGridWorld = require("../src/world.js");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+function simulate(build, data, ticks, version = "1.20.4") {
+  const registry = require("prismarine-registry")(version);
+  const world = new BlockGridWorld(registry);
+  build(world);
+  const boats = new BoatPhysics(new PhysicsEngine(registry, world));
+  const boat = BoatState.fromData(data);
+  for (let i = 0; i < ticks; i++) boats.simulateBoat(boat);
+  return boat;
+}
+
+function paddleForward(floor, ticks) {
+  return simulate(
+    (world) => world.fill(new Vec3(-3, 63, -3000), new Vec3(3, 63, 3), floor),
+    { pos: { x: 0.5, y: 64, z: 0.5 }, control: { forward: true } },
+    ticks,
+  );
+}
+
+test("paddling reaches vanilla top speeds on water and ice", () => {
+  const water = paddleForward("water", 200);
+  assert.strictEqual(water.status, BoatStatus.IN_WATER);
+  assert.ok(Math.abs(water.vel.z + 0.4) < 1e-3, `water ${water.vel.z}`);
+
+  const ice = paddleForward("packed_ice", 400);
+  assert.strictEqual(ice.status, BoatStatus.ON_LAND);
+  assert.ok(Math.abs(ice.vel.z + 2) < 1e-3, `ice ${ice.vel.z}`);
+
+  const blueIce = paddleForward("blue_ice", 600);
+  assert.ok(Math.abs(blueIce.vel.z + 0.04 / 0.011) < 1e-2, `${blueIce.vel.z}`);
+
+  const stone = paddleForward("stone", 100);
+  assert.ok(Math.abs(stone.vel.z) < 0.1, `stone ${stone.vel.z}`);
+});
+
+test("a dropped boat settles on the water surface", () => {
+  const boat = simulate(
+    (world) => world.fill(new Vec3(-3, 60, -3), new Vec3(3, 63, 3), "water"),
+    { pos: { x: 0.5, y: 68, z: 0.5 } },
+    100,
+  );
+  assert.strictEqual(boat.status, BoatStatus.IN_WATER);
+  assert.ok(boat.pos.y > 63.4 && boat.pos.y < 64, `y ${boat.pos.y}`);
+  assert.ok(Math.abs(boat.vel.y) < 1e-3);
+});
+
+test("turning rotates the boat and slowly drifts it forward", () => {
+  const boat = simulate(
+    (world) => world.fill(new Vec3(-3, 60, -3), new Vec3(3, 63, 3), "water"),
+    { pos: { x: 0.5, y: 63.52, z: 0.5 }, control: { left: true } },
+    5,
+  );
+  assert.ok(boat.yaw > 0, `yaw ${boat.yaw}`);
+  assert.deepStrictEqual(boat.paddles, { left: false, right: true });
+});
+
+test("upward bubble columns launch a floating boat after 60 ticks", () => {
+  const build = (world) =>
+    world
+      .fill(new Vec3(-3, 55, -3), new Vec3(3, 63, 3), "water")
+      .fill(new Vec3(0, 55, 0), new Vec3(0, 63, 0), "bubble_column", {
+        drag: false,
+      });
+  const start = { pos: { x: 0.5, y: 63.52, z: 0.5 } };
+
+  assert.ok(simulate(build, start, 59).vel.y < 0.1);
+  assert.strictEqual(simulate(build, start, 60).vel.y, 2.7);
+});
+
+function mountBoat(t, version) {
+  const harness = createFakeBot(t, { version });
+  const { bot, world } = harness;
+  world.fill(new Vec3(-8, 60, -64), new Vec3(8, 63, 8), "water");
+  harness.spawn(new Vec3(0.5, 64, 0.5));
+  harness.tick(2);
+
+  bot.vehicle = {
+    id: 2,
+    name: version === "1.20.4" ? "boat" : "oak_boat",
+    position: new Vec3(0.5, 63.52, 0.5),
+    velocity: new Vec3(0, 0, 0),
+    yaw: 0,
+  };
+  bot.emit("mount");
+  harness.takeWrites();
+  return harness;
+}
+
+test("driving a boat sends vehicle_move, steer_boat and steer_vehicle", (t) => {
+  const harness = mountBoat(t, "1.20.4");
+  const { bot } = harness;
+
+  bot.ashSetControlState("forward", true);
+  harness.takeWrites();
+  harness.tick(20);
+
+  const writes = harness.takeWrites();
+  const names = new Set(writes.map((write) => write.name));
+  assert.ok(!names.has("position") && !names.has("position_look"));
+  for (const name of ["vehicle_move", "steer_boat", "steer_vehicle", "look"]) {
+    assert.strictEqual(
+      writes.filter((write) => write.name === name).length,
+      20,
+      name,
+    );
+  }
+
+  const moves = writes.filter((write) => write.name === "vehicle_move");
+  assert.ok(moves[19].data.z < moves[0].data.z - 2);
+  assert.ok(
+    writes.find((write) => write.name === "steer_boat").data.leftPaddle,
+  );
+  assert.strictEqual(
+    writes.find((write) => write.name === "steer_vehicle").data.forward,
+    1,
+  );
+  assert.ok(bot.vehicle.position.z < 0);
+  assert.ok(Math.abs(bot.entity.position.z - bot.vehicle.position.z) < 1e-9);
+});
+
+test("server vehicle_move teleports the boat and is echoed back", (t) => {
+  const harness = mountBoat(t, "1.20.4");
+  harness.client.emit("vehicle_move", {
+    x: 4.5,
+    y: 63.52,
+    z: -10.5,
+    yaw: 0,
+    pitch: 0,
+  });
+
+  const [echo] = harness.takeWrites("vehicle_move");
+  assert.strictEqual(echo.data.x, 4.5);
+  assert.strictEqual(echo.data.z, -10.5);
+  harness.tick();
+  assert.ok(Math.abs(harness.bot.vehicle.position.x - 4.5) < 0.1);
+});
+
+test("1.21.3+ sends player_input only when the input changes", (t) => {
+  const harness = mountBoat(t, "1.21.4");
+  harness.bot.ashSetControlState("forward", true);
+  harness.tick(5);
+
+  const inputs = harness.takeWrites("player_input");
+  assert.strictEqual(inputs.length, 1);
+  assert.strictEqual(inputs[0].data.inputs.forward, true);
+});
+
+test("1.8 boats stay server-controlled", (t) => {
+  const harness = mountBoat(t, "1.8.9");
+  harness.bot.ashSetControlState("forward", true);
+  harness.tick(5);
+
+  assert.deepStrictEqual(harness.takeWrites("vehicle_move", "steer_boat"), []);
+});
+
+test("a boat is only steered from the first seat", (t) => {
+  const harness = mountBoat(t, "1.20.4");
+  const { bot, client } = harness;
+  // Someone else got in first
+  client.emit("set_passengers", { entityId: 2, passengers: [7, 1] });
+  bot.ashSetControlState("forward", true);
+  harness.tick(10);
+
+  let writes = harness.takeWrites();
+  const names = new Set(writes.map((write) => write.name));
+  assert.ok(!names.has("vehicle_move") && !names.has("steer_boat"));
+  assert.ok(names.has("steer_vehicle"));
+  assert.strictEqual(bot.vehicle.position.z, 0.5);
+  assert.strictEqual(bot.entity.position.z, 0.5);
+
+  // Server moves of a boat someone else steers are not echoed
+  client.emit("vehicle_move", { x: 4.5, y: 63.52, z: -10.5, yaw: 0 });
+  assert.deepStrictEqual(harness.takeWrites("vehicle_move"), []);
+
+  // The driver got out, so the bot steers now
+  client.emit("set_passengers", { entityId: 2, passengers: [1] });
+  harness.tick(10);
+  writes = harness.takeWrites();
+  assert.strictEqual(
+    writes.filter((write) => write.name === "vehicle_move").length,
+    10,
+  );
+  assert.ok(bot.vehicle.position.z < 0.5);
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+// A 3x3 stone platform at y 63 with the bot standing in its middle
+function setup(t) {
+  const harness = createFakeBot(t);
+  harness.world.fill(new Vec3(-1, 63, -1), new Vec3(1, 63, 1), "stone");
+  harness.spawn(new Vec3(0.5, 64, 0.5));
+  harness.tick(3);
+  return harness;
+}
+
+async function tickUntilSettled(harness, promise, maxTicks) {
+  let settled = false;
+  promise.then(
+    () => (settled = true),
+    () => (settled = true),
+  );
+  for (let i = 0; i < maxTicks && !settled; i++) {
+    await new Promise(setImmediate);
+    harness.tick();
+  }
+  await new Promise(setImmediate);
+  return settled;
+}
+
+test("bridging stops at each edge and resumes once the block is placed", async (t) => {
+  const harness = setup(t);
+  const { bot, world } = harness;
+  const edges = [];
+  bot.on("bridgeEdge", (edge) => {
+    edges.push(edge);
+    assert.strictEqual(bot.ashControlState.back, false);
+    assert.strictEqual(bot.ashControlState.sneak, true);
+    world.setBlock(edge.target, "stone");
+  });
+  let lowest = Infinity;
+  bot.on("physicsTick", () => {
+    lowest = Math.min(lowest, bot.entity.position.y);
+  });
+
+  const bridging = bot.ashBridge(new Vec3(1, 0, 0), { blocks: 3 });
+  assert.ok(await tickUntilSettled(harness, bridging, 400));
+  assert.strictEqual(await bridging, 3);
+
+  assert.deepStrictEqual(
+    edges.map((edge) => edge.target),
+    [new Vec3(2, 63, 0), new Vec3(3, 63, 0), new Vec3(4, 63, 0)],
+  );
+  for (const edge of edges) {
+    assert.deepStrictEqual(edge.faceVector, new Vec3(1, 0, 0));
+    assert.deepStrictEqual(
+      edge.referenceBlock.position,
+      edge.target.offset(-1, 0, 0),
+    );
+  }
+  assert.strictEqual(lowest, 64);
+  assert.strictEqual(bot.ashControlState.sneak, false);
+});
+
+test("diagonal bridging places the side block before the corner", async (t) => {
+  const harness = setup(t);
+  const { bot, world } = harness;
+  const targets = [];
+  bot.on("bridgeEdge", (edge) => {
+    targets.push(edge.target);
+    world.setBlock(edge.target, "stone");
+  });
+
+  const bridging = bot.ashBridge(new Vec3(1, 0, 1), { blocks: 2 });
+  assert.ok(await tickUntilSettled(harness, bridging, 400));
+  await bridging;
+
+  assert.deepStrictEqual(targets, [new Vec3(2, 63, 1), new Vec3(2, 63, 2)]);
+});
+
+test("a vertical direction is rejected", async (t) => {
+  const harness = setup(t);
+  await assert.rejects(
+    harness.bot.ashBridge(new Vec3(0, 1, 0)),
+    /must be horizontal/,
+  );
+});
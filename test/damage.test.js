@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const { PhysicsEngine, PlayerState } = require("../src/engine.js");
+const BlockGridWorld = require("../src/world.js");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+// Drop from `height` blocks above a stone floor at y 63 and return the
+// damage predicted on landing
+function drop(
+  height,
+  { build = () => {}, data = {}, input = {}, version } = {},
+) {
+  const registry = require("prismarine-registry")(version ?? "1.20.4");
+  const world = new BlockGridWorld(registry);
+  world.fill(new Vec3(-4, 63, -4), new Vec3(4, 63, 4), "stone");
+  build(world);
+  const physics = new PhysicsEngine(registry, world);
+  const state = PlayerState.fromData({
+    pos: { x: 0.5, y: 64 + height, z: 0.5 },
+    ...data,
+  });
+  const timeline = physics.simulateTimeline(state, [input], 80);
+  const hits = timeline.filter((tick) => tick.predictedDamage > 0);
+  assert.ok(hits.length <= 1);
+  return hits[0] ?? { predictedDamage: 0, damageCause: null };
+}
+
+test("falls further than three blocks deal damage on landing", () => {
+  for (const version of ["1.12.2", "1.20.4", "1.21.4"]) {
+    assert.strictEqual(drop(3, { version }).predictedDamage, 0, version);
+    const hit = drop(10, { version });
+    assert.strictEqual(hit.predictedDamage, 7, version);
+    assert.strictEqual(hit.damageCause, "fall");
+  }
+});
+
+test("soft blocks and water cushion a landing", () => {
+  const onto = (name, input) =>
+    drop(10, {
+      build: (world) => world.setBlock(new Vec3(0, 63, 0), name),
+      input,
+    }).predictedDamage;
+
+  assert.strictEqual(onto("hay_block"), 2);
+  assert.strictEqual(onto("honey_block"), 2);
+  // Beds halve the distance before the safe distance is taken off
+  assert.strictEqual(onto("red_bed"), 2);
+  assert.strictEqual(onto("slime_block"), 0);
+  // Sneaking lands on slime like any other block
+  assert.strictEqual(onto("slime_block", { sneak: true }), 7);
+
+  const water = (world) => world.setBlock(new Vec3(0, 64, 0), "water");
+  assert.strictEqual(drop(10, { build: water }).predictedDamage, 0);
+  const powderSnow = (world) =>
+    world.setBlock(new Vec3(0, 64, 0), "powder_snow");
+  assert.strictEqual(drop(10, { build: powderSnow }).predictedDamage, 0);
+});
+
+test("feather falling, jump boost and the fall damage attributes", () => {
+  assert.strictEqual(
+    drop(10, { data: { featherFalling: 4 } }).predictedDamage,
+    7 * (1 - 12 / 25),
+  );
+  assert.strictEqual(drop(10, { data: { jumpBoost: 2 } }).predictedDamage, 5);
+
+  // 1.20.5+ servers send the safe distance as an attribute
+  const attributes = {
+    "minecraft:safe_fall_distance": { value: 6, modifiers: [] },
+  };
+  assert.strictEqual(
+    drop(10, { data: { attributes }, version: "1.21.4" }).predictedDamage,
+    4,
+  );
+  // ...and scale the damage with another
+  const halved = {
+    "minecraft:fall_damage_multiplier": { value: 0.5, modifiers: [] },
+  };
+  assert.strictEqual(
+    drop(10, { data: { attributes: halved }, version: "1.21.4" })
+      .predictedDamage,
+    4,
+  );
+});
+
+test("ladders, slow falling and creative flight prevent fall damage", () => {
+  const ladder = (world) => {
+    world.fill(new Vec3(0, 64, 1), new Vec3(0, 74, 1), "stone");
+    world.fill(new Vec3(0, 64, 0), new Vec3(0, 70, 0), "ladder", {
+      facing: "north",
+    });
+  };
+  assert.strictEqual(drop(10, { build: ladder }).predictedDamage, 0);
+  assert.strictEqual(drop(10, { data: { slowFalling: 1 } }).predictedDamage, 0);
+  assert.strictEqual(
+    drop(10, { data: { allowFlying: true } }).predictedDamage,
+    0,
+  );
+});
+
+test("gliding into a wall deals kinetic damage", () => {
+  const registry = require("prismarine-registry")("1.20.4");
+  const world = new BlockGridWorld(registry);
+  world.fill(new Vec3(-4, 90, 20), new Vec3(4, 110, 20), "stone");
+  const physics = new PhysicsEngine(registry, world);
+  const glide = (z, speed) => {
+    const state = PlayerState.fromData({
+      pos: { x: 0.5, y: 100, z },
+      vel: { x: 0, y: 0, z: speed },
+      yaw: Math.PI,
+      elytraFlying: true,
+      elytraEquipped: true,
+    });
+    const timeline = physics.simulateTimeline(state, [{}], 40);
+    return timeline.find((tick) => tick.isCollidedHorizontally);
+  };
+
+  const fast = glide(0.5, 1.5);
+  assert.strictEqual(fast.damageCause, "flyIntoWall");
+  assert.ok(fast.predictedDamage > 10, `${fast.predictedDamage}`);
+  // Brushing the wall slowly is harmless
+  assert.strictEqual(glide(18.5, 0.2).predictedDamage, 0);
+});
+
+test("the bot emits predictedDamage before it lands", (t) => {
+  const harness = createFakeBot(t);
+  const { bot, world } = harness;
+  world.fill(new Vec3(-4, 63, -4), new Vec3(4, 63, 4), "stone");
+  harness.spawn(new Vec3(0.5, 74, 0.5));
+
+  const predictions = [];
+  bot.on("predictedDamage", (damage) => predictions.push(damage));
+  harness.tick(40);
+  assert.deepStrictEqual(predictions, [
+    { damage: 7, cause: "fall", fatal: false },
+  ]);
+  assert.strictEqual(bot.entity.fallDistance, 0);
+});
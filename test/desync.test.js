@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+// Walk forward for `ticks` ticks, returning the position after each one
+function setup(t, ticks, ping = 0) {
+  const harness = createFakeBot(t);
+  harness.world.fill(new Vec3(-32, 63, -32), new Vec3(32, 63, 32), "stone");
+  harness.spawn(new Vec3(0.5, 64, 0.5));
+  harness.tick(3);
+  harness.bot.player.ping = ping;
+
+  const positions = [];
+  harness.bot.on("physicsTick", () =>
+    positions.push(harness.bot.entity.position.clone()),
+  );
+  harness.bot.ashSetControlState("forward", true);
+  harness.tick(ticks);
+
+  const desyncs = [];
+  harness.bot.on("physicsDesync", (desync) => desyncs.push(desync));
+  return { harness, positions, desyncs };
+}
+
+function correct(harness, pos) {
+  harness.client.emit("position", {
+    x: pos.x,
+    y: pos.y,
+    z: pos.z,
+    yaw: 0,
+    pitch: 0,
+    flags: 0,
+    teleportId: 2,
+  });
+}
+
+test("a far correction is a teleport and not counted as an error", (t) => {
+  const { harness, desyncs } = setup(t, 10);
+  correct(harness, new Vec3(100.5, 64, 100.5));
+
+  assert.strictEqual(desyncs[0].type, "teleport");
+  const stats = harness.bot.ashPhysics.desyncStats;
+  assert.strictEqual(stats.byType.teleport, 1);
+  assert.strictEqual(stats.correctionsPerMinute, 0);
+  assert.strictEqual(stats.meanError, 0);
+});
+
+test("a correction onto an earlier position is a setback", (t) => {
+  const { harness, positions, desyncs } = setup(t, 10);
+  const latest = positions[positions.length - 1];
+  const earlier = positions[positions.length - 1 - 4];
+  correct(harness, earlier);
+
+  assert.strictEqual(desyncs[0].type, "setback");
+  assert.strictEqual(desyncs[0].ticksBack, 4);
+  // The error is how far the server moved us back
+  assert.ok(Math.abs(desyncs[0].distance - latest.distanceTo(earlier)) < 1e-9);
+});
+
+test("a rubberband is measured against the tick the server answered", (t) => {
+  // 150ms of ping: the server has only seen the position from three ticks ago
+  const { harness, positions, desyncs } = setup(t, 10, 150);
+  const answered = positions[positions.length - 1 - 3];
+  const next = positions[positions.length - 1 - 2];
+  // Off sideways, and most of the way to the next tick, which the error
+  // must not be measured against
+  const server = answered.offset(0.2, 0, (next.z - answered.z) * 0.9);
+  correct(harness, server);
+
+  const [desync] = desyncs;
+  assert.strictEqual(desync.type, "rubberband");
+  assert.deepStrictEqual(desync.predicted, answered);
+  const error = server.distanceTo(answered);
+  assert.ok(Math.abs(desync.distance - error) < 1e-9);
+  const stats = harness.bot.ashPhysics.desyncStats;
+  assert.strictEqual(stats.byType.rubberband, 1);
+  assert.ok(Math.abs(stats.meanError - error) < 1e-9);
+});
+
+test("the desync event carries the recent inputs", (t) => {
+  const { harness, positions, desyncs } = setup(t, 10);
+  correct(harness, positions[positions.length - 1].offset(0, 0, 1));
+
+  const { inputs } = desyncs[0];
+  assert.ok(inputs.length >= 10);
+  const last = inputs[inputs.length - 1];
+  assert.strictEqual(last.control.forward, true);
+  assert.deepStrictEqual(last.pos, positions[positions.length - 1]);
+});
@@ -0,0 +1,303 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const nbt = require("prismarine-nbt");
+const { PhysicsEngine, PlayerState } = require("../src/engine.js");
+const { createGlidePilot } = require("../src/glide.js");
+const BlockGridWorld = require("../src/world.js");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+const ROCKET_ID = 50;
+
+function glidingBot(t, version = "1.20.4") {
+  const harness = createFakeBot(t, { version });
+  const { bot } = harness;
+  bot.inventory.slots[6] = { name: "elytra" };
+  harness.spawn(new Vec3(0.5, 200, 0.5));
+  harness.tick();
+  bot.entity.elytraFlying = true;
+  harness.tick();
+  harness.takeWrites();
+  return harness;
+}
+
+// Rocket entity types and metadata keys where minecraft-data does not list
+// them, with the attached player sent as is before 1.14
+const LEGACY_ROCKETS = {
+  "1.12.2": { type: 76, item: 6, attached: 7, idOffset: 0 },
+  "1.16.5": { type: 27, item: 7, attached: 8, idOffset: 1 },
+  "1.18.2": { type: 28, item: 8, attached: 9, idOffset: 1 },
+};
+
+function rocketItem(registry, flight) {
+  const Flight = nbt.byte(flight);
+  if (registry.version["<"]("1.13")) {
+    return {
+      blockId: registry.itemsByName.fireworks.id,
+      itemCount: 1,
+      itemDamage: 0,
+      nbtData: nbt.comp({ Fireworks: nbt.comp({ Flight }) }),
+    };
+  }
+  const itemId = registry.itemsByName.firework_rocket.id;
+  if (registry.version[">="]("1.20.5")) {
+    return {
+      itemCount: 1,
+      itemId,
+      addedComponentCount: 1,
+      removedComponentCount: 0,
+      components: [
+        { type: "fireworks", data: { flightDuration: flight, explosions: [] } },
+      ],
+      removeComponents: [],
+    };
+  }
+  return {
+    present: true,
+    itemId,
+    itemCount: 1,
+    nbtData: nbt.comp({ Fireworks: nbt.comp({ Flight }) }),
+  };
+}
+
+// Spawn a rocket the way the server does after a use_item
+function launchRocket(harness, flight, attachedTo) {
+  const { client, registry, bot } = harness;
+  let rocket = LEGACY_ROCKETS[bot.version];
+  if (rocket === undefined) {
+    const { id, metadataKeys } = registry.entitiesByName.firework_rocket;
+    rocket = {
+      type: id,
+      item: metadataKeys.indexOf("fireworks_item"),
+      attached: metadataKeys.indexOf("attached_to_target"),
+      idOffset: 1,
+    };
+  }
+  client.emit("spawn_entity", { entityId: ROCKET_ID, type: rocket.type });
+  client.emit("entity_metadata", {
+    entityId: ROCKET_ID,
+    metadata: [
+      {
+        key: rocket.item,
+        type: "item_stack",
+        value: rocketItem(registry, flight),
+      },
+      {
+        key: rocket.attached,
+        type: "optional_unsigned_int",
+        value: attachedTo + rocket.idOffset,
+      },
+    ],
+  });
+}
+
+test("ashUseFirework uses a rocket from the hotbar", async (t) => {
+  // Rockets are named fireworks before 1.13
+  for (const [version, name] of [
+    ["1.12.2", "fireworks"],
+    ["1.20.4", "firework_rocket"],
+  ]) {
+    const harness = glidingBot(t, version);
+    const { bot } = harness;
+
+    await assert.rejects(bot.ashUseFirework(), /hotbar/);
+    bot.inventory.slots[38] = { name };
+    await bot.ashUseFirework();
+    assert.deepStrictEqual(
+      harness.takeWrites().map(({ name, data }) => ({ name, data })),
+      [
+        { name: "held_item_slot", data: { slotId: 2 } },
+        { name: "use_item", data: { hand: 0 } },
+      ],
+      version,
+    );
+
+    bot.entity.elytraFlying = false;
+    await assert.rejects(bot.ashUseFirework(), /elytra flying/);
+    harness.restore();
+  }
+});
+
+test("an attached rocket boosts the glide until it is destroyed", (t) => {
+  for (const version of ["1.12.2", "1.16.5", "1.18.2", "1.20.4", "1.21.4"]) {
+    const harness = glidingBot(t, version);
+    const { bot, client } = harness;
+    // Glide level along +z
+    bot.entity.yaw = Math.PI;
+    bot.entity.pitch = 0;
+
+    const boosts = [];
+    bot.on("fireworkBoost", (duration) => boosts.push(duration));
+    launchRocket(harness, 2, bot.entity.id);
+    assert.deepStrictEqual(boosts, [41], version);
+
+    harness.tick(20);
+    assert.strictEqual(bot.fireworkRocketDuration, 21, version);
+    // The boost pulls the velocity towards 1.5 blocks per tick along the look
+    assert.ok(bot.entity.velocity.z > 1.4, `${bot.entity.velocity}`);
+
+    const boosted = bot.entity.velocity.z;
+    client.emit("entity_destroy", { entityIds: [ROCKET_ID] });
+    assert.strictEqual(bot.fireworkRocketDuration, 0, version);
+    harness.tick(20);
+    assert.ok(bot.entity.velocity.z < boosted - 0.1, `${bot.entity.velocity}`);
+    harness.restore();
+  }
+});
+
+test("rockets attached to other players do not boost the bot", (t) => {
+  const harness = glidingBot(t);
+  const { bot } = harness;
+
+  launchRocket(harness, 1, bot.entity.id + 1);
+  assert.strictEqual(bot.fireworkRocketDuration, 0);
+
+  // Landing ends a boost early
+  launchRocket(harness, 1, bot.entity.id);
+  assert.strictEqual(bot.fireworkRocketDuration, 31);
+  bot.entity.elytraFlying = false;
+  harness.tick();
+  assert.strictEqual(bot.fireworkRocketDuration, 0);
+});
+
+function autopilot(build, start, target, fireworks = 0) {
+  const registry = require("prismarine-registry")("1.20.4");
+  const world = new BlockGridWorld(registry);
+  world.fill(new Vec3(-40, 63, -40), new Vec3(40, 63, 700), "stone");
+  build(world);
+  const physics = new PhysicsEngine(registry, world);
+  const state = PlayerState.fromData({
+    vel: { x: 0, y: 0, z: 0.3 },
+    yaw: Math.PI,
+    elytraFlying: true,
+    elytraEquipped: true,
+    ...start,
+  });
+  const pilot = createGlidePilot(physics, target);
+
+  const flight = { used: 0, crashed: false, landingSpeed: 0 };
+  for (let tick = 0; tick < 2000 && state.elytraFlying; tick++) {
+    const look = pilot.step(state, flight.used < fireworks);
+    state.setInput(look);
+    if (look.useFirework) {
+      flight.used++;
+      state.fireworkRocketDuration = 31;
+    }
+    flight.landingSpeed = state.vel.y;
+    physics.simulatePlayer(state);
+    if (state.isCollidedHorizontally) flight.crashed = true;
+  }
+  flight.pos = state.pos;
+  flight.distance = Math.hypot(state.pos.x - target.x, state.pos.z - target.z);
+  return flight;
+}
+
+test("the autopilot lands gently on the target", () => {
+  // Too high to glide straight in, so it circles down first
+  const steep = autopilot(
+    () => {},
+    { pos: { x: 0.5, y: 150, z: 0.5 } },
+    new Vec3(0.5, 64, 60.5),
+  );
+  assert.ok(steep.distance < 2, `${steep.pos}`);
+  assert.ok(steep.landingSpeed > -0.5);
+
+  // Past a level glide's reach, the climb/dive cycle makes up the rest
+  const far = autopilot(
+    () => {},
+    { pos: { x: 0.5, y: 120, z: 0.5 } },
+    new Vec3(0.5, 64, 600.5),
+  );
+  assert.ok(far.distance < 2, `${far.pos}`);
+  assert.ok(!far.crashed);
+});
+
+test("the autopilot climbs over and turns around terrain", () => {
+  const hill = autopilot(
+    (world) =>
+      world.fill(new Vec3(-40, 64, 100), new Vec3(40, 85, 130), "stone"),
+    { pos: { x: 0.5, y: 120, z: 0.5 } },
+    new Vec3(0.5, 64, 300.5),
+  );
+  assert.ok(!hill.crashed);
+  assert.ok(hill.distance < 2, `${hill.pos}`);
+
+  const tower = autopilot(
+    (world) =>
+      world.fill(new Vec3(-6, 64, 100), new Vec3(6, 140, 112), "stone"),
+    { pos: { x: 0.5, y: 100, z: 0.5 } },
+    new Vec3(0.5, 64, 300.5),
+  );
+  assert.ok(!tower.crashed);
+  assert.ok(tower.pos.z > 112, `${tower.pos}`);
+});
+
+test("the autopilot only uses fireworks it needs", () => {
+  const start = { pos: { x: 0.5, y: 75, z: 0.5 } };
+  const target = new Vec3(0.5, 64, 600.5);
+
+  const unpowered = autopilot(() => {}, start, target);
+  assert.ok(unpowered.distance > 100);
+
+  const boosted = autopilot(() => {}, start, target, 10);
+  assert.ok(boosted.distance < 2, `${boosted.pos}`);
+  assert.ok(boosted.used > 0 && boosted.used <= 3, `${boosted.used}`);
+
+  const downhill = autopilot(
+    () => {},
+    { pos: { x: 0.5, y: 150, z: 0.5 } },
+    new Vec3(0.5, 64, 300.5),
+    10,
+  );
+  assert.strictEqual(downhill.used, 0);
+});
+
+test("ashGlideTo steers the bot to a landing", async (t) => {
+  const harness = glidingBot(t);
+  const { bot, world } = harness;
+  world.fill(new Vec3(-40, 63, -40), new Vec3(40, 63, 100), "stone");
+
+  const target = new Vec3(0.5, 64, 60.5);
+  let landed = false;
+  const glide = bot.ashGlideTo(target).then(() => (landed = true));
+  for (let tick = 0; tick < 600 && !landed; tick++) {
+    harness.tick();
+    await Promise.resolve();
+  }
+  await glide;
+
+  assert.strictEqual(bot.entity.elytraFlying, false);
+  assert.ok(bot.entity.position.distanceTo(target) < 8);
+  await assert.rejects(bot.ashGlideTo(target), /elytra flying/);
+});
+
+test("ashGlideTo rejects when a rocket cannot be used", async (t) => {
+  for (const [version, name] of [
+    ["1.12.2", "fireworks"],
+    ["1.20.4", "firework_rocket"],
+  ]) {
+    const harness = glidingBot(t, version);
+    const { bot } = harness;
+    bot.inventory.slots[36] = { name };
+    bot.ashUseFirework = async () => {
+      throw new Error("Rocket jammed");
+    };
+
+    // Too far to reach without rockets
+    const glide = bot.ashGlideTo(new Vec3(0.5, 64, 5000.5));
+    let settled = false;
+    glide.catch(() => {}).finally(() => (settled = true));
+    for (let tick = 0; tick < 100 && !settled; tick++) {
+      harness.tick();
+      await new Promise(setImmediate);
+    }
+
+    assert.ok(settled, `${version}: the glide kept going`);
+    await assert.rejects(glide, /Rocket jammed/);
+    // The pilot has stopped steering
+    const { yaw } = bot.entity;
+    harness.tick(5);
+    assert.strictEqual(bot.entity.yaw, yaw);
+    harness.restore();
+  }
+});
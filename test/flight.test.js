@@ -0,0 +1,169 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const { PhysicsEngine, PlayerState } = require("../src/engine.js");
+const BlockGridWorld = require("../src/world.js");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+function fly(build, data, inputs, ticks) {
+  const registry = require("prismarine-registry")("1.20.4");
+  const world = new BlockGridWorld(registry);
+  world.fill(new Vec3(-8, 62, -8), new Vec3(8, 62, 60), "stone");
+  build(world);
+  const physics = new PhysicsEngine(registry, world);
+  const state = PlayerState.fromData({
+    pos: { x: 0.5, y: 63, z: 0.5 },
+    onGround: true,
+    allowFlying: true,
+    ...data,
+  });
+  return physics.simulateTimeline(state, inputs, ticks);
+}
+
+// Per-tick displacement once the speed has settled
+function stride(trajectory, axis) {
+  const last = trajectory.length - 1;
+  return trajectory[last].pos[axis] - trajectory[last - 1].pos[axis];
+}
+
+test("double-tapping jump toggles flight and jump rises", () => {
+  const inputs = [{ jump: true }, { jump: false }, { jump: true }];
+  const trajectory = fly(() => {}, {}, inputs, 40);
+
+  assert.strictEqual(trajectory[1].flying, false);
+  assert.strictEqual(trajectory[2].flying, true);
+  assert.ok(trajectory.slice(2).every((tick) => tick.flying));
+  assert.ok(Math.abs(stride(trajectory, "y") - 0.375) < 1e-6);
+
+  // The second tap has to come within 7 ticks
+  const slow = [{ jump: true }, { jump: false }, ...Array(6), { jump: true }];
+  const jumps = fly(() => {}, {}, slow, 20);
+  assert.ok(jumps.every((tick) => !tick.flying));
+
+  // Without the ability it is just two jumps
+  const survival = fly(() => {}, { allowFlying: false }, inputs, 20);
+  assert.ok(survival.every((tick) => !tick.flying));
+});
+
+test("flying moves at the fly speed, doubled when sprinting, and hovers", () => {
+  const start = { pos: { x: 0.5, y: 70, z: 0.5 }, onGround: false };
+  const walk = fly(
+    () => {},
+    { ...start, flying: true },
+    [{ forward: true }],
+    150,
+  );
+  assert.ok(Math.abs(stride(walk, "z") + 0.049 / 0.09) < 1e-4);
+  assert.strictEqual(walk[149].pos.y, 70);
+
+  const sprint = fly(
+    () => {},
+    { ...start, flying: true },
+    [{ forward: true, sprint: true }],
+    150,
+  );
+  assert.ok(Math.abs(stride(sprint, "z") / stride(walk, "z") - 2) < 1e-6);
+
+  const fast = fly(
+    () => {},
+    { ...start, flying: true, flyingSpeed: 0.1 },
+    [{ forward: true }],
+    150,
+  );
+  assert.ok(Math.abs(stride(fast, "z") / stride(walk, "z") - 2) < 1e-6);
+});
+
+test("sinking onto the ground stops flying", () => {
+  const trajectory = fly(
+    () => {},
+    { pos: { x: 0.5, y: 65, z: 0.5 }, onGround: false, flying: true },
+    [{ sneak: true }],
+    20,
+  );
+
+  const landed = trajectory.findIndex((tick) => tick.onGround);
+  assert.ok(landed > 0);
+  assert.strictEqual(trajectory[landed].pos.y, 63);
+  assert.strictEqual(trajectory[landed].flying, false);
+  assert.ok(trajectory.slice(landed).every((tick) => !tick.flying));
+});
+
+test("spectators fly through blocks and never land", () => {
+  const wall = (world) =>
+    world.fill(new Vec3(-8, 63, -8), new Vec3(8, 70, -4), "stone");
+  const trajectory = fly(
+    wall,
+    { isSpectator: true, allowFlying: false },
+    [{ forward: true, sneak: true }],
+    40,
+  );
+
+  assert.ok(trajectory.every((tick) => tick.flying && !tick.onGround));
+  assert.ok(trajectory[39].pos.z < -8, `${trajectory[39].pos}`);
+  assert.ok(trajectory[39].pos.y < 62, `${trajectory[39].pos}`);
+
+  const creative = fly(wall, { flying: true }, [{ forward: true }], 40);
+  assert.strictEqual(creative[39].pos.z, -2.7);
+});
+
+function creativeBot(t, version) {
+  const harness = createFakeBot(t, { version });
+  const { bot, client, world } = harness;
+  world.fill(new Vec3(-8, 62, -8), new Vec3(8, 62, 8), "stone");
+  harness.spawn(new Vec3(0.5, 63, 0.5));
+  harness.tick(2);
+
+  client.emit("abilities", {
+    flags: 0b1101,
+    flyingSpeed: 0.05,
+    walkingSpeed: 0.1,
+  });
+  bot.game.gameMode = "creative";
+  harness.takeWrites();
+  return harness;
+}
+
+test("starting and stopping flight sends abilities", (t) => {
+  for (const [version, flying, landed] of [
+    ["1.20.4", { flags: 2 }, { flags: 0 }],
+    [
+      "1.12.2",
+      { flags: 0b1111, flyingSpeed: 0.05, walkingSpeed: 0.1 },
+      { flags: 0b1101, flyingSpeed: 0.05, walkingSpeed: 0.1 },
+    ],
+  ]) {
+    const harness = creativeBot(t, version);
+    const { bot } = harness;
+
+    for (const jump of [true, false, true]) {
+      bot.ashSetControlState("jump", jump);
+      harness.tick();
+    }
+    bot.ashSetControlState("jump", false);
+    harness.tick(10);
+    assert.ok(bot.entity.position.y > 64, version);
+    assert.deepStrictEqual(
+      harness.takeWrites("abilities").map((write) => write.data),
+      [flying],
+      version,
+    );
+
+    bot.ashSetControlState("sneak", true);
+    harness.tick(20);
+    assert.strictEqual(bot.ashAbilities.flying, false);
+    assert.deepStrictEqual(
+      harness.takeWrites("abilities").map((write) => write.data),
+      [landed],
+      version,
+    );
+
+    bot.ashSetFlying(true);
+    assert.deepStrictEqual(harness.takeWrites("abilities")[0].data, flying);
+    harness.restore();
+  }
+});
+
+test("ashSetFlying refuses to fly without the ability", (t) => {
+  const harness = createFakeBot(t);
+  assert.throws(() => harness.bot.ashSetFlying(true), /not allowed/);
+});
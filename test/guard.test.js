@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+// A stone platform the bot stands on, ending at z = 1, with `below`
+// building whatever lies past the edge
+function setup(t, below = () => {}) {
+  const harness = createFakeBot(t);
+  harness.world.fill(new Vec3(-2, 63, -2), new Vec3(2, 63, 0), "stone");
+  below(harness.world);
+  harness.spawn(new Vec3(0.5, 64, 0.5));
+  harness.tick(3);
+  harness.bot.ashEnableGuard();
+  return harness;
+}
+
+// Walk towards the edge (the spawn teleport faces +z) and collect vetoes
+function walkOff(harness, ticks = 40) {
+  const vetoes = [];
+  harness.bot.on("movementVetoed", (veto) => vetoes.push(veto));
+  harness.bot.ashSetControlState("forward", true);
+  harness.tick(ticks);
+  return vetoes;
+}
+
+test("the guard stops the bot walking into lava", (t) => {
+  const harness = setup(t, (world) =>
+    world
+      .fill(new Vec3(-2, 62, 1), new Vec3(2, 62, 4), "stone")
+      .fill(new Vec3(-2, 63, 1), new Vec3(2, 63, 4), "lava", { level: "0" }),
+  );
+  const vetoes = walkOff(harness);
+
+  assert.strictEqual(vetoes[0]?.reason, "lava");
+  assert.strictEqual(harness.bot.entity.position.y, 64);
+  assert.ok(harness.bot.entity.position.z < 1.3);
+});
+
+test("the guard stops the bot walking off into the void", (t) => {
+  const harness = setup(t);
+  const vetoes = walkOff(harness);
+
+  assert.strictEqual(vetoes[0]?.reason, "void");
+  assert.strictEqual(harness.bot.entity.position.y, 64);
+});
+
+test("a drop the engine predicts as fatal is vetoed", (t) => {
+  const harness = setup(t, (world) =>
+    world.fill(new Vec3(-2, 54, 1), new Vec3(2, 54, 16), "stone"),
+  );
+  // Nine blocks down deal 6
+  harness.bot.health = 5;
+  const vetoes = walkOff(harness);
+
+  assert.strictEqual(vetoes[0]?.reason, "lethal drop");
+  assert.strictEqual(harness.bot.entity.position.y, 64);
+});
+
+test("a drop jump boost makes survivable is allowed", (t) => {
+  const harness = setup(t, (world) =>
+    world.fill(new Vec3(-2, 54, 1), new Vec3(2, 54, 16), "stone"),
+  );
+  const { bot, registry } = harness;
+  bot.health = 5;
+  // Jump boost II raises the safe distance to 5, so the drop deals 4
+  bot.entity.effects[registry.effectsByName.JumpBoost.id] = { amplifier: 1 };
+  const vetoes = walkOff(harness);
+
+  assert.deepStrictEqual(vetoes, []);
+  assert.strictEqual(bot.entity.position.y, 55);
+});
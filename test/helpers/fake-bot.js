@@ -0,0 +1,162 @@
+const EventEmitter = require("events");
+const { performance } = require("perf_hooks");
+const { Vec3 } = require("vec3");
+const BlockGridWorld = require("../../src/world.js");
+const inject = require("../../index.js");
+
+const PHYSICS_INTERVAL_MS = 50;
+// Captured once, so nested or leaked harnesses cannot restore a fake clock
+const realNow = performance.now;
+
+/**
+ * Fake bot and client for driving inject() tick by tick without a server.
+ *
+ * Every client.write() is recorded with the tick it happened on, and packets
+ * can be injected with client.emit(name, packet). performance.now is replaced
+ * by a virtual clock that advances one tick per call to tick(). The real clock
+ * comes back when the test `t` ends, even if it fails, or earlier through
+ * restore().
+ *
+ * @param {import('node:test').TestContext} t
+ */
+function createFakeBot(t, options = {}) {
+  const version = options.version ?? "1.20.4";
+  const registry = require("prismarine-registry")(version);
+  const world = options.world ?? new BlockGridWorld(registry);
+
+  let now = 0;
+  let currentTick = 0;
+  let restored = false;
+  performance.now = () => now;
+
+  const client = new EventEmitter();
+  client.writes = [];
+  client.write = (name, data) => {
+    client.writes.push({
+      tick: currentTick,
+      name,
+      data: JSON.parse(JSON.stringify(data)),
+    });
+  };
+
+  const bot = new EventEmitter();
+  bot._client = client;
+  bot.version = version;
+  bot.registry = registry;
+  bot.supportFeature = registry.supportFeature;
+  bot.isAlive = true;
+  bot.health = 20;
+  bot.game = { gameMode: "survival", minY: 0 };
+  bot.player = { ping: 0 };
+  bot.inventory = { slots: [], hotbarStart: 36 };
+  bot.quickBarSlot = 0;
+  bot.setQuickBarSlot = (slot) => {
+    bot.quickBarSlot = slot;
+    client.write("held_item_slot", { slotId: slot });
+  };
+  bot.usingHeldItem = false;
+  bot.isRaining = false;
+  bot.activateItem = () => {
+    bot.usingHeldItem = true;
+    client.write("use_item", { hand: 0 });
+  };
+  bot.deactivateItem = () => {
+    bot.usingHeldItem = false;
+    client.write("block_dig", { status: 5 });
+  };
+  bot.attack = (target) => {
+    client.write("use_entity", { target: target.id, mouse: 1 });
+  };
+  bot.entity = {
+    id: 1,
+    name: "player",
+    position: new Vec3(0, 0, 0),
+    velocity: new Vec3(0, 0, 0),
+    yaw: 0,
+    pitch: 0,
+    onGround: false,
+    height: 1.8,
+    eyeHeight: 1.62,
+    effects: {},
+    attributes: {},
+  };
+  bot.blockAt = (pos) => world.getBlock(pos);
+  bot.getEquipmentDestSlot = (destination) =>
+    destination === "torso" ? 6 : null;
+
+  // Capture the physics interval instead of running it on a real timer
+  let doPhysics = null;
+  const realSetInterval = global.setInterval;
+  const realClearInterval = global.clearInterval;
+  global.setInterval = (fn) => {
+    doPhysics = fn;
+    return 1;
+  };
+  global.clearInterval = () => {
+    doPhysics = null;
+  };
+  try {
+    inject(bot);
+    bot.emit("login");
+  } finally {
+    global.setInterval = realSetInterval;
+    global.clearInterval = realClearInterval;
+  }
+
+  const harness = {
+    bot,
+    client,
+    world,
+    registry,
+
+    /**
+     * Run `count` physics ticks, advancing the virtual clock
+     */
+    tick(count = 1) {
+      for (let i = 0; i < count; i++) {
+        currentTick++;
+        now += PHYSICS_INTERVAL_MS;
+        doPhysics();
+      }
+    },
+
+    /**
+     * Send the initial server teleport that enables physics
+     */
+    spawn(pos) {
+      client.emit("position", {
+        x: pos.x,
+        y: pos.y,
+        z: pos.z,
+        yaw: 0,
+        pitch: 0,
+        flags: registry.version[">="]("1.21.3")
+          ? { x: false, y: false, z: false, yaw: false, pitch: false }
+          : 0,
+        teleportId: 1,
+      });
+    },
+
+    /**
+     * Writes recorded since the last call, optionally filtered by name
+     */
+    takeWrites(...names) {
+      const writes = client.writes;
+      client.writes = [];
+      return names.length === 0
+        ? writes
+        : writes.filter((write) => names.includes(write.name));
+    },
+
+    restore() {
+      if (restored) return;
+      restored = true;
+      performance.now = realNow;
+      bot.emit("end");
+    },
+  };
+  t.after(() => harness.restore());
+  return harness;
+}
+
+module.exports = createFakeBot;
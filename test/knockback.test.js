@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const { PhysicsEngine, PlayerState } = require("../src/engine.js");
+const BlockGridWorld = require("../src/world.js");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+function setup(version = "1.20.4") {
+  const registry = require("prismarine-registry")(version);
+  const world = new BlockGridWorld(registry);
+  world.fill(new Vec3(-8, 63, -8), new Vec3(8, 63, 8), "stone");
+  return new PhysicsEngine(registry, world);
+}
+
+test("a hit halves the motion and pushes away from the attacker", () => {
+  const physics = setup();
+  const attacker = new Vec3(1.5, 64, 0.5);
+
+  const standing = PlayerState.fromData({
+    pos: { x: 0.5, y: 64, z: 0.5 },
+    vel: { x: 0.2, y: -0.0784, z: 0.1 },
+    onGround: true,
+  });
+  assert.ok(physics.applyKnockback(standing, 0.4, attacker));
+  assert.ok(Math.abs(standing.vel.x - (0.1 - 0.4)) < 1e-9);
+  assert.strictEqual(standing.vel.y, -0.0392 + 0.4);
+  assert.strictEqual(standing.vel.z, 0.05);
+
+  // A sprint hit pushes further, but lifts no higher than 0.4
+  const sprintHit = PlayerState.fromData({ onGround: true });
+  physics.applyKnockback(sprintHit, 0.9, new Vec3(0, 0, -1));
+  assert.deepStrictEqual(sprintHit.vel, new Vec3(0, 0.4, 0.9));
+
+  // Airborne players keep their vertical motion
+  const jumping = PlayerState.fromData({ vel: { x: 0, y: 0.3, z: 0 } });
+  physics.applyKnockback(jumping, 0.4, new Vec3(0, 0, -1));
+  assert.strictEqual(jumping.vel.y, 0.3);
+});
+
+test("knockback resistance weakens or cancels knockback", () => {
+  for (const version of ["1.12.2", "1.20.4", "1.21.4"]) {
+    const physics = setup(version);
+    const resistant = (value) =>
+      PlayerState.fromData({
+        onGround: true,
+        attributes: {
+          [physics.constants.knockbackResistanceAttribute]: {
+            value,
+            modifiers: [],
+          },
+        },
+      });
+
+    const half = resistant(0.5);
+    physics.applyKnockback(half, 0.4, new Vec3(0, 0, -1));
+    assert.ok(Math.abs(half.vel.z - 0.2) < 1e-9, version);
+    assert.ok(Math.abs(half.vel.y - 0.2) < 1e-9, version);
+
+    const immovable = resistant(1);
+    assert.strictEqual(
+      physics.applyKnockback(immovable, 0.4, new Vec3(0, 0, -1)),
+      false,
+    );
+    assert.deepStrictEqual(immovable.vel, new Vec3(0, 0, 0));
+  }
+});
+
+test("the bot moves on from the velocity the server sends", (t) => {
+  const harness = createFakeBot(t);
+  const { bot, client, world } = harness;
+  world.fill(new Vec3(-8, 63, -8), new Vec3(8, 63, 8), "stone");
+  harness.spawn(new Vec3(0.5, 64, 0.5));
+  harness.tick(5);
+
+  client.emit("entity_velocity", {
+    entityId: bot.entity.id,
+    velocityX: -0.4 * 8000,
+    velocityY: 0.4 * 8000,
+    velocityZ: 0,
+  });
+  harness.tick();
+  assert.ok(Math.abs(bot.entity.position.x - (0.5 - 0.4)) < 1e-9);
+  assert.ok(bot.entity.position.y > 64.3);
+});
+
+test("hurt packets start the hurt animation", (t) => {
+  for (const version of ["1.12.2", "1.20.4"]) {
+    const harness = createFakeBot(t, { version });
+    const { bot, client, world } = harness;
+    world.fill(new Vec3(-8, 63, -8), new Vec3(8, 63, 8), "stone");
+    harness.spawn(new Vec3(0.5, 64, 0.5));
+    harness.tick(5);
+
+    const hurtTimes = [];
+    const tilts = [];
+    // 1.19.4 replaced the hurt status with damage_event and hurt_animation
+    const damageEvents = harness.registry.version[">="]("1.19.4");
+    bot.on("hurtTime", (ticks) => hurtTimes.push(ticks));
+    bot.on("damageTilt", (direction) => tilts.push(direction));
+
+    if (damageEvents) {
+      client.emit("damage_event", { entityId: bot.entity.id });
+      client.emit("hurt_animation", { entityId: bot.entity.id, yaw: 90 });
+      // Other entities getting hurt do not count
+      client.emit("damage_event", { entityId: bot.entity.id + 1 });
+    } else {
+      client.emit("entity_status", {
+        entityId: bot.entity.id,
+        entityStatus: 2,
+      });
+      client.emit("entity_status", {
+        entityId: bot.entity.id,
+        entityStatus: 3,
+      });
+    }
+    assert.strictEqual(bot.hurtTime, 10);
+
+    harness.tick(15);
+    assert.deepStrictEqual(
+      hurtTimes,
+      [10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+      version,
+    );
+    if (damageEvents) {
+      assert.deepStrictEqual(tilts, [90]);
+      assert.strictEqual(bot.hurtDirection, 90);
+    } else {
+      assert.deepStrictEqual(tilts, []);
+    }
+    harness.restore();
+  }
+});
@@ -0,0 +1,210 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const minecraftData = require("minecraft-data");
+const { PhysicsEngine, PlayerState } = require("../src/engine.js");
+const BlockGridWorld = require("../src/world.js");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+// Every release minecraft-data supports from 1.8 on
+const VERSIONS = minecraftData.supportedVersions.pc.filter(
+  (version) =>
+    /^1\.\d+(\.\d+)?$/.test(version) &&
+    minecraftData(version).version[">="]("1.8"),
+);
+
+function simulate(physics, start, input, ticks) {
+  return physics.simulateTimeline(
+    PlayerState.fromData(start),
+    Array(ticks).fill(input),
+  );
+}
+
+function walkDistance(version, build) {
+  const registry = require("prismarine-registry")(version);
+  const world = new BlockGridWorld(registry);
+  build(world, registry);
+  const physics = new PhysicsEngine(registry, world);
+  const trajectory = simulate(
+    physics,
+    { pos: { x: 0.5, y: 65, z: 0.5 } },
+    { forward: true },
+    30,
+  );
+  return Math.abs(trajectory[29].pos.z - trajectory[9].pos.z);
+}
+
+function carpet(registry) {
+  return registry.blocksByName.white_carpet ? "white_carpet" : "carpet";
+}
+
+/**
+ * Version-specific expectations. `feature` names what decides the outcome
+ * for a version, so a failure points at the entry that diverged.
+ */
+const CHECKS = [
+  {
+    name: "water gravity",
+    feature: (v) =>
+      v["<"]("1.13") ? "independentLiquidGravity" : "proportionalLiquidGravity",
+    expected: (v) => (v["<"]("1.13") ? -0.02 : -0.005),
+    measure: (physics, world) => {
+      world.fill(new Vec3(-3, 60, -3), new Vec3(3, 68, 3), "water");
+      const [tick] = simulate(
+        physics,
+        { pos: { x: 0.5, y: 64, z: 0.5 } },
+        {},
+        1,
+      );
+      return tick.vel.y;
+    },
+  },
+  {
+    name: "lava gravity",
+    feature: (v) =>
+      v["<"]("1.13") ? "independentLiquidGravity" : "proportionalLiquidGravity",
+    expected: () => -0.02,
+    measure: (physics, world) => {
+      world.fill(new Vec3(-3, 60, -3), new Vec3(3, 68, 3), "lava");
+      const [tick] = simulate(
+        physics,
+        { pos: { x: 0.5, y: 64, z: 0.5 } },
+        {},
+        1,
+      );
+      return tick.vel.y;
+    },
+  },
+  {
+    name: "soul sand slows walking on it",
+    feature: (v) =>
+      v["<"]("1.15") ? "velocityBlocksOnCollision" : "velocityBlocksOnTop",
+    expected: () => true,
+    measure: (physics, world, version) => {
+      const plain = walkDistance(version, (w) =>
+        w.fill(new Vec3(-4, 63, -30), new Vec3(4, 63, 4), "stone"),
+      );
+      const slowed = walkDistance(version, (w) =>
+        w.fill(new Vec3(-4, 63, -30), new Vec3(4, 63, 4), "soul_sand"),
+      );
+      return slowed < plain * 0.8;
+    },
+  },
+  {
+    name: "soul sand under carpet slows walking",
+    feature: (v) =>
+      v["<"]("1.15") ? "velocityBlocksOnCollision" : "velocityBlocksOnTop",
+    expected: (v) => v[">="]("1.15"),
+    measure: (physics, world, version) => {
+      const build = (floor) => (w, registry) =>
+        w
+          .fill(new Vec3(-4, 63, -30), new Vec3(4, 63, 4), floor)
+          .fill(new Vec3(-4, 64, -30), new Vec3(4, 64, 4), carpet(registry));
+      const plain = walkDistance(version, build("stone"));
+      const slowed = walkDistance(version, build("soul_sand"));
+      return slowed < plain * 0.8;
+    },
+  },
+  {
+    name: "jump climbs ladders",
+    feature: () => "climbUsingJump",
+    expected: (v) => v[">="]("1.14"),
+    measure: (physics, world) => {
+      world.fill(new Vec3(0, 60, 0), new Vec3(0, 70, 0), "ladder", {
+        facing: "south",
+      });
+      const trajectory = simulate(
+        physics,
+        { pos: { x: 0.5, y: 65, z: 0.5 } },
+        { jump: true },
+        5,
+      );
+      return trajectory[4].pos.y > 65;
+    },
+  },
+  {
+    name: "open trapdoor above a ladder is climbable",
+    feature: () => "climbableTrapdoor",
+    expected: (v) => v[">="]("1.9"),
+    measure: (physics, world) => {
+      world
+        .fill(new Vec3(0, 60, 0), new Vec3(0, 64, 0), "ladder", {
+          facing: "south",
+        })
+        .setBlock(new Vec3(0, 65, 0), "iron_trapdoor", {
+          facing: "south",
+          half: "bottom",
+          open: true,
+        });
+      return physics._isOnLadder(new Vec3(0.5, 65.5, 0.5));
+    },
+  },
+  {
+    name: "closed trapdoor above a ladder is not climbable",
+    feature: () => "climbableTrapdoor",
+    expected: () => false,
+    measure: (physics, world) => {
+      world
+        .fill(new Vec3(0, 60, 0), new Vec3(0, 64, 0), "ladder", {
+          facing: "south",
+        })
+        .setBlock(new Vec3(0, 65, 0), "iron_trapdoor", {
+          facing: "south",
+          half: "bottom",
+          open: false,
+        });
+      return physics._isOnLadder(new Vec3(0.5, 65.5, 0.5));
+    },
+  },
+  {
+    name: "relative position packet",
+    feature: (v) =>
+      v[">="]("1.21.3") ? "position flags object" : "position flags bitmask",
+    expected: () => 1.5,
+    measure: (physics, world, version, t) => {
+      const harness = createFakeBot(t, { version });
+      harness.spawn(new Vec3(0.5, 100, 0.5));
+      harness.client.emit("position", {
+        x: 1,
+        y: 0,
+        z: 0,
+        yaw: 0,
+        pitch: 0,
+        flags: harness.registry.version[">="]("1.21.3")
+          ? { x: true, y: true, z: true, yaw: true, pitch: true }
+          : 0x1f,
+        teleportId: 2,
+      });
+      return harness.bot.entity.position.x;
+    },
+  },
+];
+
+for (const version of VERSIONS) {
+  test(`physics matrix ${version}`, async (t) => {
+    const registry = require("prismarine-registry")(version);
+
+    for (const check of CHECKS) {
+      const feature = check.feature(registry.version);
+      await t.test(`${check.name} [${feature}]`, (t) => {
+        const world = new BlockGridWorld(registry);
+        const physics = new PhysicsEngine(registry, world);
+        const actual = check.measure(physics, world, version, t);
+        const expected = check.expected(registry.version);
+
+        if (typeof expected === "number") {
+          assert.ok(
+            Math.abs(actual - expected) < 1e-6,
+            `${version} ${check.name} (${feature}): expected ${expected}, got ${actual}`,
+          );
+        } else {
+          assert.strictEqual(
+            actual,
+            expected,
+            `${version} ${check.name} (${feature}): expected ${expected}, got ${actual}`,
+          );
+        }
+      });
+    }
+  });
+}
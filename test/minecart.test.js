@@ -0,0 +1,219 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const { PhysicsEngine } = require("../src/engine.js");
+const { MinecartPhysics, MinecartState } = require("../src/minecart.js");
+const BlockGridWorld = require("../src/world.js");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+function ride(build, data, ticks, inputs = [], version = "1.20.4") {
+  const registry = require("prismarine-registry")(version);
+  const world = new BlockGridWorld(registry);
+  world.fill(new Vec3(-8, 62, -8), new Vec3(8, 62, 40), "stone");
+  build(world, registry);
+  const minecarts = new MinecartPhysics(new PhysicsEngine(registry, world));
+  const cart = MinecartState.fromData({ hasRider: true, ...data });
+  return minecarts.simulateTimeline(cart, inputs, ticks);
+}
+
+// A rolling cart on a straight north-south line starting at z = 0
+const rolling = {
+  pos: { x: 0.5, y: 63.0625, z: 0.5 },
+  vel: { x: 0, y: 0, z: 0.4 },
+};
+
+function straight(world, length = 30) {
+  world.fill(new Vec3(0, 63, 0), new Vec3(0, 63, length), "rail", {
+    shape: "north_south",
+  });
+}
+
+test("carts follow curves onto the next rail", () => {
+  const trajectory = ride(
+    (world) => {
+      straight(world, 4);
+      world.setBlock(new Vec3(0, 63, 5), "rail", { shape: "north_east" });
+      world.fill(new Vec3(1, 63, 5), new Vec3(8, 63, 5), "rail", {
+        shape: "east_west",
+      });
+    },
+    rolling,
+    30,
+  );
+
+  const last = trajectory.at(-1);
+  assert.strictEqual(last.rail, "rail");
+  assert.ok(last.pos.x > 4, `x ${last.pos.x}`);
+  assert.strictEqual(last.pos.z, 5.5);
+  assert.strictEqual(last.vel.z, 0);
+  assert.ok(last.vel.x > 0.3);
+});
+
+test("slopes speed carts up on the way down", () => {
+  const trajectory = ride(
+    (world) => {
+      world.fill(new Vec3(0, 63, 0), new Vec3(0, 65, 0), "stone");
+      world.setBlock(new Vec3(0, 66, 0), "rail", { shape: "north_south" });
+      for (let i = 1; i <= 3; i++) {
+        world.fill(new Vec3(0, 63, i), new Vec3(0, 65 - i, i), "stone");
+        world.setBlock(new Vec3(0, 66 - i, i), "rail", {
+          shape: "ascending_north",
+        });
+      }
+      world.fill(new Vec3(0, 63, 4), new Vec3(0, 63, 20), "rail", {
+        shape: "north_south",
+      });
+    },
+    { pos: { x: 0.5, y: 66.0625, z: 0.5 }, vel: { x: 0, y: 0, z: 0.05 } },
+    40,
+  );
+
+  const bottom = trajectory.find((tick) => tick.pos.z >= 4.5);
+  assert.ok(bottom, "never reached the bottom");
+  assert.strictEqual(bottom.pos.y, 63.0625);
+  assert.ok(bottom.vel.z > 0.3, `vz ${bottom.vel.z}`);
+  assert.ok(trajectory.every((tick) => tick.onRails));
+});
+
+test("powered rails kick off from a block and boost carts", () => {
+  for (const version of ["1.8.9", "1.12.2", "1.20.4"]) {
+    const trajectory = ride(
+      (world, registry) => {
+        straight(world);
+        const powered = registry.blocksByName.powered_rail
+          ? "powered_rail"
+          : "golden_rail";
+        world.fill(new Vec3(0, 63, 0), new Vec3(0, 63, 2), powered, {
+          shape: "north_south",
+          powered: true,
+        });
+        world.setBlock(new Vec3(0, 63, -1), "stone");
+      },
+      { pos: { x: 0.5, y: 63, z: 0.5 } },
+      20,
+      [],
+      version,
+    );
+
+    assert.strictEqual(trajectory[0].vel.z, 0.02, version);
+    assert.ok(trajectory[10].vel.z > 0.6, `${version} ${trajectory[10].vel.z}`);
+    assert.strictEqual(trajectory[19].rail, "rail", version);
+  }
+});
+
+test("unpowered powered rails brake carts to a stop", () => {
+  const trajectory = ride(
+    (world) => {
+      straight(world);
+      world.setBlock(new Vec3(0, 63, 5), "powered_rail", {
+        shape: "north_south",
+        powered: false,
+      });
+    },
+    rolling,
+    30,
+  );
+
+  const last = trajectory.at(-1);
+  assert.strictEqual(last.rail, "powered_rail");
+  assert.strictEqual(Math.floor(last.pos.z), 5);
+  assert.deepStrictEqual(last.vel.toArray(), [0, 0, 0]);
+});
+
+test("carts leave the track at the end of the line", () => {
+  const trajectory = ride((world) => straight(world, 3), rolling, 30);
+
+  const last = trajectory.at(-1);
+  assert.strictEqual(last.onRails, false);
+  assert.strictEqual(last.onGround, true);
+  assert.strictEqual(last.pos.y, 63);
+  assert.ok(last.pos.z > 4 && last.pos.z < 5, `z ${last.pos.z}`);
+});
+
+test("powered activator rails eject the rider, detector rails do not", () => {
+  const trajectory = ride(
+    (world) => {
+      straight(world, 10);
+      world.setBlock(new Vec3(0, 63, 2), "detector_rail", {
+        shape: "north_south",
+      });
+      world.setBlock(new Vec3(0, 63, 4), "activator_rail", {
+        shape: "north_south",
+        powered: true,
+      });
+    },
+    rolling,
+    15,
+  );
+
+  const detector = trajectory.find((tick) => tick.rail === "detector_rail");
+  assert.strictEqual(detector.ejected, false);
+  const activator = trajectory.find((tick) => tick.rail === "activator_rail");
+  assert.strictEqual(activator.ejected, true);
+});
+
+test("holding forward pushes a cart up to walking pace", () => {
+  const forward = [{ forward: true, yaw: Math.PI }];
+  const line = (world) => straight(world);
+
+  const modern = ride(line, { pos: rolling.pos }, 100, forward);
+  assert.ok(modern[0].vel.z > 0 && modern[0].vel.z < 0.01);
+  assert.ok(Math.abs(modern[99].vel.z - 0.1) < 0.005, `${modern[99].vel.z}`);
+
+  // Before 1.14 the rider's facing was pushed at a fixed speed
+  const legacy = ride(line, { pos: rolling.pos }, 1, forward, "1.12.2");
+  assert.ok(Math.abs(legacy[0].vel.z - 0.1 * 0.997) < 1e-9);
+
+  const idle = ride(line, { pos: rolling.pos }, 20);
+  assert.strictEqual(idle[19].pos.z, 0.5);
+});
+
+function mountMinecart(t, version) {
+  const harness = createFakeBot(t, { version });
+  const { bot, world } = harness;
+  straight(world, 60);
+  world.fill(new Vec3(-4, 62, -4), new Vec3(4, 62, 64), "stone");
+  harness.spawn(new Vec3(0.5, 63, 0.5));
+  harness.tick(2);
+
+  bot.vehicle = {
+    id: 2,
+    name: version === "1.8.9" ? "MinecartRideable" : "minecart",
+    position: new Vec3(0.5, 63.0625, 0.5),
+    velocity: new Vec3(0, 0, 0),
+    yaw: 0,
+  };
+  bot.emit("mount");
+  harness.takeWrites();
+  return harness;
+}
+
+test("riding a minecart predicts the seat and sends only input and look", (t) => {
+  for (const version of ["1.8.9", "1.20.4"]) {
+    const harness = mountMinecart(t, version);
+    const { bot, client } = harness;
+
+    client.emit("entity_velocity", {
+      entityId: 2,
+      velocityX: 0,
+      velocityY: 0,
+      velocityZ: 0.4 * 8000,
+    });
+    harness.tick(10);
+
+    const writes = harness.takeWrites();
+    const names = new Set(writes.map((write) => write.name));
+    assert.deepStrictEqual([...names].sort(), ["look", "steer_vehicle"]);
+    assert.ok(bot.entity.position.z > 3, `${version} ${bot.entity.position}`);
+    assert.strictEqual(bot.entity.position.y, 63.0625 - 0.35);
+    // The vehicle entity keeps the server's view
+    assert.strictEqual(bot.vehicle.position.z, 0.5);
+
+    // Server updates replace the prediction
+    bot.vehicle.position.set(0.5, 63.0625, 20.5);
+    bot.emit("entityMoved", bot.vehicle);
+    harness.tick();
+    assert.ok(bot.entity.position.z > 20.5 && bot.entity.position.z < 21.5);
+    harness.restore();
+  }
+});
@@ -0,0 +1,167 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const { PhysicsEngine } = require("../src/engine.js");
+const { MountPhysics } = require("../src/mount.js");
+const BlockGridWorld = require("../src/world.js");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+function ride(name, build, inputs, ticks, entity = {}) {
+  const registry = require("prismarine-registry")("1.20.4");
+  const world = new BlockGridWorld(registry);
+  world.fill(new Vec3(-8, 62, -8), new Vec3(8, 62, 60), "stone");
+  build(world);
+  const mounts = new MountPhysics(new PhysicsEngine(registry, world));
+  const state = mounts.createState({
+    name,
+    position: new Vec3(0.5, 63, 0.5),
+    velocity: new Vec3(0, 0, 0),
+    yaw: Math.PI,
+    onGround: true,
+    ...entity,
+  });
+  return mounts.simulateTimeline(state, inputs, ticks);
+}
+
+// Hold jump for `charge` ticks while riding forward
+function chargedJump(charge) {
+  return (tick) => ({ forward: true, jump: tick < charge });
+}
+
+test("horses run at their movement speed attribute and step up blocks", () => {
+  const flat = ride("horse", () => {}, [{ forward: true }], 40);
+  const stride = flat[39].pos.z - flat[38].pos.z;
+  assert.ok(Math.abs(stride - 0.486) < 0.005, `stride ${stride}`);
+
+  const fast = ride("horse", () => {}, [{ forward: true }], 40, {
+    attributes: {
+      "generic.movement_speed": { value: 0.3375, modifiers: [] },
+    },
+  });
+  assert.ok(fast[39].pos.z > flat[39].pos.z * 1.4);
+
+  const step = ride(
+    "horse",
+    (world) => world.fill(new Vec3(-3, 63, 5), new Vec3(3, 63, 60), "stone"),
+    [{ forward: true }],
+    30,
+  );
+  assert.strictEqual(step[29].pos.y, 64);
+  assert.ok(step[29].pos.z > 10);
+});
+
+test("horse jumps charge while jump is held", () => {
+  const full = ride("horse", () => {}, chargedJump(10), 30);
+  const release = full.find((tick) => tick.jumpPower !== null);
+  assert.strictEqual(release.jumpPower, 90);
+  const peak = Math.max(...full.map((tick) => tick.pos.y));
+  assert.ok(peak > 65.5, `peak ${peak}`);
+
+  const tap = ride("horse", () => {}, chargedJump(2), 30);
+  assert.strictEqual(tap.find((tick) => tick.jumpPower !== null).jumpPower, 10);
+  const low = Math.max(...tap.map((tick) => tick.pos.y));
+  assert.ok(low < peak - 1, `low ${low}`);
+});
+
+test("camels dash forward and then cool down", () => {
+  const inputs = (tick) => ({ forward: true, jump: tick % 20 < 10 });
+  const trajectory = ride("camel", () => {}, inputs, 70);
+
+  const dashes = trajectory.filter((tick, i) => {
+    const before = trajectory[i - 1];
+    return before && tick.vel.z - before.vel.z > 0.5;
+  });
+  // Released at ticks 10, 30 and 50, but the dash needs 55 ticks to recharge
+  assert.strictEqual(dashes.length, 1);
+  assert.ok(dashes[0].tick > 10 && dashes[0].tick < 13);
+});
+
+test("striders float up to and walk on lava, faster than on land", () => {
+  const lava = ride(
+    "strider",
+    (world) => world.fill(new Vec3(-8, 60, -8), new Vec3(8, 62, 60), "lava"),
+    [{}],
+    60,
+    { position: new Vec3(0.5, 62, 0.5) },
+  );
+  const last = lava[59];
+  assert.strictEqual(last.pos.y, 62.5);
+  assert.strictEqual(last.onGround, true);
+
+  const land = ride("strider", () => {}, [{}], 60);
+  const lavaStride = last.pos.z - lava[58].pos.z;
+  const landStride = land[59].pos.z - land[58].pos.z;
+  assert.ok(
+    Math.abs(lavaStride / landStride - 0.55 / 0.35) < 0.01,
+    `${lavaStride} ${landStride}`,
+  );
+});
+
+test("pigs walk where the rider looks without any input", () => {
+  const trajectory = ride("pig", () => {}, [{ yaw: Math.PI / 2 }], 40);
+  assert.ok(trajectory[39].pos.x < -3, `${trajectory[39].pos}`);
+  assert.ok(Math.abs(trajectory[39].pos.z - 0.5) < 1e-9);
+});
+
+function mountMob(t, name, version = "1.20.4") {
+  const harness = createFakeBot(t, { version });
+  const { bot, world } = harness;
+  world.fill(new Vec3(-8, 62, -64), new Vec3(8, 62, 64), "stone");
+  harness.spawn(new Vec3(0.5, 63, 0.5));
+  harness.tick(2);
+
+  bot.vehicle = {
+    id: 2,
+    name,
+    position: new Vec3(0.5, 63, 0.5),
+    velocity: new Vec3(0, 0, 0),
+    yaw: 0,
+    onGround: true,
+  };
+  bot.emit("mount");
+  harness.takeWrites();
+  return harness;
+}
+
+test("riding a horse sends vehicle_move, input and jumps", (t) => {
+  const harness = mountMob(t, "horse");
+  const { bot } = harness;
+
+  bot.ashSetControlState("forward", true);
+  bot.ashSetControlState("jump", true);
+  harness.tick(5);
+  bot.ashSetControlState("jump", false);
+  harness.tick(5);
+
+  const writes = harness.takeWrites();
+  for (const name of ["vehicle_move", "steer_vehicle", "look"]) {
+    assert.strictEqual(
+      writes.filter((write) => write.name === name).length,
+      10,
+      name,
+    );
+  }
+  const jumps = writes.filter((write) => write.name === "entity_action");
+  assert.deepStrictEqual(
+    jumps.map((write) => write.data),
+    [{ entityId: 1, actionId: 5, jumpBoost: 40 }],
+  );
+
+  // The bot spawned facing +z
+  assert.ok(bot.vehicle.position.z > 2, `${bot.vehicle.position}`);
+  assert.strictEqual(bot.entity.position.y, bot.vehicle.position.y + 0.85);
+});
+
+test("pigs are only steered while holding a carrot on a stick", (t) => {
+  const harness = mountMob(t, "pig");
+  const { bot } = harness;
+
+  harness.tick(5);
+  assert.deepStrictEqual(harness.takeWrites("vehicle_move"), []);
+  assert.strictEqual(bot.vehicle.position.z, 0.5);
+
+  bot.heldItem = { name: "carrot_on_a_stick" };
+  harness.tick(5);
+  assert.strictEqual(harness.takeWrites("vehicle_move").length, 5);
+  assert.ok(bot.vehicle.position.z > 0.5);
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+function setup(t) {
+  const harness = createFakeBot(t);
+  harness.world.fill(new Vec3(-16, 63, -16), new Vec3(16, 63, 16), "stone");
+  harness.spawn(new Vec3(0.5, 64, 0.5));
+  harness.tick(3);
+  return harness;
+}
+
+// Tick until `promise` settles, up to `maxTicks`
+async function tickUntilSettled(harness, promise, maxTicks) {
+  let settled = false;
+  promise.then(
+    () => (settled = true),
+    () => (settled = true),
+  );
+  for (let i = 0; i < maxTicks && !settled; i++) {
+    await new Promise(setImmediate);
+    harness.tick();
+  }
+  await new Promise(setImmediate);
+  return settled;
+}
+
+function horizontalDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+test("ashMoveTo comes to rest within the tolerance", async (t) => {
+  const harness = setup(t);
+  const { bot } = harness;
+  const target = new Vec3(4.5, 64, -3.5);
+
+  const moving = bot.ashMoveTo(target);
+  assert.ok(await tickUntilSettled(harness, moving, 200));
+  await moving;
+
+  assert.ok(horizontalDistance(bot.entity.position, target) <= 0.1);
+  // It only finishes once coasting would not carry it away again
+  harness.tick(20);
+  assert.ok(horizontalDistance(bot.entity.position, target) <= 0.1);
+  for (const control of ["forward", "back", "left", "right", "jump"]) {
+    assert.strictEqual(bot.ashControlState[control], false, control);
+  }
+});
+
+test("ashMoveTo jumps onto a step in the way", async (t) => {
+  const harness = setup(t);
+  const { bot } = harness;
+  harness.world.fill(new Vec3(-2, 64, 3), new Vec3(2, 64, 16), "stone");
+  const target = new Vec3(0.5, 65, 5.5);
+
+  const moving = bot.ashMoveTo(target);
+  assert.ok(await tickUntilSettled(harness, moving, 200));
+  await moving;
+
+  assert.strictEqual(bot.entity.position.y, 65);
+  assert.ok(horizontalDistance(bot.entity.position, target) <= 0.1);
+});
+
+test("ashMoveTo rejects when it times out and releases the controls", async (t) => {
+  const harness = setup(t);
+  const { bot } = harness;
+
+  const moving = bot.ashMoveTo(new Vec3(10.5, 64, 10.5), { timeout: 5 });
+  assert.ok(await tickUntilSettled(harness, moving, 20));
+  await assert.rejects(moving, /timed out/);
+  assert.strictEqual(bot.ashControlState.forward, false);
+});
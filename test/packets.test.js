@@ -0,0 +1,204 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const conv = require("mineflayer/lib/conversions");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+const MOVEMENT_PACKETS = ["position", "look", "position_look", "flying"];
+
+function setup(t, version) {
+  const harness = createFakeBot(t, { version });
+  harness.world.fill(new Vec3(-16, 63, -16), new Vec3(16, 63, 16), "stone");
+  harness.spawn(new Vec3(0.5, 64, 0.5));
+  // Land and let the onGround change go out
+  harness.tick(3);
+  harness.takeWrites();
+  return harness;
+}
+
+test("spawn teleport is confirmed with position_look", (t) => {
+  const harness = createFakeBot(t);
+  harness.world.fill(new Vec3(-4, 63, -4), new Vec3(4, 63, 4), "stone");
+  harness.spawn(new Vec3(0.5, 64, 0.5));
+
+  const writes = harness.takeWrites(...MOVEMENT_PACKETS);
+  assert.deepStrictEqual(
+    writes.map((write) => write.name),
+    ["position_look"],
+  );
+  assert.strictEqual(writes[0].data.x, 0.5);
+  assert.strictEqual(writes[0].data.y, 64);
+});
+
+test("standing still sends only the 20-tick position heartbeat", (t) => {
+  const harness = setup(t);
+  harness.tick(60);
+
+  const writes = harness.takeWrites(...MOVEMENT_PACKETS);
+  assert.ok(writes.every((write) => write.name === "position"));
+  assert.ok(writes.length >= 2);
+  for (let i = 1; i < writes.length; i++) {
+    assert.strictEqual(writes[i].tick - writes[i - 1].tick, 20);
+  }
+});
+
+test("standing still sends flying every tick when the version requires it", (t) => {
+  const harness = setup(t, "1.8.9");
+  harness.tick(10);
+
+  const writes = harness.takeWrites(...MOVEMENT_PACKETS);
+  const ticks = new Set(writes.map((write) => write.tick));
+  assert.strictEqual(ticks.size, 10);
+  assert.ok(writes.some((write) => write.name === "flying"));
+});
+
+test("walking sends position every tick", (t) => {
+  const harness = setup(t);
+  harness.bot.ashSetControlState("forward", true);
+  harness.tick(10);
+
+  const writes = harness.takeWrites(...MOVEMENT_PACKETS);
+  assert.deepStrictEqual(
+    writes.map((write) => write.name),
+    Array(10).fill("position"),
+  );
+});
+
+test("turning in place sends look, turning while walking sends position_look", (t) => {
+  const harness = setup(t);
+  harness.bot.look(0.1, 0);
+  harness.tick(1);
+  assert.deepStrictEqual(
+    harness.takeWrites(...MOVEMENT_PACKETS).map((write) => write.name),
+    ["look"],
+  );
+
+  harness.bot.ashSetControlState("forward", true);
+  harness.bot.look(0.2, 0);
+  harness.tick(1);
+  assert.deepStrictEqual(
+    harness.takeWrites(...MOVEMENT_PACKETS).map((write) => write.name),
+    ["position_look"],
+  );
+});
+
+test("sprint and sneak toggles send entity_action once per change", (t) => {
+  const harness = setup(t);
+  const { bot } = harness;
+
+  bot.ashSetControlState("sprint", true);
+  bot.ashSetControlState("sprint", true);
+  bot.ashSetControlState("sprint", false);
+  bot.ashSetControlState("sneak", true);
+  bot.ashSetControlState("sneak", false);
+
+  assert.deepStrictEqual(
+    harness.takeWrites("entity_action").map((write) => write.data.actionId),
+    [3, 4, 0, 1],
+  );
+});
+
+test("from 1.21.3 sprint has new ids and sneak goes through player_input", (t) => {
+  const harness = setup(t, "1.21.4");
+  const { bot } = harness;
+
+  bot.ashSetControlState("sprint", true);
+  bot.ashSetControlState("sneak", true);
+  bot.ashSetControlState("sprint", false);
+
+  const writes = harness.takeWrites();
+  const byName = (name) => writes.filter((write) => write.name === name);
+  assert.deepStrictEqual(
+    byName("entity_action").map((write) => write.data.actionId),
+    [1, 2],
+  );
+  const inputs = byName("player_input").map((write) => write.data.inputs);
+  assert.deepStrictEqual(
+    inputs.map(({ sprint, shift }) => ({ sprint, shift })),
+    [
+      { sprint: true, shift: false },
+      { sprint: true, shift: true },
+      { sprint: false, shift: true },
+    ],
+  );
+});
+
+test("look packets are rate limited to yawSpeed per tick", (t) => {
+  const harness = setup(t);
+  const { bot } = harness;
+  const maxDelta = 0.05 * bot.ashPhysics.constants.yawSpeed;
+  let lastYaw = conv.toNotchianYaw(bot.entity.yaw);
+
+  bot.look(bot.entity.yaw + Math.PI / 2, 0);
+  harness.tick(20);
+
+  const looks = harness.takeWrites("look");
+  for (const look of looks) {
+    const delta = Math.abs(look.data.yaw - lastYaw);
+    assert.ok(
+      delta <= (maxDelta * 180) / Math.PI + 1e-3,
+      `yaw moved ${delta} degrees in one tick`,
+    );
+    lastYaw = look.data.yaw;
+  }
+  assert.ok(looks.length > 1);
+  assert.ok(
+    Math.abs(lastYaw - Math.fround(conv.toNotchianYaw(bot.entity.yaw))) < 1e-3,
+  );
+});
+
+test("player_rotation packet turns the bot", (t) => {
+  const harness = setup(t, "1.21.4");
+  harness.client.emit("player_rotation", { yaw: 90, pitch: 10 });
+
+  assert.strictEqual(harness.bot.entity.yaw, conv.fromNotchianYaw(90));
+  assert.strictEqual(harness.bot.entity.pitch, conv.fromNotchianPitch(10));
+});
+
+test("entity_metadata swimming pose out of water marks the bot crawling", (t) => {
+  const harness = setup(t);
+  const { bot, registry } = harness;
+  const poseKey = registry.entitiesByName.player.metadataKeys.indexOf("pose");
+
+  let update = null;
+  bot.on("botPoseUpdate", (pose) => (update = pose));
+  harness.client.emit("entity_metadata", {
+    entityId: bot.entity.id,
+    metadata: [{ key: poseKey, type: "pose", value: 3 }],
+  });
+
+  assert.strictEqual(bot.entity.isCrawling, true);
+  assert.deepStrictEqual(update, {
+    pose: 3,
+    crawling: true,
+    swimming: false,
+    elytra: false,
+  });
+});
+
+test("entity_velocity replaces the velocity and explosions add to it", (t) => {
+  const harness = setup(t);
+  const { bot, client } = harness;
+
+  bot.entity.velocity.set(0.3, 0, 0.3);
+  client.emit("entity_velocity", {
+    entityId: bot.entity.id,
+    velocityX: 0,
+    velocityY: 8000 * 0.5,
+    velocityZ: -2000,
+  });
+  assert.deepStrictEqual(bot.entity.velocity, new Vec3(0, 0.5, -0.25));
+
+  client.emit("explosion", {
+    playerMotionX: 1,
+    playerMotionY: 0,
+    playerMotionZ: 0,
+  });
+  assert.deepStrictEqual(bot.entity.velocity, new Vec3(1, 0.5, -0.25));
+
+  harness.tick(1);
+  assert.deepStrictEqual(
+    harness.takeWrites(...MOVEMENT_PACKETS).map((write) => write.name),
+    ["position"],
+  );
+});
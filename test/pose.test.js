@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const { PhysicsEngine, PlayerState } = require("../src/engine.js");
+const BlockGridWorld = require("../src/world.js");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+function walk(build, inputs, ticks, version = "1.20.4") {
+  const registry = require("prismarine-registry")(version);
+  const world = new BlockGridWorld(registry);
+  world.fill(new Vec3(-8, 63, -8), new Vec3(8, 63, 8), "stone");
+  build(world);
+  const physics = new PhysicsEngine(registry, world);
+  const state = PlayerState.fromData({
+    pos: { x: 0.5, y: 64, z: 0.5 },
+    onGround: true,
+  });
+  const trajectory = [];
+  for (let tick = 0; tick < ticks; tick++) {
+    const input =
+      typeof inputs === "function" ? inputs(tick, world) : inputs[tick];
+    if (input) state.setInput(input);
+    physics.simulatePlayer(state);
+    trajectory.push({ ...state, pos: state.pos.clone() });
+  }
+  return trajectory;
+}
+
+test("a closing gap drops the player to crawling and back up", () => {
+  const inputs = (tick, world) => {
+    if (tick === 5) world.setBlock(new Vec3(0, 65, 0), "stone");
+    if (tick === 10) world.setBlock(new Vec3(0, 65, 0), "air");
+    return null;
+  };
+  const trajectory = walk(() => {}, inputs, 12);
+
+  assert.strictEqual(trajectory[4].isCrawling, false);
+  assert.strictEqual(trajectory[4].eyeHeight, 1.62);
+  assert.strictEqual(trajectory[5].isCrawling, true);
+  assert.strictEqual(trajectory[5].height, 0.6);
+  assert.strictEqual(trajectory[5].eyeHeight, 0.4);
+  assert.strictEqual(trajectory[10].isCrawling, false);
+  assert.strictEqual(trajectory[10].height, 1.8);
+});
+
+test("a low ceiling forces a crouch that slows walking", () => {
+  // Top slabs leave exactly the crouching height
+  const ceiling = (world) =>
+    world.fill(new Vec3(-8, 65, -8), new Vec3(8, 65, 8), "oak_slab", {
+      type: "top",
+    });
+  const forward = [{ forward: true }];
+  const crouched = walk(ceiling, forward, 20);
+  assert.ok(crouched.every((tick) => tick.isCrouching && !tick.isCrawling));
+  assert.strictEqual(crouched[19].eyeHeight, 1.27);
+
+  const sneaking = walk(() => {}, [{ forward: true, sneak: true }], 20);
+  assert.strictEqual(crouched[19].pos.z, sneaking[19].pos.z);
+
+  // Bottom slabs leave no room to crouch either
+  const tunnel = walk(
+    (world) => world.fill(new Vec3(-8, 65, -8), new Vec3(8, 65, 8), "oak_slab"),
+    forward,
+    20,
+  );
+  assert.ok(tunnel.every((tick) => tick.isCrawling && !tick.isCrouching));
+});
+
+test("releasing sneak under a ceiling keeps crouching", () => {
+  const trajectory = walk(
+    (world) => world.setBlock(new Vec3(0, 65, -1), "oak_slab", { type: "top" }),
+    [
+      { forward: true, sneak: true },
+      ...Array(9),
+      { forward: false, sneak: false },
+    ],
+    30,
+  );
+
+  // Partly under the block when sneak is released
+  assert.ok(trajectory[9].pos.z < 0.2, `${trajectory[9].pos}`);
+  assert.ok(trajectory.every((tick) => tick.isCrouching));
+});
+
+test("before 1.14 poses follow the keys only", () => {
+  const trajectory = walk(
+    (world) => world.fill(new Vec3(-8, 65, -8), new Vec3(8, 65, 8), "stone"),
+    [{}],
+    5,
+    "1.12.2",
+  );
+
+  assert.ok(trajectory.every((tick) => !tick.isCrawling && !tick.isCrouching));
+  assert.strictEqual(trajectory[4].eyeHeight, 1.62);
+});
+
+test("the bot's own pose changes update the entity and emit botPoseUpdate", (t) => {
+  const harness = createFakeBot(t);
+  const { bot, world, registry } = harness;
+  world.fill(new Vec3(-8, 63, -8), new Vec3(8, 63, 8), "stone");
+  harness.spawn(new Vec3(0.5, 64, 0.5));
+  harness.tick(2);
+
+  const updates = [];
+  bot.on("botPoseUpdate", (update) => updates.push(update.pose));
+  world.setBlock(new Vec3(0, 65, 0), "stone");
+  harness.tick();
+  assert.strictEqual(bot.entity.isCrawling, true);
+  assert.strictEqual(bot.entity.eyeHeight, 0.4);
+
+  // A stale standing pose from the server lasts until the next tick
+  const poseKey = registry.entitiesByName.player.metadataKeys.indexOf("pose");
+  harness.client.emit("entity_metadata", {
+    entityId: bot.entity.id,
+    metadata: [{ key: poseKey, type: "pose", value: 0 }],
+  });
+  assert.strictEqual(bot.entity.isCrawling, false);
+  harness.tick();
+  assert.strictEqual(bot.entity.isCrawling, true);
+
+  world.setBlock(new Vec3(0, 65, 0), "air");
+  harness.tick();
+  assert.strictEqual(bot.entity.height, 1.8);
+  assert.deepStrictEqual(updates, [3, 0, 3, 0]);
+});
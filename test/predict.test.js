@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+function setup(t) {
+  const harness = createFakeBot(t);
+  harness.world.fill(new Vec3(-16, 63, -16), new Vec3(16, 63, 16), "stone");
+  harness.spawn(new Vec3(0.5, 64, 0.5));
+  harness.tick(3);
+  return harness;
+}
+
+test("predict does not move the bot", (t) => {
+  const harness = setup(t);
+  const { bot } = harness;
+  const position = bot.entity.position.clone();
+  const velocity = bot.entity.velocity.clone();
+
+  const trajectory = bot.ashPhysics.predict(
+    [{ forward: true, jump: true }],
+    20,
+  );
+  assert.strictEqual(trajectory.length, 20);
+  // The spawn teleport faces the bot towards +z
+  assert.ok(trajectory[19].pos.z > position.z + 1);
+  assert.deepStrictEqual(bot.entity.position, position);
+  assert.deepStrictEqual(bot.entity.velocity, velocity);
+  assert.strictEqual(bot.ashControlState.forward, false);
+});
+
+test("predict matches the ticks the bot then runs", (t) => {
+  const harness = setup(t);
+  const { bot } = harness;
+
+  const trajectory = bot.ashPhysics.predict([{ forward: true }], 10);
+  bot.ashSetControlState("forward", true);
+  for (const predicted of trajectory) {
+    harness.tick();
+    assert.ok(bot.entity.position.distanceTo(predicted.pos) < 1e-9);
+  }
+});
+
+test("predict takes a function of the tick and the simulated state", (t) => {
+  const harness = setup(t);
+  const seen = [];
+
+  const trajectory = harness.bot.ashPhysics.predict((tick, state) => {
+    seen.push(tick);
+    // Walk until two blocks out, then stop
+    return { forward: state.pos.z < 2.5 };
+  }, 40);
+
+  assert.deepStrictEqual(
+    seen,
+    Array.from({ length: 40 }, (_, tick) => tick),
+  );
+  const last = trajectory[39];
+  assert.ok(last.pos.z > 2.5 && last.pos.z < 3.5);
+  assert.ok(Math.abs(last.vel.z) < 1e-3);
+});
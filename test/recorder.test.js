@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const { Vec3 } = require("vec3");
+const { replayRecording } = require("../index.js");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+function tempPath(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ash-rec-"));
+  return path.join(dir, name);
+}
+
+// Record a sprint-jump into a wall, then a turn
+async function record(t, file) {
+  const harness = createFakeBot(t);
+  const { bot } = harness;
+  harness.world.fill(new Vec3(-16, 63, -16), new Vec3(16, 63, 16), "stone");
+  harness.world.fill(new Vec3(-1, 64, 5), new Vec3(1, 65, 5), "stone");
+  harness.spawn(new Vec3(0.5, 64, 0.5));
+
+  bot.ashStartRecording(file);
+  harness.tick(3);
+  bot.ashSetControlState("forward", true);
+  bot.ashSetControlState("sprint", true);
+  bot.ashSetControlState("jump", true);
+  harness.tick(15);
+  bot.look(2, 0, true);
+  harness.tick(10);
+  await bot.ashStopRecording();
+  harness.restore();
+}
+
+function readEntries(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line !== "")
+    .map((line) => JSON.parse(line));
+}
+
+test("a recording replays offline without diverging", async (t) => {
+  const file = tempPath("walk.jsonl");
+  await record(t, file);
+
+  const entries = readEntries(file);
+  assert.strictEqual(entries[0].type, "header");
+  assert.strictEqual(entries[0].version, "1.20.4");
+
+  const result = replayRecording(file);
+  assert.strictEqual(result.ticks.length, 28);
+  assert.strictEqual(result.firstDivergence, null);
+  assert.strictEqual(result.maxPositionError, 0);
+  // The recording covers the jump against the wall, not just a flat walk
+  assert.ok(
+    entries.some((entry) => entry.post?.isCollidedHorizontally),
+    "expected the recording to hit the wall",
+  );
+});
+
+test("replay reports the first tick that diverges", async (t) => {
+  const file = tempPath("walk.jsonl");
+  await record(t, file);
+
+  const entries = readEntries(file);
+  const ticks = entries.filter((entry) => entry.type === "tick");
+  ticks[10].post.pos.x += 0.5;
+  ticks[20].post.onGround = !ticks[20].post.onGround;
+
+  const result = replayRecording(entries);
+  assert.strictEqual(result.firstDivergence.tick, ticks[10].tick);
+  assert.ok(Math.abs(result.maxPositionError - 0.5) < 1e-9);
+  assert.deepStrictEqual(result.ticks[20].flags, ["onGround"]);
+});
+
+test("a recording without a header is rejected", () => {
+  assert.throws(() => replayRecording([]), /no header/);
+});
+
+test("an unwritable path ends the recording instead of the bot", async (t) => {
+  const harness = createFakeBot(t);
+  const { bot } = harness;
+  const file = path.join(tempPath("missing"), "dir", "walk.jsonl");
+
+  bot.ashStartRecording(file);
+  const [err] = await once(bot, "recordingError");
+  assert.strictEqual(err.code, "ENOENT");
+
+  // Ticks keep running, and a new recording can start
+  harness.spawn(new Vec3(0.5, 64, 0.5));
+  harness.tick(3);
+  const next = tempPath("walk.jsonl");
+  bot.ashStartRecording(next);
+  harness.tick(2);
+  await bot.ashStopRecording();
+  assert.strictEqual(readEntries(next).length, 3);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { PhysicsEngine, PlayerState } = require("../src/engine.js");
+const { VERSION, scenarios, buildWorld } = require("./scenarios.js");
+
+// Trajectories checked against vanilla references; see scenarios.js for how
+// each was derived and write-references.js for the fixtures
+
+for (const [name, scenario] of Object.entries(scenarios)) {
+  test(`trajectory matches vanilla: ${name}`, () => {
+    const fixture = JSON.parse(
+      fs.readFileSync(
+        path.join(__dirname, "references", `${name}.json`),
+        "utf8",
+      ),
+    );
+    assert.strictEqual(fixture.version, VERSION);
+    const { registry, world } = buildWorld(scenario);
+    const physics = new PhysicsEngine(registry, world);
+    const trajectory = physics.simulateTimeline(
+      PlayerState.fromData(scenario.start),
+      scenario.inputs,
+    );
+
+    assert.strictEqual(trajectory.length, fixture.positions.length);
+    trajectory.forEach(({ pos }, tick) => {
+      const [x, y, z] = fixture.positions[tick];
+      const error = Math.hypot(pos.x - x, pos.y - y, pos.z - z);
+      assert.ok(
+        error <= fixture.tolerance,
+        `${name} tick ${tick}: expected (${x}, ${y}, ${z}), got (${pos.x}, ${pos.y}, ${pos.z})`,
+      );
+    });
+  });
+}
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+// Walk forward with a 100ms ping, so two ticks are in flight
+function setup(t) {
+  const harness = createFakeBot(t);
+  harness.world.fill(new Vec3(-32, 63, -32), new Vec3(32, 63, 32), "stone");
+  harness.spawn(new Vec3(0.5, 64, 0.5));
+  harness.tick(3);
+  harness.bot.player.ping = 100;
+
+  const positions = [];
+  harness.bot.on("physicsTick", () =>
+    positions.push(harness.bot.entity.position.clone()),
+  );
+  harness.bot.ashSetControlState("forward", true);
+  harness.tick(20);
+
+  const desyncs = [];
+  harness.bot.on("physicsDesync", (desync) => desyncs.push(desync));
+  return { harness, positions, desyncs };
+}
+
+function correct(harness, pos) {
+  harness.client.emit("position", {
+    x: pos.x,
+    y: pos.y,
+    z: pos.z,
+    yaw: 0,
+    pitch: 0,
+    flags: 0,
+    teleportId: 2,
+  });
+}
+
+test("inputs in flight are replayed on top of a rubberband", (t) => {
+  const { harness, positions } = setup(t);
+  const { bot } = harness;
+  const latest = positions[positions.length - 1];
+  // The server moved the tick it answered sideways
+  const server = positions[positions.length - 1 - 2].offset(0.2, 0, 0);
+  correct(harness, server);
+
+  // The three ticks since then are walked again from the corrected spot,
+  // starting from rest as the correction cleared the velocity
+  const pos = bot.entity.position;
+  assert.ok(Math.abs(pos.x - server.x) < 1e-9);
+  assert.ok(pos.z > server.z + 0.1);
+  assert.ok(pos.z < latest.z);
+});
+
+test("replayed ticks replace the positions later corrections compare with", (t) => {
+  const { harness, positions, desyncs } = setup(t);
+  const { bot } = harness;
+  correct(harness, positions[positions.length - 1 - 2].offset(0.2, 0, 0));
+
+  // Caught up with the replayed ticks, the server agrees with the latest
+  bot.player.ping = 0;
+  const replayed = bot.entity.position.clone();
+  correct(harness, replayed);
+  assert.strictEqual(desyncs.length, 2);
+  assert.ok(desyncs[1].distance < 1e-9);
+  const { inputs } = desyncs[1];
+  assert.deepStrictEqual(inputs[inputs.length - 1].pos, replayed);
+});
+
+test("nothing is replayed when input replay is disabled", (t) => {
+  const { harness, positions } = setup(t);
+  const { bot } = harness;
+  bot.ashInputReplayEnabled = false;
+  const server = positions[positions.length - 1 - 2].offset(0.2, 0, 0);
+  correct(harness, server);
+
+  assert.deepStrictEqual(bot.entity.position, server);
+});
@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const nbt = require("prismarine-nbt");
+const { PhysicsEngine, PlayerState } = require("../src/engine.js");
+const BlockGridWorld = require("../src/world.js");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+// Flat stone at y 63 in plains, where it rains
+function setup(version = "1.20.4", build = () => {}) {
+  const registry = require("prismarine-registry")(version);
+  const world = new BlockGridWorld(registry, {
+    biome: registry.biomesByName.plains.id,
+  });
+  world.fill(new Vec3(-8, 63, -8), new Vec3(8, 63, 64), "stone");
+  build(world);
+  return new PhysicsEngine(registry, world);
+}
+
+function onGround(data) {
+  return PlayerState.fromData({
+    pos: { x: 0.5, y: 64, z: 0.5 },
+    onGround: true,
+    yaw: Math.PI,
+    riptide: 3,
+    ...data,
+  });
+}
+
+test("riptide launches along the look in water", () => {
+  const physics = setup("1.20.4", (world) =>
+    world.fill(new Vec3(-8, 64, -8), new Vec3(8, 66, 64), "water"),
+  );
+  for (const riptide of [1, 2, 3]) {
+    const state = onGround({ isInWater: true, pitch: Math.PI / 4, riptide });
+    assert.ok(physics.launchRiptide(state));
+    const strength = (3 * (1 + riptide)) / 4;
+    assert.ok(Math.abs(state.vel.z - strength * Math.SQRT1_2) < 1e-9);
+    assert.ok(Math.abs(state.vel.y - strength * Math.SQRT1_2) < 1e-9);
+    assert.strictEqual(state.riptideTicks, 20);
+  }
+
+  // Without the enchantment nothing happens
+  const state = onGround({ isInWater: true, riptide: 0 });
+  assert.strictEqual(physics.launchRiptide(state), false);
+  assert.strictEqual(state.vel.z, 0);
+});
+
+test("riptide needs rain falling on the player out of water", () => {
+  const physics = setup();
+  assert.strictEqual(physics.canRiptide(onGround()), false);
+  assert.ok(physics.canRiptide(onGround({ isRaining: true })));
+
+  const roofed = setup("1.20.4", (world) =>
+    world.setBlock(new Vec3(0, 80, 0), "oak_leaves"),
+  );
+  assert.strictEqual(roofed.canRiptide(onGround({ isRaining: true })), false);
+
+  const desert = new PhysicsEngine(
+    physics.mcData,
+    new BlockGridWorld(physics.mcData, {
+      biome: physics.mcData.biomesByName.desert.id,
+    }),
+  );
+  assert.strictEqual(desert.canRiptide(onGround({ isRaining: true })), false);
+});
+
+test("a riptide launch hops off the ground and spins for 20 ticks", () => {
+  const physics = setup();
+  const state = onGround({ isRaining: true });
+  assert.ok(physics.launchRiptide(state));
+  // The hop moves the player up before the launch velocity does
+  assert.ok(Math.abs(state.pos.y - (64 + 1.1999999)) < 1e-9);
+  assert.strictEqual(state.onGround, false);
+
+  const timeline = physics.simulateTimeline(state, [{}], 40);
+  assert.ok(timeline.slice(0, 20).every((tick) => tick.isSpinAttacking));
+  assert.ok(timeline.slice(20).every((tick) => !tick.isSpinAttacking));
+  // Launched level at riptide III, the spin carries it well forward
+  assert.ok(timeline[19].pos.z > 20, `${timeline[19].pos}`);
+});
+
+test("the spin attack uses the short hitbox from 1.14", () => {
+  for (const [version, height] of [
+    ["1.13.2", 1.8],
+    ["1.20.4", 0.6],
+  ]) {
+    const physics = setup(version);
+    const state = onGround({ isRaining: true });
+    assert.ok(physics.launchRiptide(state), version);
+    physics.simulatePlayer(state);
+    assert.strictEqual(state.height, height, version);
+  }
+});
+
+function riptideTrident(registry, level) {
+  const { id } = registry.enchantmentsByName.riptide;
+  if (registry.version[">="]("1.20.5")) {
+    return {
+      name: "trident",
+      components: [
+        {
+          type: "enchantments",
+          data: { enchantments: [{ id, level }], showTooltip: true },
+        },
+      ],
+    };
+  }
+  return {
+    name: "trident",
+    nbt: nbt.comp({
+      Enchantments: nbt.list(
+        nbt.comp([
+          { id: nbt.string("minecraft:riptide"), lvl: nbt.short(level) },
+        ]),
+      ),
+    }),
+  };
+}
+
+test("releasing a charged riptide trident launches the bot", (t) => {
+  for (const version of ["1.20.4", "1.21.4"]) {
+    const harness = createFakeBot(t, { version });
+    const { bot, world, registry } = harness;
+    world.fill(new Vec3(-8, 63, -8), new Vec3(8, 63, 8), "stone");
+    world.fill(new Vec3(-8, 64, -8), new Vec3(8, 66, 8), "water");
+    bot.heldItem = riptideTrident(registry, 3);
+    harness.spawn(new Vec3(0.5, 64, 0.5));
+    harness.tick(5);
+    bot.entity.pitch = Math.PI / 2;
+
+    // Let go too early and the trident does nothing
+    bot.activateItem();
+    harness.tick(5);
+    bot.deactivateItem();
+    assert.strictEqual(bot.riptideTicks, 0, version);
+
+    const poses = [];
+    bot.on("botPoseUpdate", ({ pose }) => poses.push(pose));
+    bot.activateItem();
+    harness.tick(10);
+    harness.takeWrites();
+    bot.deactivateItem();
+    assert.deepStrictEqual(
+      harness.takeWrites().map(({ name }) => name),
+      ["block_dig"],
+    );
+    assert.strictEqual(bot.riptideTicks, 20, version);
+    assert.ok(bot.entity.velocity.y > 2.9, `${bot.entity.velocity}`);
+
+    harness.tick();
+    assert.deepStrictEqual(poses, [4], version);
+    assert.ok(bot.entity.position.y > 66, `${bot.entity.position}`);
+    harness.restore();
+  }
+});
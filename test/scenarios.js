@@ -0,0 +1,300 @@
+const { Vec3 } = require("vec3");
+const BlockGridWorld = require("../src/world.js");
+
+const VERSION = "1.20.4";
+const f = Math.fround;
+
+function floor(world, name, size = 16) {
+  return world.fill(new Vec3(-size, 63, -size), new Vec3(size, 63, size), name);
+}
+
+function hold(input, ticks) {
+  return Array.from({ length: ticks }, () => input);
+}
+
+// The references below are written out from the 1.20.4 client's movement
+// code (LivingEntity.aiStep and travel, Entity.move), independently of the
+// engine. Speeds and drags are floats there and positions doubles, hence the
+// Math.fround. The player faces -z (vanilla yRot 180), where Mth.sin is 0 and
+// Mth.cos -1, so x never changes.
+
+// Ground acceleration on a block: speed * 0.21600002 / friction³
+function groundSpeed(speed, friction) {
+  return f(speed * f(f(0.21600002) / f(f(friction * friction) * friction)));
+}
+
+// Drops velocity components below 0.003, as LivingEntity.aiStep does first
+function negligible(value) {
+  return Math.abs(value) < 0.003 ? 0 : value;
+}
+
+// Moving down onto the floor at y 64 lands on it; moving by exactly 0 does
+// not count as a collision, so a player starting at rest is airborne for a tick
+function fall(y, vy, floorY = 64) {
+  if (vy < 0 && y + vy < floorY) return { y: floorY, vy: 0, onGround: true };
+  return { y: y + vy, vy, onGround: false };
+}
+
+/**
+ * Walking, sprinting and sprint-jumping over a flat floor of one friction
+ */
+function walk(friction, inputs) {
+  const positions = [];
+  let y = 64;
+  let z = 0.5;
+  let vy = 0;
+  let vz = 0;
+  let onGround = true;
+  let noJumpDelay = 0;
+  for (const input of inputs) {
+    const sprinting = Boolean(input.forward && input.sprint);
+    if (noJumpDelay > 0) noJumpDelay--;
+    vy = negligible(vy);
+    vz = negligible(vz);
+
+    if (!input.jump) {
+      noJumpDelay = 0;
+    } else if (onGround && noJumpDelay === 0) {
+      // jumpFromGround, with the sprint boost along the facing
+      vy = f(0.42);
+      if (sprinting) vz -= f(0.2);
+      noJumpDelay = 10;
+    }
+
+    const drag = onGround ? f(friction * f(0.91)) : f(0.91);
+    const speed = onGround
+      ? groundSpeed(sprinting ? f(0.13) : f(0.1), friction)
+      : sprinting
+        ? f(0.025999999)
+        : f(0.02);
+    if (input.forward) vz -= f(0.98) * speed;
+
+    ({ y, vy, onGround } = fall(y, vy));
+    z += vz;
+
+    vz *= drag;
+    vy = (vy - 0.08) * f(0.98);
+    positions.push([0.5, y, z]);
+  }
+  return positions;
+}
+
+/**
+ * Walking into a ladder on the wall at z -2 and climbing it. The ladder's
+ * box is 3/16 deep, so the player stops with its back face at z -1.8125.
+ */
+function climbLadder(ticks) {
+  const onLadder = (y, z) =>
+    Math.floor(z) === -2 && Math.floor(y) >= 64 && Math.floor(y) <= 69;
+  const positions = [];
+  let y = 64;
+  let z = 0.5;
+  let vy = 0;
+  let vz = 0;
+  let onGround = true;
+  for (let tick = 0; tick < ticks; tick++) {
+    vy = negligible(vy);
+    vz = negligible(vz);
+
+    const drag = onGround ? f(f(0.6) * f(0.91)) : f(0.91);
+    const speed = onGround ? groundSpeed(f(0.1), f(0.6)) : f(0.02);
+    vz -= f(0.98) * speed;
+
+    // handleOnClimbable
+    if (onLadder(y, z)) {
+      vz = Math.max(vz, -f(0.15));
+      vy = Math.max(vy, -f(0.15));
+    }
+
+    ({ y, vy, onGround } = fall(y, vy));
+    let collided = false;
+    if (z + vz < -1.5125) {
+      z = -1.5125;
+      vz = 0;
+      collided = true;
+    } else {
+      z += vz;
+    }
+    // Pushing into the ladder climbs it
+    if (collided && onLadder(y, z)) vy = 0.2;
+
+    vz *= drag;
+    vy = (vy - 0.08) * f(0.98);
+    positions.push([0.5, y, z]);
+  }
+  return positions;
+}
+
+/**
+ * Holding jump or sneak in the scaffolding column from y 64 to 68.
+ * Scaffolding is climbable like a ladder, but sneaking inside it does not
+ * hold the player. Its top is solid only to a player above it who is not
+ * sneaking.
+ */
+function climbScaffolding(startY, input, ticks) {
+  const inScaffolding = (y) => Math.floor(y) >= 64 && Math.floor(y) <= 68;
+  const positions = [];
+  let y = startY;
+  let vy = 0;
+  let onGround = true;
+  let noJumpDelay = 0;
+  for (let tick = 0; tick < ticks; tick++) {
+    if (noJumpDelay > 0) noJumpDelay--;
+    vy = negligible(vy);
+
+    if (!input.jump) {
+      noJumpDelay = 0;
+    } else if (onGround && noJumpDelay === 0) {
+      vy = f(0.42);
+      noJumpDelay = 10;
+    }
+
+    if (inScaffolding(y)) vy = Math.max(vy, -f(0.15));
+
+    const onTop = !input.sneak && y > 69 - f(1e-5);
+    ({ y, vy, onGround } = fall(y, vy, onTop ? 69 : 64));
+    // Holding jump climbs
+    if (input.jump && inScaffolding(y)) vy = 0.2;
+
+    vy = (vy - 0.08) * f(0.98);
+    positions.push([0.5, y, 0.5]);
+  }
+  return positions;
+}
+
+/**
+ * Standing in the source block of a stream flowing east. Every water block
+ * in it is higher than its east neighbour, so FlowingFluid.getFlow gives
+ * (1, 0, 0) for each, and the push, averaged over the blocks touched, is
+ * 0.014 east. Water is at least 0.4 deep everywhere the player gets to, so
+ * the flow is never scaled down.
+ */
+function driftInWater(ticks) {
+  const positions = [];
+  let x = 0.5;
+  let y = 64;
+  let vx = 0;
+  let vy = 0;
+  for (let tick = 0; tick < ticks; tick++) {
+    // Entity.baseTick pushes before LivingEntity.aiStep
+    vx = negligible(vx + 0.014);
+    vy = negligible(vy);
+
+    ({ y, vy } = fall(y, vy));
+    x += vx;
+
+    vx *= f(0.8);
+    // getFluidFallingAdjustedMovement; its -0.003 case needs a gravity other
+    // than 0.08
+    vy = vy * f(0.8) - 0.08 / 16;
+    positions.push([x, y, 0.5]);
+  }
+  return positions;
+}
+
+/**
+ * Trajectory reference scenarios. Each builds its world, a start state, the
+ * per-tick inputs and the positions vanilla reaches, which
+ * write-references.js stores in references/<name>.json.
+ */
+const scenarios = {
+  flat_sprint: {
+    build: (world) => floor(world, "stone"),
+    start: { pos: { x: 0.5, y: 64, z: 0.5 }, onGround: true },
+    inputs: hold({ forward: true, sprint: true }, 20),
+    reference() {
+      return walk(f(0.6), this.inputs);
+    },
+  },
+
+  sprint_jump: {
+    build: (world) => floor(world, "stone"),
+    start: { pos: { x: 0.5, y: 64, z: 0.5 }, onGround: true },
+    inputs: hold({ forward: true, sprint: true, jump: true }, 24),
+    reference() {
+      return walk(f(0.6), this.inputs);
+    },
+  },
+
+  ice: {
+    build: (world) => floor(world, "packed_ice", 32),
+    start: { pos: { x: 0.5, y: 64, z: 0.5 }, onGround: true },
+    inputs: [
+      ...hold({ forward: true, sprint: true }, 20),
+      ...hold({ forward: false, sprint: false }, 20),
+    ],
+    reference() {
+      return walk(f(0.98), this.inputs);
+    },
+  },
+
+  ladder_climb: {
+    build: (world) =>
+      floor(world, "stone")
+        .fill(new Vec3(-1, 64, -3), new Vec3(1, 70, -3), "stone")
+        .fill(new Vec3(0, 64, -2), new Vec3(0, 69, -2), "ladder", {
+          facing: "south",
+        }),
+    start: { pos: { x: 0.5, y: 64, z: 0.5 }, onGround: true },
+    inputs: hold({ forward: true }, 40),
+    reference() {
+      return climbLadder(this.inputs.length);
+    },
+  },
+
+  scaffolding_up: {
+    build: (world) =>
+      floor(world, "stone").fill(
+        new Vec3(0, 64, 0),
+        new Vec3(0, 68, 0),
+        "scaffolding",
+        { distance: "0", bottom: "false" },
+      ),
+    start: { pos: { x: 0.5, y: 64, z: 0.5 }, onGround: true },
+    inputs: hold({ jump: true }, 30),
+    reference() {
+      return climbScaffolding(64, { jump: true }, this.inputs.length);
+    },
+  },
+
+  scaffolding_down: {
+    build: (world) =>
+      floor(world, "stone").fill(
+        new Vec3(0, 64, 0),
+        new Vec3(0, 68, 0),
+        "scaffolding",
+        { distance: "0", bottom: "false" },
+      ),
+    start: { pos: { x: 0.5, y: 69, z: 0.5 }, onGround: true },
+    inputs: hold({ sneak: true }, 40),
+    reference() {
+      return climbScaffolding(69, { sneak: true }, this.inputs.length);
+    },
+  },
+
+  water_current: {
+    build: (world) => {
+      floor(world, "stone");
+      for (let level = 0; level < 8; level++) {
+        world.setBlock(new Vec3(level, 64, 0), "water", {
+          level: String(level),
+        });
+      }
+      return world;
+    },
+    start: { pos: { x: 0.5, y: 64, z: 0.5 }, onGround: true },
+    inputs: hold({}, 30),
+    reference() {
+      return driftInWater(this.inputs.length);
+    },
+  },
+};
+
+function buildWorld(scenario) {
+  const registry = require("prismarine-registry")(VERSION);
+  const world = new BlockGridWorld(registry);
+  scenario.build(world);
+  return { registry, world };
+}
+
+module.exports = { VERSION, scenarios, buildWorld };
@@ -0,0 +1,206 @@
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { spawnSync } = require("child_process");
+const nbt = require("prismarine-nbt");
+const { Vec3 } = require("vec3");
+const { loadSchematic, loadChunkFile } = require("../src/simulator.js");
+
+const CLI = path.join(__dirname, "..", "bin", "simulate.js");
+
+function tempFile(name, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ash-sim-"));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+/**
+ * A 1 wide, 8 long stone walkway with an optional wall block at z = 5,
+ * as a gzipped Sponge v3 schematic. With `rails` the walkway is railed.
+ */
+function walkwaySchematic({ wall = false, rails = false } = {}) {
+  const width = 1;
+  const height = 2;
+  const length = 8;
+  const data = [];
+  for (let y = 0; y < height; y++) {
+    for (let z = 0; z < length; z++) {
+      if (y === 0 || (wall && z === 5)) data.push(1);
+      else data.push(rails ? 2 : 0);
+    }
+  }
+
+  const root = nbt.comp({
+    Schematic: nbt.comp({
+      Version: nbt.int(3),
+      DataVersion: nbt.int(3700),
+      Width: nbt.short(width),
+      Height: nbt.short(height),
+      Length: nbt.short(length),
+      Blocks: nbt.comp({
+        Palette: nbt.comp({
+          "minecraft:air": nbt.int(0),
+          "minecraft:stone": nbt.int(1),
+          "minecraft:rail[shape=north_south]": nbt.int(2),
+        }),
+        Data: nbt.byteArray(data),
+      }),
+    }),
+  });
+  return tempFile("walkway.schem", zlib.gzipSync(nbt.writeUncompressed(root)));
+}
+
+function runCli(args) {
+  return spawnSync(process.execPath, [CLI, ...args], {
+    encoding: "utf8",
+    timeout: 60000,
+  });
+}
+
+test("loads Sponge schematics at an offset", async () => {
+  const registry = require("prismarine-registry")("1.20.4");
+  const world = await loadSchematic(walkwaySchematic(), registry, {
+    offset: new Vec3(10, 64, 10),
+  });
+
+  assert.strictEqual(world.getBlock(new Vec3(10, 64, 17)).name, "stone");
+  assert.strictEqual(world.getBlock(new Vec3(10, 65, 17)).name, "air");
+  assert.strictEqual(world.getBlock(new Vec3(10, 64, 18)).name, "air");
+});
+
+test("loads MCEdit schematics for legacy and flattened versions", async () => {
+  // 2x1x1: stone, then white wool (35:0)
+  const root = nbt.comp(
+    {
+      Width: nbt.short(2),
+      Height: nbt.short(1),
+      Length: nbt.short(1),
+      Materials: nbt.string("Alpha"),
+      Blocks: nbt.byteArray([1, 35]),
+      Data: nbt.byteArray([0, 0]),
+    },
+    "Schematic",
+  );
+  const file = tempFile(
+    "legacy.schematic",
+    zlib.gzipSync(nbt.writeUncompressed(root)),
+  );
+
+  const legacy = await loadSchematic(
+    file,
+    require("prismarine-registry")("1.8.9"),
+  );
+  assert.strictEqual(legacy.getBlock(new Vec3(0, 0, 0)).name, "stone");
+  assert.strictEqual(legacy.getBlock(new Vec3(1, 0, 0)).name, "wool");
+
+  const flattened = await loadSchematic(
+    file,
+    require("prismarine-registry")("1.20.4"),
+  );
+  assert.strictEqual(flattened.getBlock(new Vec3(1, 0, 0)).name, "white_wool");
+});
+
+test("loads saved chunk columns", () => {
+  const registry = require("prismarine-registry")("1.20.4");
+  const Chunk = require("prismarine-chunk")(registry);
+  const Block = require("prismarine-block")(registry);
+  const chunk = new Chunk({ minY: -64, worldHeight: 384 });
+  chunk.setBlock(
+    new Vec3(3, -10, 4),
+    Block.fromStateId(registry.blocksByName.stone.defaultState, 0),
+  );
+  const file = tempFile(
+    "chunks.json",
+    JSON.stringify({
+      version: "1.20.4",
+      chunks: [{ x: -1, z: 2, data: chunk.toJson() }],
+    }),
+  );
+
+  const { world } = loadChunkFile(file);
+  assert.strictEqual(world.getBlock(new Vec3(-13, -10, 36)).name, "stone");
+  assert.strictEqual(world.getBlock(new Vec3(-13, -9, 36)).name, "air");
+  assert.strictEqual(world.getBlock(new Vec3(100, 0, 0)).name, "air");
+});
+
+test("CLI reports whether a scripted run reaches the target", () => {
+  const script = tempFile(
+    "walk.json",
+    JSON.stringify([{ ticks: 40, forward: true, yaw: Math.PI }]),
+  );
+  const args = (schematic) => [
+    "--schematic",
+    schematic,
+    "--version",
+    "1.20.4",
+    "--offset",
+    "0,64,0",
+    "--script",
+    script,
+    "--pos",
+    "0.5,65,0.5",
+    "--target",
+    "0,65,7",
+    "--json",
+  ];
+
+  const open = runCli(args(walkwaySchematic()));
+  assert.strictEqual(open.status, 0, open.stderr);
+  assert.match(open.stderr, /reached at tick \d+/);
+  const trajectory = JSON.parse(open.stdout);
+  assert.strictEqual(trajectory.length, 40);
+  assert.ok(trajectory[39].pos.z > 7);
+
+  const walled = runCli(args(walkwaySchematic({ wall: true })));
+  assert.strictEqual(walled.status, 1, walled.stderr);
+  assert.match(walled.stderr, /not reached/);
+});
+
+test("CLI rides a minecart along a rail line", () => {
+  const args = (schematic) => [
+    "--schematic",
+    schematic,
+    "--version",
+    "1.20.4",
+    "--offset",
+    "0,64,0",
+    "--minecart",
+    "--pos",
+    "0.5,65,0.5",
+    "--vel",
+    "0,0,0.4",
+    "--ticks",
+    "40",
+    "--target",
+    "0,65,7",
+  ];
+
+  const open = runCli(args(walkwaySchematic({ rails: true })));
+  assert.strictEqual(open.status, 0, open.stderr);
+  assert.match(open.stdout, /rails/);
+
+  const blocked = runCli(args(walkwaySchematic({ rails: true, wall: true })));
+  assert.strictEqual(blocked.status, 1, blocked.stderr);
+});
+
+test("CLI rejects a tick count that is not a positive whole number", () => {
+  for (const ticks of ["abc", "-5", "0", "2.5", ""]) {
+    const result = runCli([
+      "--schematic",
+      walkwaySchematic(),
+      "--version",
+      "1.20.4",
+      "--minecart",
+      "--pos",
+      "0.5,65,0.5",
+      `--ticks=${ticks}`,
+    ]);
+    assert.strictEqual(result.status, 2, `--ticks ${ticks}`);
+    assert.match(result.stderr, /--ticks must be a positive whole number/);
+    assert.strictEqual(result.stdout, "");
+  }
+});
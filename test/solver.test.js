@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const { PhysicsEngine, PlayerState } = require("../src/engine.js");
+const { findInputSequence, SearchBudgetError } = require("../src/solver.js");
+const BlockGridWorld = require("../src/world.js");
+
+function setup(build = () => {}) {
+  const registry = require("prismarine-registry")("1.20.4");
+  const world = new BlockGridWorld(registry);
+  world.fill(new Vec3(-16, 63, -16), new Vec3(16, 63, 16), "stone");
+  build(world);
+  const physics = new PhysicsEngine(registry, world);
+  const start = PlayerState.fromData({
+    pos: { x: 0.5, y: 64, z: 0.5 },
+    onGround: true,
+  });
+  return { physics, start };
+}
+
+function endsIn(physics, start, timeline, block) {
+  const trajectory = physics.simulateTimeline(start, timeline);
+  const last = trajectory[trajectory.length - 1];
+  return last.onGround && last.pos.floored().equals(block);
+}
+
+test("finds a timeline that lands in the target block", () => {
+  const { physics, start } = setup();
+  const target = new Vec3(0, 64, -3);
+
+  const timeline = findInputSequence(physics, start, target);
+  assert.ok(timeline.length > 0);
+  assert.ok(endsIn(physics, start, timeline, target));
+});
+
+test("the timeline is as short as an uninformed search finds", () => {
+  const { physics, start } = setup();
+  const target = new Vec3(2, 64, -2);
+
+  const informed = findInputSequence(physics, start, target);
+  const uninformed = findInputSequence(physics, start, target, {
+    maxSpeed: Infinity,
+    maxNodes: 200000,
+  });
+  assert.strictEqual(informed.length, uninformed.length);
+});
+
+test("climbs onto a block with a jump", () => {
+  const { physics, start } = setup((world) =>
+    world.setBlock(new Vec3(0, 64, -2), "stone"),
+  );
+  const target = new Vec3(0, 65, -2);
+
+  const timeline = findInputSequence(physics, start, target);
+  assert.ok(timeline.some((input) => input.jump));
+  assert.ok(endsIn(physics, start, timeline, target));
+});
+
+test("starting inside the target needs no input", () => {
+  const { physics, start } = setup();
+  assert.deepStrictEqual(
+    findInputSequence(physics, start, new Vec3(0, 64, 0)),
+    [],
+  );
+});
+
+test("an unreachable target is ruled out without searching", () => {
+  const { physics, start } = setup();
+  for (const target of [new Vec3(0, 67, -1), new Vec3(0, 64, -15)]) {
+    const begin = performance.now();
+    assert.strictEqual(findInputSequence(physics, start, target), null);
+    assert.ok(performance.now() - begin < 500, `${target}`);
+  }
+});
+
+test("running out of nodes throws instead of returning null", () => {
+  const { physics, start } = setup();
+  assert.throws(
+    () =>
+      findInputSequence(physics, start, new Vec3(0, 64, -10), {
+        maxNodes: 5,
+      }),
+    (err) => err instanceof SearchBudgetError && err.nodes === 5,
+  );
+});
+
+test("controls held at the start do not change the result", () => {
+  const { physics, start } = setup();
+  const target = new Vec3(0, 64, -3);
+  const expected = findInputSequence(physics, start, target);
+
+  const held = start.clone();
+  held.control.back = true;
+  held.control.sneak = true;
+  held.control.left = true;
+  const timeline = findInputSequence(physics, held, target);
+
+  assert.deepStrictEqual(timeline, expected);
+  for (const input of timeline) {
+    assert.strictEqual(input.back, false);
+    assert.strictEqual(input.sneak, false);
+  }
+  assert.ok(endsIn(physics, held, timeline, target));
+});
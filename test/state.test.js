@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const { PlayerState } = require("../src/engine.js");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+test("fromData fills in a player standing still", () => {
+  const state = PlayerState.fromData({ pos: { x: 1, y: 64, z: 2 } });
+
+  assert.ok(state.pos instanceof Vec3);
+  assert.deepStrictEqual(state.pos, new Vec3(1, 64, 2));
+  assert.deepStrictEqual(state.vel, new Vec3(0, 0, 0));
+  assert.strictEqual(state.onGround, false);
+  assert.strictEqual(state.height, 1.8);
+  assert.strictEqual(state.eyeHeight, 1.62);
+  assert.strictEqual(state.jumpBoost, 0);
+  assert.ok(Object.values(state.control).every((value) => value === false));
+});
+
+test("toJSON round-trips through JSON and fromData", () => {
+  const state = PlayerState.fromData({
+    pos: { x: 0.5, y: 70.25, z: -3 },
+    vel: { x: 0.1, y: -0.0784, z: 0 },
+    onGround: true,
+    fallDistance: 1.5,
+    yaw: 1.2,
+    pitch: -0.3,
+    jumpBoost: 2,
+    control: { forward: true, sprint: true },
+  });
+
+  const copy = PlayerState.fromData(JSON.parse(JSON.stringify(state)));
+  assert.deepStrictEqual(copy.toJSON(), state.toJSON());
+  assert.ok(copy.pos instanceof Vec3);
+});
+
+test("clone does not share position or controls", () => {
+  const state = PlayerState.fromData({ control: { forward: true } });
+  const copy = state.clone();
+
+  copy.pos.y = 10;
+  copy.control.forward = false;
+  assert.strictEqual(state.pos.y, 0);
+  assert.strictEqual(state.control.forward, true);
+});
+
+test("a state reads from a bot and applies to a bot or a plain entity", (t) => {
+  const harness = createFakeBot(t);
+  const { bot } = harness;
+  bot.entity.position = new Vec3(3, 65, 4);
+  bot.entity.onGround = true;
+
+  const state = new PlayerState(bot, bot.ashControlState);
+  assert.deepStrictEqual(state.pos, new Vec3(3, 65, 4));
+  assert.strictEqual(state.onGround, true);
+
+  state.pos = new Vec3(5, 66, 6);
+  state.jumpTicks = 4;
+  state.apply(bot);
+  assert.deepStrictEqual(bot.entity.position, new Vec3(5, 66, 6));
+  assert.strictEqual(bot.jumpTicks, 4);
+
+  const entity = {};
+  state.apply(entity);
+  assert.deepStrictEqual(entity.position, new Vec3(5, 66, 6));
+  assert.strictEqual(entity.jumpTicks, 4);
+});
+
+test("a state reads from a mineflayer bot without this plugin", () => {
+  const bot = {
+    version: "1.20.4",
+    entity: {
+      position: new Vec3(1, 64, 2),
+      velocity: new Vec3(0, 0, 0),
+      onGround: true,
+      yaw: 0,
+      pitch: 0,
+      effects: {},
+    },
+    inventory: { slots: [] },
+    heldItem: null,
+    game: { gameMode: "survival" },
+  };
+
+  const state = new PlayerState(bot, {});
+  assert.deepStrictEqual(state.pos, new Vec3(1, 64, 2));
+  assert.strictEqual(state.flying, false);
+  assert.strictEqual(state.allowFlying, false);
+  assert.strictEqual(state.flyingSpeed, 0.05);
+});
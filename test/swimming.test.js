@@ -0,0 +1,162 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const { PhysicsEngine, PlayerState } = require("../src/engine.js");
+const BlockGridWorld = require("../src/world.js");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+// A pool with its floor at y 60 and its surface at the top of y 69
+function pool(world) {
+  world.fill(new Vec3(-8, 59, -64), new Vec3(8, 59, 64), "stone");
+  world.fill(new Vec3(-8, 60, -64), new Vec3(8, 69, 64), "water");
+}
+
+function swim(data, inputs, ticks, version = "1.20.4") {
+  const registry = require("prismarine-registry")(version);
+  const world = new BlockGridWorld(registry);
+  pool(world);
+  const physics = new PhysicsEngine(registry, world);
+  const state = PlayerState.fromData({
+    pos: { x: 0.5, y: 64, z: 0.5 },
+    yaw: Math.PI,
+    ...data,
+  });
+  return physics.simulateTimeline(state, inputs, ticks);
+}
+
+// Per-tick displacement once the speed has settled
+function stride(trajectory) {
+  const last = trajectory.length - 1;
+  return trajectory[last].pos.z - trajectory[last - 1].pos.z;
+}
+
+test("sprinting forward under water swims, at vanilla's speed", () => {
+  const swimming = swim({}, [{ forward: true, sprint: true }], 100);
+  assert.strictEqual(swimming[0].isSwimming, true);
+  assert.ok(swimming.every((tick) => tick.isSwimming));
+  assert.ok(Math.abs(stride(swimming) - 0.0196 / 0.1) < 1e-4);
+  // Swimmers do not sink while looking straight ahead
+  assert.ok(Math.abs(swimming[99].pos.y - 64) < 1e-9);
+
+  const walking = swim({}, [{ forward: true }], 100);
+  assert.ok(walking.every((tick) => !tick.isSwimming));
+  assert.ok(Math.abs(stride(walking) - 0.0196 / 0.2) < 1e-4);
+
+  const dolphin = swim(
+    { dolphinsGrace: 1 },
+    [{ forward: true, sprint: true }],
+    100,
+  );
+  // Still speeding up after 100 ticks
+  const dolphinStride = (0.0196 / 0.04) * (1 - 0.96 ** 100);
+  assert.ok(Math.abs(stride(dolphin) - dolphinStride) < 1e-6);
+});
+
+test("sprinting along the surface drags less and floats without swimming", () => {
+  // Head above the water
+  const surface = { pos: { x: 0.5, y: 69.5, z: 0.5 } };
+  const sprinting = swim(surface, [{ forward: true, sprint: true }], 100);
+  assert.ok(sprinting.every((tick) => !tick.isSwimming && tick.isInWater));
+  assert.ok(Math.abs(stride(sprinting) - 0.0196 / 0.1) < 1e-4);
+  assert.ok(Math.abs(sprinting[99].pos.y - 69.5) < 1e-9);
+
+  // Before 1.13 sprinting makes no difference in water
+  const legacy = swim(
+    surface,
+    [{ forward: true, sprint: true }],
+    100,
+    "1.12.2",
+  );
+  assert.ok(Math.abs(stride(legacy) - 0.0196 / 0.2) < 1e-4);
+});
+
+test("swimmers dive and climb along their look but stop at the surface", () => {
+  const dive = swim(
+    {},
+    [{ forward: true, sprint: true, pitch: -Math.PI / 4 }],
+    40,
+  );
+  assert.ok(dive[39].pos.y < 60.5, `${dive[39].pos}`);
+  assert.ok(dive.every((tick) => tick.isSwimming));
+
+  const climb = swim(
+    {},
+    [{ forward: true, sprint: true, pitch: Math.PI / 4 }],
+    100,
+  );
+  const last = climb[99];
+  assert.ok(last.isSwimming && last.isInWater);
+  // The lift ends once the head (0.9 up) leaves the water at y 70, and
+  // swimmers then drift to a stop just below the surface
+  assert.ok(last.pos.y > 69.1 && last.pos.y < 70, `${last.pos}`);
+  assert.ok(Math.abs(last.vel.y) < 1e-3);
+});
+
+test("swimming needs the eyes under water and ends with sprint", () => {
+  // Standing in water up to the chest
+  const shallow = swim(
+    { pos: { x: 0.5, y: 69, z: 0.5 }, onGround: false },
+    [{ forward: true, sprint: true }],
+    5,
+  );
+  assert.ok(shallow.every((tick) => !tick.isSwimming));
+
+  const released = swim(
+    {},
+    [{ forward: true, sprint: true }, ...Array(9), { sprint: false }],
+    12,
+  );
+  assert.strictEqual(released[9].isSwimming, true);
+  assert.strictEqual(released[10].isSwimming, false);
+
+  const drifting = swim(
+    {},
+    [{ forward: true, sprint: true }, ...Array(9), { forward: false }],
+    12,
+  );
+  assert.strictEqual(drifting[10].isSwimming, false);
+
+  const legacy = swim({}, [{ forward: true, sprint: true }], 5, "1.12.2");
+  assert.ok(legacy.every((tick) => !tick.isSwimming));
+});
+
+test("sneaking sinks in water from 1.13", () => {
+  const still = swim({}, [{}], 10);
+  const sneak = swim({}, [{ sneak: true }], 10);
+  assert.ok(sneak[9].pos.y < still[9].pos.y - 0.5);
+
+  const legacyStill = swim({}, [{}], 10, "1.12.2");
+  const legacySneak = swim({}, [{ sneak: true }], 10, "1.12.2");
+  assert.strictEqual(legacySneak[9].pos.y, legacyStill[9].pos.y);
+});
+
+test("the bot swims with the swimming hitbox and pose", (t) => {
+  const harness = createFakeBot(t);
+  const { bot, world } = harness;
+  pool(world);
+  harness.spawn(new Vec3(0.5, 64, 0.5));
+  harness.tick(2);
+
+  const updates = [];
+  bot.on("botPoseUpdate", (update) => updates.push(update));
+  bot.ashSetControlState("forward", true);
+  bot.ashSetControlState("sprint", true);
+  harness.tick(3);
+
+  assert.strictEqual(bot.entity.isSwimming, true);
+  assert.strictEqual(bot.entity.height, 0.6);
+  assert.deepStrictEqual(updates, [
+    { pose: 3, crawling: false, swimming: true, elytra: false },
+  ]);
+});
+
+test("isSwimmingPose still reads and writes the swimming flag", () => {
+  const state = PlayerState.fromData({ isSwimmingPose: true });
+  assert.strictEqual(state.isSwimming, true);
+  assert.strictEqual(state.isSwimmingPose, true);
+
+  state.isSwimmingPose = false;
+  assert.strictEqual(state.isSwimming, false);
+  assert.strictEqual(state.clone().isSwimmingPose, false);
+  assert.strictEqual("isSwimmingPose" in state.toJSON(), false);
+});
@@ -0,0 +1,207 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const { PhysicsEngine, PlayerState } = require("../src/engine.js");
+const BlockGridWorld = require("../src/world.js");
+
+// Trajectories checked against references written out from the 1.20.4
+// client's movement code (LivingEntity.travel, Entity.move), independently of
+// the engine. They cover scenarios whose engine output has changed, so the
+// new numbers are shown to be vanilla's rather than just re-captured. Float
+// maths differs slightly from the engine, hence the tolerance.
+const VERSION = "1.20.4";
+const TOLERANCE = 1e-5;
+const f = Math.fround;
+
+function simulate(build, start, inputs) {
+  const registry = require("prismarine-registry")(VERSION);
+  const world = new BlockGridWorld(registry);
+  build(world);
+  const physics = new PhysicsEngine(registry, world);
+  return physics
+    .simulateTimeline(PlayerState.fromData(start), inputs)
+    .map(({ pos }) => pos);
+}
+
+function assertTrajectory(actual, expected, tolerance = TOLERANCE) {
+  assert.strictEqual(actual.length, expected.length);
+  actual.forEach((pos, tick) => {
+    const error = pos.distanceTo(expected[tick]);
+    assert.ok(
+      error <= tolerance,
+      `tick ${tick}: expected ${expected[tick]}, got ${pos}`,
+    );
+  });
+}
+
+test("walking onto soul sand matches vanilla", () => {
+  const ticks = 20;
+  const actual = simulate(
+    (world) =>
+      world.fill(new Vec3(-16, 63, -16), new Vec3(16, 63, 16), "soul_sand"),
+    { pos: { x: 0.5, y: 64, z: 0.5 }, onGround: true },
+    Array.from({ length: ticks }, () => ({ forward: true })),
+  );
+
+  // Starting a block up, the block half a block below the feet is already
+  // the soul sand, so it slows the player from the first tick (0.4 after the
+  // move) before it settles onto the 0.875 high surface.
+  const expected = [];
+  const friction = f(0.6);
+  let y = 64;
+  let z = 0.5;
+  let vy = 0;
+  let vz = 0;
+  let onGround = true;
+  for (let tick = 0; tick < ticks; tick++) {
+    const drag = onGround ? f(friction * f(0.91)) : f(0.91);
+    const speed = onGround
+      ? f(f(0.1) * f(f(0.21600002) / f(f(friction * friction) * friction)))
+      : f(0.02);
+    // Yaw 0 faces -z; forward input is 0.98
+    vz -= f(0.98) * speed;
+
+    if (y + vy <= 63.875) {
+      y = 63.875;
+      vy = 0;
+      onGround = true;
+    } else {
+      y += vy;
+      onGround = false;
+    }
+    z += vz;
+
+    vz *= f(0.4) * drag;
+    vy = (vy - 0.08) * f(0.98);
+    expected.push(new Vec3(0.5, y, z));
+  }
+
+  assertTrajectory(actual, expected);
+});
+
+test("crawling under slabs matches vanilla", () => {
+  const ticks = 30;
+  const registry = require("prismarine-registry")(VERSION);
+  const world = new BlockGridWorld(registry);
+  world.fill(new Vec3(-16, 63, -16), new Vec3(16, 63, 16), "stone");
+  world.fill(new Vec3(-1, 65, -8), new Vec3(1, 65, -2), "oak_slab", {
+    type: "bottom",
+  });
+  const physics = new PhysicsEngine(registry, world);
+  // At rest on the ground, under the slabs where only the crawling hitbox
+  // fits
+  const states = physics.simulateTimeline(
+    PlayerState.fromData({
+      pos: { x: 0.5, y: 64, z: -1.5 },
+      vel: { x: 0, y: -0.0784000015258789, z: 0 },
+      onGround: true,
+    }),
+    Array.from({ length: ticks }, () => ({ forward: true })),
+  );
+  assert.ok(states.every((state) => state.isCrawling));
+
+  // Crawling scales the input by 0.3, like sneaking
+  const expected = [];
+  const friction = f(0.6);
+  const speed = f(
+    f(0.1) * f(f(0.21600002) / f(f(friction * friction) * friction)),
+  );
+  let z = -1.5;
+  let vz = 0;
+  for (let tick = 0; tick < ticks; tick++) {
+    vz -= f(f(0.98) * f(0.3)) * speed;
+    z += vz;
+    vz *= f(friction * f(0.91));
+    expected.push(new Vec3(0.5, 64, z));
+  }
+
+  assertTrajectory(
+    states.map(({ pos }) => pos),
+    expected,
+  );
+});
+
+// Mth.sin and Mth.cos read a 65536 entry table
+const SIN_TABLE = Array.from({ length: 65536 }, (_, i) =>
+  f(Math.sin((i * Math.PI * 2) / 65536)),
+);
+const mthSin = (value) => SIN_TABLE[(f(value * f(10430.378)) | 0) & 65535];
+const mthCos = (value) =>
+  SIN_TABLE[(f(value * f(10430.378) + 16384) | 0) & 65535];
+
+// Vanilla's fall flying travel, facing -z at a fixed mineflayer pitch (up is
+// positive, the opposite of vanilla's xRot)
+function vanillaGlide(pitch, start, ticks) {
+  const toRadians = f(f(Math.PI) / 180);
+  const xRot = f(f((-pitch * 180) / Math.PI) * toRadians);
+  const yRot = f(-180 * toRadians);
+  const look = new Vec3(
+    f(mthSin(yRot) * mthCos(xRot)),
+    -mthSin(xRot),
+    f(mthCos(yRot) * mthCos(xRot)),
+  );
+
+  const pos = start.pos.clone();
+  const vel = start.vel.clone();
+  const expected = [];
+  for (let tick = 0; tick < ticks; tick++) {
+    // LivingEntity.aiStep drops negligible motion before travelling
+    for (const axis of ["x", "y", "z"]) {
+      if (Math.abs(vel[axis]) < 0.003) vel[axis] = 0;
+    }
+
+    const lookHorizontal = Math.sqrt(look.x * look.x + look.z * look.z);
+    const speed = Math.sqrt(vel.x * vel.x + vel.z * vel.z);
+    const lift =
+      Math.cos(xRot) ** 2 *
+      Math.min(1, look.distanceTo(new Vec3(0, 0, 0)) / 0.4);
+    vel.y += 0.08 * (-1 + lift * 0.75);
+    if (vel.y < 0 && lookHorizontal > 0) {
+      const dive = vel.y * -0.1 * lift;
+      vel.x += (look.x * dive) / lookHorizontal;
+      vel.y += dive;
+      vel.z += (look.z * dive) / lookHorizontal;
+    }
+    if (xRot < 0 && lookHorizontal > 0) {
+      const climb = speed * -mthSin(xRot) * 0.04;
+      vel.x -= (look.x * climb) / lookHorizontal;
+      vel.y += climb * 3.2;
+      vel.z -= (look.z * climb) / lookHorizontal;
+    }
+    if (lookHorizontal > 0) {
+      vel.x += ((look.x / lookHorizontal) * speed - vel.x) * 0.1;
+      vel.z += ((look.z / lookHorizontal) * speed - vel.z) * 0.1;
+    }
+    vel.x *= f(0.99);
+    vel.y *= f(0.98);
+    vel.z *= f(0.99);
+
+    pos.add(vel);
+    expected.push(pos.clone());
+  }
+  return expected;
+}
+
+test("elytra gliding matches vanilla looking down and up", () => {
+  const ticks = 40;
+  const start = { pos: new Vec3(0.5, 100, 0.5), vel: new Vec3(0, 0, -0.5) };
+  for (const [pitch, tolerance] of [
+    [-0.2, TOLERANCE],
+    // Climbing uses Mth.sin of the pitch, whose table is coarser than the
+    // engine's Math.sin
+    [0.5, 1e-3],
+  ]) {
+    const actual = simulate(
+      (world) =>
+        world.fill(new Vec3(-16, 63, -32), new Vec3(16, 63, 16), "stone"),
+      {
+        ...start,
+        pitch,
+        elytraFlying: true,
+        elytraEquipped: true,
+      },
+      Array.from({ length: ticks }, () => ({})),
+    );
+    assertTrajectory(actual, vanillaGlide(pitch, start, ticks), tolerance);
+  }
+});
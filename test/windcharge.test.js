@@ -0,0 +1,227 @@
+const test = require("node:test");
+const assert = require("assert");
+const { Vec3 } = require("vec3");
+const { PhysicsEngine, PlayerState } = require("../src/engine.js");
+const BlockGridWorld = require("../src/world.js");
+const createFakeBot = require("./helpers/fake-bot.js");
+
+function setup(build = () => {}) {
+  const registry = require("prismarine-registry")("1.21.1");
+  const world = new BlockGridWorld(registry);
+  world.fill(new Vec3(-8, 63, -8), new Vec3(8, 63, 8), "stone");
+  build(world);
+  return new PhysicsEngine(registry, world);
+}
+
+function standing(data) {
+  return PlayerState.fromData({
+    pos: { x: 0.5, y: 64, z: 0.5 },
+    onGround: true,
+    ...data,
+  });
+}
+
+function landing(physics, state) {
+  const timeline = physics.simulateTimeline(state, [{}], 80);
+  return {
+    apex: Math.max(...timeline.map((tick) => tick.pos.y)),
+    damage: timeline.reduce((sum, tick) => sum + tick.predictedDamage, 0),
+  };
+}
+
+test("wind charge knockback fades with distance", () => {
+  const physics = setup();
+
+  // At the feet it pushes straight up, 1.22 times as hard as an explosion
+  const state = standing();
+  const push = physics.windChargeBurst(state, new Vec3(0.5, 64, 0.5));
+  assert.deepStrictEqual(push, new Vec3(0, 1.22, 0));
+  assert.deepStrictEqual(state.vel, new Vec3(0, 1.22, 0));
+
+  // Half way to twice the radius, at half strength, away from the eyes
+  const side = physics.windChargeBurst(standing(), new Vec3(1.7, 64, 0.5));
+  assert.ok(Math.abs(side.norm() - 0.61) < 1e-9, `${side}`);
+  assert.ok(side.x < 0 && side.y > 0);
+
+  assert.strictEqual(
+    physics.windChargeBurst(standing(), new Vec3(3.6, 64, 0.5)),
+    null,
+  );
+
+  // Breeze charges are bigger but push like any explosion
+  const breeze = physics.windChargeBurst(standing(), new Vec3(0.5, 64, 0.5), {
+    breeze: true,
+  });
+  assert.deepStrictEqual(breeze, new Vec3(0, 1, 0));
+});
+
+test("blocks between the burst and the player shield it", () => {
+  const physics = setup((world) =>
+    world.fill(new Vec3(1, 64, -1), new Vec3(1, 66, 1), "stone"),
+  );
+  const state = standing();
+  const push = physics.windChargeBurst(state, new Vec3(1.7, 64.5, 0.5));
+  assert.strictEqual(push.norm(), 0);
+  // Still a hit, so a later fall counts from here
+  assert.strictEqual(state.impulseImpactY, 64);
+
+  // 1.21.1 names it generic.explosion_knockback_resistance
+  const open = setup();
+  const resistant = standing({
+    attributes: {
+      [open.constants.explosionKnockbackResistanceAttribute]: {
+        value: 0.5,
+        modifiers: [],
+      },
+    },
+  });
+  const damped = open.windChargeBurst(resistant, new Vec3(0.5, 64, 0.5));
+  assert.ok(Math.abs(damped.y - 0.61) < 1e-9);
+});
+
+test("a wind charge jump lands without fall damage", () => {
+  const physics = setup();
+
+  const state = standing();
+  physics.windChargeBurst(state, new Vec3(0.5, 64, 0.5));
+  const jump = landing(physics, state);
+  assert.ok(jump.apex > 72, `${jump.apex}`);
+  assert.strictEqual(jump.damage, 0);
+
+  // A breeze's charge throws the player as high, but the fall counts
+  const thrown = standing();
+  physics.windChargeBurst(thrown, new Vec3(0.5, 64, 0.5), { breeze: true });
+  assert.ok(landing(physics, thrown).damage > 0);
+
+  // Falling below where the charge hit counts from there
+  const ledge = standing({ pos: { x: 0.5, y: 74, z: 0.5 } });
+  physics.windChargeBurst(ledge, new Vec3(0.5, 74, 0.5));
+  assert.strictEqual(landing(physics, ledge).damage, 7);
+});
+
+test("a mace smash spends the fall and floats the player", () => {
+  const physics = setup();
+
+  const smashing = standing({
+    pos: { x: 0.5, y: 80, z: 0.5 },
+    onGround: false,
+    vel: { x: 0, y: -1.5, z: 0 },
+    fallDistance: 10,
+  });
+  assert.strictEqual(physics.maceSmash(smashing), 24);
+  assert.strictEqual(smashing.fallDistance, 0);
+  assert.strictEqual(smashing.vel.y, Math.fround(0.01));
+  assert.strictEqual(smashing.impulseImpactY, 80);
+  // The drop after the smash counts from it: 16 blocks, less 3 safe ones
+  assert.strictEqual(landing(physics, smashing).damage, 13);
+
+  const hopping = standing({ fallDistance: 1.5 });
+  assert.strictEqual(physics.maceSmash(hopping), 0);
+  assert.strictEqual(hopping.impulseImpactY, null);
+
+  // Launched by a wind charge, smashing on the way down still lands safely
+  const combo = standing();
+  physics.windChargeBurst(combo, new Vec3(0.5, 64, 0.5));
+  while (combo.vel.y > 0 || combo.pos.y > 68) physics.simulatePlayer(combo);
+  assert.ok(physics.maceSmash(combo) > 0);
+  assert.strictEqual(combo.impulseImpactY, 64);
+  assert.strictEqual(landing(physics, combo).damage, 0);
+});
+
+test("chained mace smashes count the fall from the lowest one", () => {
+  const physics = setup();
+  const falling = standing({
+    pos: { x: 0.5, y: 80, z: 0.5 },
+    onGround: false,
+    vel: { x: 0, y: -1.5, z: 0 },
+    fallDistance: 10,
+  });
+  physics.maceSmash(falling);
+
+  // Smash again four blocks further down
+  while (falling.pos.y > 76) physics.simulatePlayer(falling);
+  const { y } = falling.pos;
+  assert.ok(physics.maceSmash(falling) > 0);
+  assert.strictEqual(falling.impulseImpactY, y);
+
+  // Floating up again does not raise it
+  falling.vel.y = 1;
+  physics.simulatePlayer(falling);
+  falling.fallDistance = 2;
+  physics.maceSmash(falling);
+  assert.strictEqual(falling.impulseImpactY, y);
+});
+
+function windBurst(harness, knockback) {
+  const { registry } = harness;
+  const sound = Object.values(registry.sounds).find(
+    ({ name }) => name === "entity.wind_charge.wind_burst",
+  );
+  const center = harness.bot.entity.position;
+  if (registry.version[">="]("1.21.3")) {
+    return {
+      x: center.x,
+      y: center.y,
+      z: center.z,
+      playerKnockback: knockback,
+      sound: { soundId: sound.id + 1 },
+    };
+  }
+  return {
+    x: center.x,
+    y: center.y,
+    z: center.z,
+    radius: 1.2,
+    affectedBlockOffsets: [],
+    playerMotionX: knockback.x,
+    playerMotionY: knockback.y,
+    playerMotionZ: knockback.z,
+    sound: { soundId: sound.id + 1 },
+  };
+}
+
+test("wind charge explosion packets launch the bot safely", (t) => {
+  for (const version of ["1.21.1", "1.21.4"]) {
+    const harness = createFakeBot(t, { version });
+    const { bot, client, world } = harness;
+    world.fill(new Vec3(-8, 63, -8), new Vec3(8, 63, 8), "stone");
+    harness.spawn(new Vec3(0.5, 64, 0.5));
+    harness.tick(5);
+
+    const damage = [];
+    bot.on("predictedDamage", (prediction) => damage.push(prediction));
+    const before = bot.entity.velocity.y;
+    client.emit("explosion", windBurst(harness, { x: 0, y: 1.22, z: 0 }));
+    assert.strictEqual(bot.entity.velocity.y, before + 1.22, version);
+    assert.strictEqual(bot.entity.impulseImpactY, 64, version);
+
+    harness.tick(60);
+    assert.ok(bot.entity.onGround, version);
+    assert.deepStrictEqual(damage, [], version);
+
+    // Any other explosion ends the protection
+    client.emit("explosion", {
+      ...windBurst(harness, { x: 0, y: 1, z: 0 }),
+      sound: {
+        soundId: 0,
+        data: { soundName: "minecraft:entity.generic.explode" },
+      },
+    });
+    assert.strictEqual(bot.entity.impulseImpactY, null, version);
+    harness.restore();
+  }
+});
+
+test("attacking with a mace while falling smashes", (t) => {
+  const harness = createFakeBot(t, { version: "1.21.1" });
+  const { bot, world } = harness;
+  world.fill(new Vec3(-8, 63, -8), new Vec3(8, 63, 8), "stone");
+  harness.spawn(new Vec3(0.5, 80, 0.5));
+  harness.tick(10);
+  assert.ok(bot.entity.fallDistance > 1.5);
+
+  bot.heldItem = { name: "mace" };
+  bot.attack({ id: 2 });
+  assert.strictEqual(bot.entity.fallDistance, 0);
+  assert.strictEqual(bot.entity.velocity.y, Math.fround(0.01));
+});
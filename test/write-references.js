@@ -0,0 +1,32 @@
+// Writes test/references/<name>.json from the vanilla references derived in
+// scenarios.js. Usage: node test/write-references.js [scenario...], then
+// format them with prettier.
+//
+// The fixtures hold positions worked out from the client's movement code,
+// never the engine's output, so a physics change that moves a trajectory
+// has to fix the engine or the derivation, not re-capture the fixture.
+const fs = require("fs");
+const path = require("path");
+const { VERSION, scenarios } = require("./scenarios.js");
+
+const SOURCE =
+  "hand-derived from the client's LivingEntity.aiStep, LivingEntity.travel and Entity.move; see test/scenarios.js";
+// The derivations round like vanilla, the engine in places does not
+const TOLERANCE = 1e-5;
+
+const names = process.argv.slice(2);
+
+for (const [name, scenario] of Object.entries(scenarios)) {
+  if (names.length > 0 && !names.includes(name)) continue;
+
+  const file = path.join(__dirname, "references", `${name}.json`);
+  const fixture = {
+    scenario: name,
+    version: VERSION,
+    source: SOURCE,
+    tolerance: TOLERANCE,
+    positions: scenario.reference(),
+  };
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + "\n");
+  console.log(`wrote ${path.relative(process.cwd(), file)}`);
+}